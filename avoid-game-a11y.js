@@ -0,0 +1,233 @@
+// ====================================
+// AVOID GAME ACCESSIBILITY
+// Accessibility settings, the ARIA live-region announcer and the
+// narrator that turns simulation state into spoken cues
+// (countdown, "deadline falling left", results).
+// Works as a browser <script> (window.AvoidGameA11y) or a Node module.
+// ====================================
+
+(function (root) {
+  const SETTINGS_KEY = 'avoidGame.accessibility';
+  // Assist mode runs the whole game at this share of real time
+  const ASSIST_SPEED = 0.7;
+  // Announce an object once it has fallen this share of the board
+  const WARNING_LINE = 0.35;
+  const COUNTDOWN_EVERY = 10; // seconds, plus every second of the last 5
+
+  function prefersReducedMotion() {
+    return Boolean(root.matchMedia && root.matchMedia('(prefers-reduced-motion: reduce)').matches);
+  }
+
+  /**
+   * Saved settings, defaults filled in (reduced motion follows the OS)
+   */
+  function loadSettings(storage = root.localStorage) {
+    const settings = {
+      announcements: true,
+      stereoCues: false,
+      highContrast: false,
+      reducedMotion: prefersReducedMotion(),
+      assist: false,
+    };
+    try {
+      const saved = JSON.parse(storage && storage.getItem(SETTINGS_KEY) || 'null');
+      if (saved && typeof saved === 'object') {
+        Object.keys(settings).forEach(key => {
+          if (typeof saved[key] === 'boolean') settings[key] = saved[key];
+        });
+      }
+    } catch (error) {
+      console.warn('Accessibility settings unreadable, using defaults:', error);
+    }
+    return settings;
+  }
+
+  function saveSettings(settings, storage = root.localStorage) {
+    try {
+      storage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+    } catch (error) {
+      console.warn('Failed to save accessibility settings:', error);
+    }
+  }
+
+  /**
+   * Which third of the board an object's center is in
+   */
+  function laneOf(obj, width) {
+    const center = (obj.x + obj.width / 2) / width;
+    if (center < 1 / 3) return 'left';
+    if (center > 2 / 3) return 'right';
+    return 'center';
+  }
+
+  /**
+   * Stereo position -1 (left) .. 1 (right) for an object's x
+   */
+  function panFor(obj, width) {
+    const center = (obj.x + obj.width / 2) / width;
+    return Math.max(-1, Math.min(1, center * 2 - 1));
+  }
+
+  /**
+   * Writes messages into aria-live regions. Polite messages are spaced out
+   * so screen readers can finish one before the next replaces it
+   */
+  class Announcer {
+    constructor(politeRegion, urgentRegion, minGap = 900) {
+      this.politeRegion = politeRegion;
+      this.urgentRegion = urgentRegion || politeRegion;
+      this.minGap = minGap; // ms between polite messages
+      this.enabled = true;
+      this.lastPolite = 0;
+      this.pending = null;
+      this.timer = null;
+    }
+
+    /**
+     * @param {string} text
+     * @param {{urgent?: boolean}} [options] - urgent interrupts (assertive region)
+     */
+    say(text, options = {}) {
+      if (!this.enabled || !text) return;
+      if (options.urgent) {
+        this.write(this.urgentRegion, text);
+        return;
+      }
+
+      const wait = this.lastPolite + this.minGap - Date.now();
+      if (wait <= 0 && !this.timer) {
+        this.lastPolite = Date.now();
+        this.write(this.politeRegion, text);
+        return;
+      }
+      // Only the newest waiting message is worth hearing
+      this.pending = text;
+      if (!this.timer) {
+        this.timer = setTimeout(() => {
+          this.timer = null;
+          const next = this.pending;
+          this.pending = null;
+          this.say(next);
+        }, Math.max(wait, 0));
+      }
+    }
+
+    write(region, text) {
+      // Clear first so repeating the same sentence is announced again
+      region.textContent = '';
+      setTimeout(() => {
+        region.textContent = text;
+      }, 30);
+    }
+
+    clear() {
+      clearTimeout(this.timer);
+      this.timer = null;
+      this.pending = null;
+      this.politeRegion.textContent = '';
+      this.urgentRegion.textContent = '';
+    }
+  }
+
+  /**
+   * Turns a running game into announcements
+   */
+  class GameNarrator {
+    constructor(announcer) {
+      this.announcer = announcer;
+      this.reset();
+    }
+
+    reset() {
+      this.announced = new Set(); // object ids already warned about
+      this.lastSecond = null;
+    }
+
+    start(state, levelName) {
+      this.reset();
+      const goal = state.config.winScore
+        ? `Reach ${state.config.winScore} points in ${state.config.duration} seconds.`
+        : `Survive ${state.config.duration} seconds.`;
+      const lives = state.config.lives ? ` You have ${state.lives} lives.` : '';
+      this.announcer.say(`${levelName}. ${goal}${lives} Go!`, { urgent: true });
+    }
+
+    /**
+     * Per-tick cues: countdown and lane warnings for falling objects
+     */
+    update(state) {
+      const second = Math.ceil(state.timeLeft);
+      if (second !== this.lastSecond) {
+        this.lastSecond = second;
+        if (second > 0 && (second <= 5 || second % COUNTDOWN_EVERY === 0) && second < state.config.duration) {
+          this.announcer.say(`${second} seconds left`);
+        }
+      }
+
+      const { width, height } = state.config;
+      const character = state.character;
+      state.objects.forEach(obj => {
+        if (this.announced.has(obj.id) || obj.y < height * WARNING_LINE) return;
+        this.announced.add(obj.id);
+        if (obj.powerUp) {
+          this.announcer.say(`${obj.label} power-up falling ${laneOf(obj, width)}`);
+          return;
+        }
+        const above = obj.x < character.x + character.width && obj.x + obj.width > character.x;
+        this.announcer.say(above
+          ? `${obj.label} right above you!`
+          : `${obj.label} falling ${laneOf(obj, width)}`, { urgent: above });
+      });
+    }
+
+    /**
+     * Cues for discrete simulation events
+     */
+    handleEvents(events, state) {
+      events.forEach(event => {
+        switch (event.type) {
+          case 'powerUp':
+            this.announcer.say(`${event.object.label} collected for ${event.duration} seconds`);
+            break;
+          case 'powerUpEnd':
+            this.announcer.say(`${state.config.powerUps[event.powerUp].label} ran out`);
+            break;
+          case 'shieldBreak':
+            this.announcer.say(`Shield broke on a ${event.object.label}`, { urgent: true });
+            break;
+          case 'lifeLost':
+            this.announcer.say(`Hit by a ${event.object.label}. ${event.lives} ${event.lives === 1 ? 'life' : 'lives'} left`, { urgent: true });
+            break;
+          default:
+            break;
+        }
+      });
+    }
+
+    finish(state) {
+      const time = Math.min(state.elapsed, state.config.duration).toFixed(1);
+      const text = state.status === 'victory'
+        ? `Victory! You are a champion. Score ${state.score} after ${time} seconds.`
+        : `Game over. Score ${state.score}, survived ${time} of ${state.config.duration} seconds.`;
+      this.announcer.say(text, { urgent: true });
+    }
+  }
+
+  const AvoidGameA11y = {
+    SETTINGS_KEY,
+    ASSIST_SPEED,
+    loadSettings,
+    saveSettings,
+    prefersReducedMotion,
+    laneOf,
+    panFor,
+    Announcer,
+    GameNarrator,
+  };
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AvoidGameA11y;
+  } else {
+    root.AvoidGameA11y = AvoidGameA11y;
+  }
+})(typeof window !== 'undefined' ? window : globalThis);
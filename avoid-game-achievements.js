@@ -0,0 +1,323 @@
+// ====================================
+// AVOID GAME ACHIEVEMENTS
+// Lifetime stats and achievements, fed by simulation events.
+// Works as a browser <script> (window.AvoidGameAchievements) or a Node module.
+// ====================================
+
+(function (root) {
+  const STORAGE_KEY = 'avoidGame.achievements';
+  const SCHEMA_VERSION = 1;
+
+  /**
+   * Achievement list. `test(run, stats)` sees the current run and the
+   * lifetime stats and is checked every tick and when a run ends
+   * - run: { elapsed, score, status, nearMisses, powerUps, movedLeft, movedRight, dodged }
+   * - stats: { runs, wins, totalSurvival, nearMisses, powerUps, dodged, endedBy }
+   */
+  const ACHIEVEMENTS = [
+    {
+      id: 'first-run',
+      icon: '🎒',
+      title: 'Orientation Week',
+      description: 'Finish your first run',
+      test: (run, stats) => stats.runs >= 1,
+    },
+    {
+      id: 'champion',
+      icon: '🏆',
+      title: 'Champion',
+      description: 'Win a run',
+      test: (run, stats) => stats.wins >= 1,
+    },
+    {
+      id: 'left-wing',
+      icon: '⬅️',
+      title: 'Left Turn Only',
+      description: 'Survive 44 seconds without moving right',
+      test: run => run.elapsed >= 44 && !run.movedRight,
+    },
+    {
+      id: 'statue',
+      icon: '🗿',
+      title: 'Statue',
+      description: 'Survive 10 seconds without moving at all',
+      test: run => run.elapsed >= 10 && !run.movedLeft && !run.movedRight,
+    },
+    {
+      id: 'close-calls',
+      icon: '😅',
+      title: 'Close Calls',
+      description: '10 near-misses in one run',
+      test: run => run.nearMisses >= 10,
+    },
+    {
+      id: 'power-trip',
+      icon: '⚡',
+      title: 'Power Trip',
+      description: 'Collect 3 power-ups in one run',
+      test: run => run.powerUps >= 3,
+    },
+    {
+      id: 'high-achiever',
+      icon: '💯',
+      title: 'High Achiever',
+      description: 'Score 500 points in one run',
+      test: run => run.score >= 500,
+    },
+    {
+      id: 'decaf',
+      icon: '☕',
+      title: 'Decaf',
+      description: 'Dodge 100 coffees (lifetime)',
+      test: (run, stats) => (stats.dodged.coffee || 0) >= 100,
+    },
+    {
+      id: 'veteran',
+      icon: '🎓',
+      title: 'Veteran',
+      description: 'Play 25 runs',
+      test: (run, stats) => stats.runs >= 25,
+    },
+  ];
+
+  function emptyStats() {
+    return { runs: 0, wins: 0, totalSurvival: 0, nearMisses: 0, powerUps: 0, dodged: {}, endedBy: {} };
+  }
+
+  function emptyRun() {
+    return {
+      elapsed: 0,
+      score: 0,
+      status: 'playing',
+      nearMisses: 0,
+      powerUps: 0,
+      movedLeft: false,
+      movedRight: false,
+      dodged: {},   // label -> count this run
+      endedBy: null, // label of the object that ended the run
+    };
+  }
+
+  // Non-negative number or 0
+  function count(value) {
+    const number = Number(value);
+    return Number.isFinite(number) && number > 0 ? number : 0;
+  }
+
+  // { label: count } map with only usable counts kept
+  function countMap(value) {
+    const clean = {};
+    if (value && typeof value === 'object') {
+      Object.keys(value).forEach(key => {
+        if (count(value[key])) clean[key] = Math.floor(count(value[key]));
+      });
+    }
+    return clean;
+  }
+
+  /**
+   * Bring stored data up to the current schema; unusable parts fall back to empty
+   */
+  function migrate(data) {
+    if (!data || typeof data !== 'object' || data.version !== SCHEMA_VERSION) {
+      throw new Error('Unrecognized achievements format');
+    }
+    const stats = data.stats || {};
+    const unlocked = {};
+    Object.keys(data.unlocked || {}).forEach(id => {
+      const date = data.unlocked[id];
+      if (ACHIEVEMENTS.some(a => a.id === id) && !Number.isNaN(Date.parse(date))) {
+        unlocked[id] = new Date(date).toISOString();
+      }
+    });
+    return {
+      stats: {
+        runs: Math.floor(count(stats.runs)),
+        wins: Math.floor(count(stats.wins)),
+        totalSurvival: count(stats.totalSurvival),
+        nearMisses: Math.floor(count(stats.nearMisses)),
+        powerUps: Math.floor(count(stats.powerUps)),
+        dodged: countMap(stats.dodged),
+        endedBy: countMap(stats.endedBy),
+      },
+      unlocked,
+    };
+  }
+
+  function increment(map, key) {
+    map[key] = (map[key] || 0) + 1;
+  }
+
+  class AchievementTracker {
+    /**
+     * @param {Storage} [storage] - localStorage or anything with getItem/setItem/removeItem
+     */
+    constructor(storage = root.localStorage, key = STORAGE_KEY) {
+      this.storage = storage;
+      this.key = key;
+      this.run = null;
+      this.load();
+    }
+
+    load() {
+      try {
+        const raw = this.storage && this.storage.getItem(this.key);
+        const data = raw ? migrate(JSON.parse(raw)) : { stats: emptyStats(), unlocked: {} };
+        this.stats = data.stats;
+        this.unlocked = data.unlocked;
+      } catch (error) {
+        console.warn('Achievements reset - stored data was unreadable:', error);
+        this.stats = emptyStats();
+        this.unlocked = {};
+      }
+    }
+
+    save() {
+      try {
+        if (this.storage) {
+          this.storage.setItem(this.key, JSON.stringify({ version: SCHEMA_VERSION, stats: this.stats, unlocked: this.unlocked }));
+        }
+      } catch (error) {
+        console.warn('Failed to save achievements:', error);
+      }
+    }
+
+    startRun() {
+      this.run = emptyRun();
+    }
+
+    /**
+     * Feed one simulation step of a live run
+     * @param {{moving: string}} input - the frame the step was given
+     * @param {object[]} events - events the step produced
+     * @param {object} state - state after the step
+     * @returns {object[]} achievements unlocked by this step
+     */
+    record(input, events, state) {
+      const run = this.run;
+      if (!run) return [];
+
+      if (input && input.moving === 'left') run.movedLeft = true;
+      if (input && input.moving === 'right') run.movedRight = true;
+      run.elapsed = state.elapsed;
+      run.score = state.score;
+      run.status = state.status;
+
+      events.forEach(event => {
+        switch (event.type) {
+          case 'nearMiss':
+            run.nearMisses++;
+            this.stats.nearMisses++;
+            break;
+          case 'powerUp':
+            run.powerUps++;
+            this.stats.powerUps++;
+            break;
+          case 'score':
+            increment(run.dodged, event.object.label);
+            increment(this.stats.dodged, event.object.label);
+            break;
+          case 'collision':
+            run.endedBy = event.object.label;
+            break;
+          default:
+            break;
+        }
+      });
+      return this.check();
+    }
+
+    /**
+     * Close the current run: lifetime totals, then a final check
+     * @returns {object[]} achievements unlocked by finishing
+     */
+    finishRun(state) {
+      if (!this.run) return [];
+
+      this.stats.runs++;
+      if (state.status === 'victory') this.stats.wins++;
+      this.stats.totalSurvival += Math.min(state.elapsed, state.config.duration);
+      if (this.run.endedBy) increment(this.stats.endedBy, this.run.endedBy);
+
+      this.run.elapsed = state.elapsed;
+      this.run.score = state.score;
+      this.run.status = state.status;
+      const unlocked = this.check();
+      this.run = null;
+      this.save();
+      return unlocked;
+    }
+
+    /**
+     * Unlock everything the current numbers now satisfy
+     */
+    check() {
+      const run = this.run || emptyRun();
+      const fresh = ACHIEVEMENTS.filter(a => !this.unlocked[a.id] && a.test(run, this.stats));
+      if (fresh.length) {
+        const date = new Date().toISOString();
+        fresh.forEach(a => {
+          this.unlocked[a.id] = date;
+        });
+        this.save();
+      }
+      return fresh;
+    }
+
+    /**
+     * Lifetime numbers for the stats panel
+     */
+    summary() {
+      const { runs, wins, totalSurvival, nearMisses, powerUps, dodged, endedBy } = this.stats;
+      const deadliest = Object.keys(endedBy).sort((a, b) => endedBy[b] - endedBy[a])[0] || null;
+      return {
+        runs,
+        wins,
+        winRate: runs ? wins / runs : 0,
+        averageSurvival: runs ? totalSurvival / runs : 0,
+        nearMisses,
+        powerUps,
+        dodged: Object.keys(dodged).reduce((sum, label) => sum + dodged[label], 0),
+        deadliest: deadliest && { label: deadliest, runs: endedBy[deadliest] },
+      };
+    }
+
+    /**
+     * Every achievement with its unlock date (null while locked)
+     */
+    list() {
+      return ACHIEVEMENTS.map(a => ({
+        id: a.id,
+        icon: a.icon,
+        title: a.title,
+        description: a.description,
+        unlockedAt: this.unlocked[a.id] || null,
+      }));
+    }
+
+    reset() {
+      this.stats = emptyStats();
+      this.unlocked = {};
+      this.run = null;
+      try {
+        if (this.storage) this.storage.removeItem(this.key);
+      } catch (error) {
+        console.warn('Failed to clear achievements:', error);
+      }
+    }
+  }
+
+  const AvoidGameAchievements = {
+    STORAGE_KEY,
+    SCHEMA_VERSION,
+    ACHIEVEMENTS,
+    AchievementTracker,
+    migrate,
+  };
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AvoidGameAchievements;
+  } else {
+    root.AvoidGameAchievements = AvoidGameAchievements;
+  }
+})(typeof window !== 'undefined' ? window : globalThis);
@@ -0,0 +1,690 @@
+// ====================================
+// AVOID GAME LEVEL EDITOR
+// level-editor.html: drag the speed and spawn checkpoints on two graphs,
+// build the emoji pool, set the duration and goal, and try the draft in
+// a live preview. The result downloads as level JSON or copies as a
+// game.html?levelData= link (see avoid-game-levels.js for the format).
+// ====================================
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+const DRAFT_KEY = 'avoidGame.levelDraft';
+const PREVIEW_DELAY = 600; // ms without edits before the preview rebuilds
+const TIME_SNAP = 0.5;     // seconds
+
+// Graph layout in viewBox units (the <svg> is 600 x 220)
+const GRAPH = { width: 600, height: 220, left: 40, right: 14, top: 12, bottom: 28 };
+
+// Quick picks for the emoji pool
+const EMOJI_PALETTE = [
+  { emoji: '📚', label: 'exam' },
+  { emoji: '☕', label: 'coffee' },
+  { emoji: '✏️', label: 'pencil' },
+  { emoji: '👨‍🏫', label: 'teacher' },
+  { emoji: '⏰', label: 'deadline' },
+  { emoji: '😰', label: 'stress' },
+  { emoji: '⏲️', label: 'alarm' },
+  { emoji: '💻', label: 'computer' },
+  { emoji: '🌭', label: 'hotdog' },
+  { emoji: '🪑', label: 'desk' },
+  { emoji: '📝', label: 'quiz' },
+  { emoji: '📊', label: 'report' },
+  { emoji: '🧪', label: 'lab' },
+  { emoji: '📐', label: 'geometry' },
+  { emoji: '🧾', label: 'receipt' },
+  { emoji: '💸', label: 'tuition' },
+  { emoji: '📱', label: 'notification' },
+  { emoji: '🔔', label: 'bell' },
+  { emoji: '💤', label: 'all-nighter' },
+  { emoji: '🍕', label: 'pizza' },
+];
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+const snap = (value, step) => Math.round(value / step) * step;
+const round = value => Math.round(value * 1000) / 1000;
+
+function svgElement(name, attributes = {}) {
+  const element = document.createElementNS(SVG_NS, name);
+  Object.keys(attributes).forEach(key => element.setAttribute(key, attributes[key]));
+  return element;
+}
+
+// ==========================================
+// CURVE GRAPH
+// ==========================================
+
+/**
+ * One checkpoint list (time -> value) drawn as an editable SVG graph.
+ * Edits happen in place on the array given to setData()
+ */
+class CurveGraph {
+  /**
+   * @param {SVGSVGElement} svg
+   * @param {object} options
+   * - key: checkpoint field being edited ('speedMultiplier')
+   * - min / max: plotted value range (the top grows to fit the data)
+   * - step: value snap
+   * - format(value): label text for a plotted value
+   * - toDisplay / fromDisplay: stored value <-> plotted value
+   * - valueAt(points, time): stored value the game uses at that time
+   * - onChange(): after every edit
+   */
+  constructor(svg, options) {
+    this.svg = svg;
+    this.options = Object.assign({
+      toDisplay: value => value,
+      fromDisplay: value => value,
+      format: value => String(value),
+    }, options);
+    this.points = [];
+    this.duration = 0;
+    this.dragging = null; // index of the point being dragged
+    this.dragged = false; // swallow the click that ends a drag
+    this.focusIndex = null;
+    this.bind();
+  }
+
+  setData(points, duration) {
+    this.points = points;
+    this.duration = duration;
+    this.render();
+  }
+
+  // The x axis covers the level and any checkpoint past its end
+  get timeMax() {
+    const last = this.points.length ? this.points[this.points.length - 1].time : 0;
+    return Math.max(5, Number.isFinite(this.duration) ? this.duration : 0, last);
+  }
+
+  get valueMax() {
+    const values = this.points.map(point => this.options.toDisplay(point[this.options.key]));
+    return Math.ceil(Math.max(this.options.max, ...values.filter(Number.isFinite)));
+  }
+
+  x(time) {
+    return GRAPH.left + (time / this.timeMax) * (GRAPH.width - GRAPH.left - GRAPH.right);
+  }
+
+  y(value) {
+    return GRAPH.top + (1 - value / this.valueMax) * (GRAPH.height - GRAPH.top - GRAPH.bottom);
+  }
+
+  // Pointer position -> snapped { time, value }
+  fromPointer(event) {
+    const point = new DOMPoint(event.clientX, event.clientY).matrixTransform(this.svg.getScreenCTM().inverse());
+    const time = ((point.x - GRAPH.left) / (GRAPH.width - GRAPH.left - GRAPH.right)) * this.timeMax;
+    const value = (1 - (point.y - GRAPH.top) / (GRAPH.height - GRAPH.top - GRAPH.bottom)) * this.valueMax;
+    return { time: snap(time, TIME_SNAP), value: snap(value, this.options.step) };
+  }
+
+  /**
+   * Move a point, keeping the first at 0s and every point between its neighbours
+   */
+  movePoint(index, time, value) {
+    const { key, min, fromDisplay } = this.options;
+    const point = this.points[index];
+    if (index === 0) {
+      time = 0;
+    } else {
+      const earliest = this.points[index - 1].time + TIME_SNAP;
+      const next = this.points[index + 1];
+      const latest = next ? next.time - TIME_SNAP : Math.max(this.duration || 0, earliest);
+      time = earliest <= latest ? clamp(time, earliest, latest) : point.time;
+    }
+    point.time = round(time);
+    point[key] = round(fromDisplay(clamp(value, min, this.valueMax)));
+    this.changed(index);
+  }
+
+  addPoint(time, value) {
+    const { key, min, fromDisplay } = this.options;
+    if (time <= 0 || time > this.duration || this.points.some(point => point.time === time)) return;
+    const index = this.points.findIndex(point => point.time > time);
+    const at = index === -1 ? this.points.length : index;
+    this.points.splice(at, 0, { time: round(time), [key]: round(fromDisplay(clamp(value, min, this.valueMax))) });
+    this.changed(at);
+  }
+
+  removePoint(index) {
+    if (index === 0) return; // the curve always starts at 0s
+    this.points.splice(index, 1);
+    this.changed(Math.min(index, this.points.length - 1));
+  }
+
+  changed(focusIndex) {
+    this.focusIndex = focusIndex;
+    this.render();
+    this.options.onChange();
+  }
+
+  bind() {
+    const indexOf = event => {
+      const handle = event.target.closest('[data-index]');
+      return handle ? Number(handle.dataset.index) : null;
+    };
+
+    this.svg.addEventListener('pointerdown', event => {
+      const index = indexOf(event);
+      if (index === null) return;
+      event.preventDefault();
+      // Capture on the <svg>: the point elements are redrawn while dragging
+      this.svg.setPointerCapture(event.pointerId);
+      this.dragging = index;
+      this.dragged = false;
+    });
+
+    this.svg.addEventListener('pointermove', event => {
+      if (this.dragging === null) return;
+      const { time, value } = this.fromPointer(event);
+      this.dragged = true;
+      this.movePoint(this.dragging, time, value);
+    });
+
+    const endDrag = () => {
+      this.dragging = null;
+    };
+    this.svg.addEventListener('pointerup', endDrag);
+    this.svg.addEventListener('pointercancel', endDrag);
+
+    this.svg.addEventListener('click', event => {
+      if (this.dragged || indexOf(event) !== null) {
+        this.dragged = false;
+        return;
+      }
+      const { time, value } = this.fromPointer(event);
+      this.addPoint(time, value);
+    });
+
+    this.svg.addEventListener('dblclick', event => {
+      const index = indexOf(event);
+      if (index !== null) this.removePoint(index);
+    });
+
+    this.svg.addEventListener('keydown', event => {
+      const index = indexOf(event);
+      if (index === null) return;
+      const point = this.points[index];
+      const value = this.options.toDisplay(point[this.options.key]);
+      const step = this.options.step;
+      const moves = {
+        ArrowLeft: [-TIME_SNAP, 0],
+        ArrowRight: [TIME_SNAP, 0],
+        ArrowUp: [0, step],
+        ArrowDown: [0, -step],
+      };
+      if (moves[event.key]) {
+        event.preventDefault();
+        const [dt, dv] = moves[event.key];
+        this.movePoint(index, point.time + dt, snap(value + dv, step));
+      } else if (event.key === 'Delete' || event.key === 'Backspace') {
+        event.preventDefault();
+        this.removePoint(index);
+      }
+    });
+  }
+
+  render() {
+    const { key, toDisplay, format, valueAt } = this.options;
+    const svg = this.svg;
+    const bottom = GRAPH.height - GRAPH.bottom;
+    const right = GRAPH.width - GRAPH.right;
+    svg.textContent = '';
+
+    // Grid: a line per whole value, a time label about every sixth of the axis
+    for (let value = 0; value <= this.valueMax; value++) {
+      svg.appendChild(svgElement('line', { class: 'graph-grid', x1: GRAPH.left, x2: right, y1: this.y(value), y2: this.y(value) }));
+      const label = svgElement('text', { class: 'graph-label', x: GRAPH.left - 6, y: this.y(value) + 4, 'text-anchor': 'end' });
+      label.textContent = format(value);
+      svg.appendChild(label);
+    }
+    const timeStep = [5, 10, 15, 30, 60, 120].find(step => this.timeMax / step <= 6) || 120;
+    for (let time = 0; time <= this.timeMax; time += timeStep) {
+      const label = svgElement('text', { class: 'graph-label', x: this.x(time), y: bottom + 18, 'text-anchor': 'middle' });
+      label.textContent = `${time}s`;
+      svg.appendChild(label);
+    }
+    svg.appendChild(svgElement('line', { class: 'graph-axis', x1: GRAPH.left, x2: right, y1: bottom, y2: bottom }));
+
+    // Where the level ends; checkpoints past it are errors
+    if (Number.isFinite(this.duration) && this.duration < this.timeMax) {
+      const end = this.x(this.duration);
+      svg.appendChild(svgElement('line', { class: 'graph-end', x1: end, x2: end, y1: GRAPH.top, y2: bottom }));
+    }
+
+    // The curve as the game plays it (sampled, since spawn rate is 1 / a linear interval)
+    if (this.points.length) {
+      const samples = 120;
+      const path = [];
+      for (let i = 0; i <= samples; i++) {
+        const time = (i / samples) * this.timeMax;
+        const value = clamp(toDisplay(valueAt(this.points, time)), 0, this.valueMax);
+        path.push(`${i ? 'L' : 'M'}${this.x(time).toFixed(1)},${this.y(value).toFixed(1)}`);
+      }
+      svg.appendChild(svgElement('path', { class: 'graph-curve', d: path.join(' ') }));
+    }
+
+    this.points.forEach((point, index) => {
+      const value = toDisplay(point[key]);
+      const handle = svgElement('circle', {
+        class: index === 0 ? 'graph-point is-locked' : 'graph-point',
+        cx: this.x(point.time),
+        cy: this.y(clamp(value, 0, this.valueMax)),
+        r: 7,
+        tabindex: 0,
+        role: 'button',
+        'data-index': index,
+        'aria-label': `${point.time} seconds: ${format(round(value))}`,
+      });
+      const title = svgElement('title');
+      title.textContent = `${point.time}s · ${format(round(value))}`;
+      handle.appendChild(title);
+      svg.appendChild(handle);
+    });
+
+    if (this.focusIndex !== null) {
+      const handle = svg.querySelector(`[data-index="${this.focusIndex}"]`);
+      if (handle && this.dragging === null) handle.focus();
+      this.focusIndex = null;
+    }
+  }
+}
+
+// ==========================================
+// EDITOR PAGE
+// ==========================================
+
+/**
+ * Storage for the preview game: reads fall through to localStorage (so
+ * controls and accessibility settings apply) but nothing is written back,
+ * which keeps test runs off the real high score tables and stats
+ */
+function previewStorage() {
+  const data = new Map();
+  return {
+    getItem: key => (data.has(key) ? data.get(key) : localStorage.getItem(key)),
+    setItem: (key, value) => data.set(key, String(value)),
+    removeItem: key => data.set(key, null),
+  };
+}
+
+function clone(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+// Starting draft from a preset; renamed so it never shares the preset's scores
+function remixOf(preset) {
+  return Object.assign(clone(preset), { id: `${preset.id}-remix`, name: `${preset.name} Remix` });
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+  const form = document.getElementById('levelForm');
+  if (!form) return;
+
+  const $ = id => document.getElementById(id);
+  const presetSelect = $('levelPreset');
+  const fileInput = $('levelFile');
+  const nameInput = $('levelName');
+  const idInput = $('levelId');
+  const durationInput = $('levelDuration');
+  const baseSpeedInput = $('baseSpeed');
+  const maxSpeedInput = $('maxSpeed');
+  const winTypeSelect = $('winType');
+  const winTargetField = $('winTargetField');
+  const winTargetInput = $('winTarget');
+  const palette = $('emojiPalette');
+  const poolRows = $('poolRows');
+  const errorBox = $('levelErrors');
+  const downloadBtn = $('downloadLevel');
+  const copyBtn = $('copyLink');
+  const copyStatus = $('copyStatus');
+  const shareLink = $('shareLink');
+  const jsonOutput = $('levelJson');
+  const previewEl = $('previewGame');
+  const previewSound = $('previewSound');
+  const previewStale = $('previewStale');
+  const refreshPreviewBtn = $('refreshPreview');
+
+  const behaviors = Object.keys(AvoidGameSim.BEHAVIORS);
+  const storage = previewStorage();
+  let draft = null;
+  let level = null; // validated draft, null while it has errors
+  let preview = null;
+  let previewTimer = null;
+
+  const speedGraph = new CurveGraph($('speedGraph'), {
+    key: 'speedMultiplier',
+    min: 0.1,
+    max: 4,
+    step: 0.05,
+    format: value => `×${value}`,
+    valueAt: (points, time) => AvoidGameSim.getSpeedMultiplier({ difficulty: { difficultyCheckpoints: points } }, time),
+    onChange: changed,
+  });
+
+  // Plotted as spawns per second (higher = harder, like the speed graph)
+  const spawnGraph = new CurveGraph($('spawnGraph'), {
+    key: 'spawnInterval',
+    min: 0.1,
+    max: 3,
+    step: 0.05,
+    format: value => `${value}/s`,
+    toDisplay: interval => 1 / interval,
+    fromDisplay: rate => 1 / rate,
+    valueAt: (points, time) => AvoidGameSim.getSpawnInterval({ difficulty: { spawnIntervalCheckpoints: points } }, time),
+    onChange: changed,
+  });
+
+  // Empty number fields become undefined so validation names them
+  const numberFrom = input => (input.value === '' ? undefined : Number(input.value));
+
+  // ==========================================
+  // DRAFT <-> FORM
+  // ==========================================
+
+  function loadDraft(data) {
+    draft = clone(data);
+    draft.difficulty = Object.assign({ difficultyCheckpoints: [], spawnIntervalCheckpoints: [] }, draft.difficulty);
+    draft.objects = Array.isArray(draft.objects) ? draft.objects : [];
+    draft.winCondition = draft.winCondition || { type: 'survive' };
+
+    nameInput.value = draft.name || '';
+    idInput.value = draft.id || '';
+    durationInput.value = draft.duration;
+    baseSpeedInput.value = draft.difficulty.baseSpeed;
+    maxSpeedInput.value = draft.difficulty.maxSpeed;
+    winTypeSelect.value = draft.winCondition.type === 'score' ? 'score' : 'survive';
+    winTargetInput.value = draft.winCondition.target || '';
+    winTargetField.hidden = winTypeSelect.value !== 'score';
+
+    renderPool();
+    drawGraphs();
+    changed();
+  }
+
+  function drawGraphs() {
+    speedGraph.setData(draft.difficulty.difficultyCheckpoints, draft.duration);
+    spawnGraph.setData(draft.difficulty.spawnIntervalCheckpoints, draft.duration);
+  }
+
+  function readFields() {
+    draft.name = nameInput.value;
+    if (idInput.value.trim()) {
+      draft.id = idInput.value.trim();
+    } else {
+      delete draft.id; // validateLevel derives one from the name
+    }
+    draft.duration = numberFrom(durationInput);
+    draft.difficulty.baseSpeed = numberFrom(baseSpeedInput);
+    draft.difficulty.maxSpeed = numberFrom(maxSpeedInput);
+    winTargetField.hidden = winTypeSelect.value !== 'score';
+    draft.winCondition = winTypeSelect.value === 'score'
+      ? { type: 'score', target: numberFrom(winTargetInput) }
+      : { type: 'survive' };
+  }
+
+  // ==========================================
+  // EMOJI POOL
+  // ==========================================
+
+  function renderPool() {
+    const options = behaviors.map(name => `<option value="${name}">${name}</option>`).join('');
+    poolRows.innerHTML = draft.objects.map((item, index) => `
+      <tr data-row="${index}">
+        <td><input type="text" class="pool-emoji" data-field="emoji" maxlength="16" aria-label="Emoji ${index + 1}"></td>
+        <td><input type="text" data-field="label" aria-label="Label ${index + 1}"></td>
+        <td class="pool-weight">
+          <input type="number" data-field="weight" min="0.1" step="0.5" placeholder="1" aria-label="Weight ${index + 1}">
+          <span class="pool-share" data-share></span>
+        </td>
+        <td><select data-field="behavior" aria-label="Behavior ${index + 1}">${options}</select></td>
+        <td><input type="number" data-field="size" min="16" max="120" step="2" placeholder="${AvoidGameSim.DEFAULT_CONFIG.objectSize}" aria-label="Size ${index + 1}"></td>
+        <td><input type="number" data-field="points" min="0" max="1000" step="5" placeholder="${AvoidGameSim.DEFAULT_CONFIG.dodgePoints}" aria-label="Points ${index + 1}"></td>
+        <td><button type="button" class="pool-remove" data-remove aria-label="Remove ${index + 1}">✕</button></td>
+      </tr>
+    `).join('');
+
+    // Values go in as properties so emoji and labels need no escaping
+    poolRows.querySelectorAll('tr').forEach((row, index) => {
+      const item = draft.objects[index];
+      row.querySelectorAll('[data-field]').forEach(field => {
+        const value = item[field.dataset.field];
+        field.value = value === undefined ? (field.dataset.field === 'behavior' ? 'fall' : '') : value;
+      });
+    });
+    updateShares();
+  }
+
+  // How often each object falls, from the weights
+  function updateShares() {
+    const weightOf = item => (Number.isFinite(item.weight) && item.weight > 0 ? item.weight : 1);
+    const total = draft.objects.reduce((sum, item) => sum + weightOf(item), 0);
+    poolRows.querySelectorAll('[data-share]').forEach((share, index) => {
+      share.textContent = `${Math.round((weightOf(draft.objects[index]) / total) * 100)}%`;
+    });
+  }
+
+  function addObject(pick) {
+    draft.objects.push({ emoji: pick.emoji, label: pick.label });
+    renderPool();
+    changed();
+    const rows = poolRows.querySelectorAll('tr');
+    rows[rows.length - 1].querySelector('[data-field="label"]').focus();
+  }
+
+  palette.innerHTML = EMOJI_PALETTE.map((pick, index) => `
+    <button type="button" class="emoji-pick" data-pick="${index}" title="Add ${pick.label}" aria-label="Add ${pick.label}">${pick.emoji}</button>
+  `).join('') + '<button type="button" class="btn-secondary" data-pick="custom">+ Custom</button>';
+
+  palette.addEventListener('click', event => {
+    const button = event.target.closest('[data-pick]');
+    if (!button) return;
+    addObject(button.dataset.pick === 'custom' ? { emoji: '❓', label: 'custom' } : EMOJI_PALETTE[button.dataset.pick]);
+  });
+
+  poolRows.addEventListener('input', event => {
+    const field = event.target.dataset.field;
+    const row = event.target.closest('[data-row]');
+    if (!field || !row) return;
+    const item = draft.objects[row.dataset.row];
+    const value = event.target.value;
+
+    if (field === 'emoji' || field === 'label') {
+      item[field] = value;
+    } else if (field === 'behavior') {
+      item.behavior = value;
+      // Tuning only carries over where the new behavior has the same knob
+      if (item.params) {
+        const known = Object.keys(AvoidGameSim.BEHAVIORS[value].defaults);
+        Object.keys(item.params).forEach(key => {
+          if (!known.includes(key)) delete item.params[key];
+        });
+        if (!Object.keys(item.params).length) delete item.params;
+      }
+    } else if (value === '') {
+      delete item[field];
+    } else {
+      item[field] = Number(value);
+    }
+    changed();
+  });
+
+  poolRows.addEventListener('click', event => {
+    const button = event.target.closest('[data-remove]');
+    if (!button) return;
+    draft.objects.splice(Number(button.closest('[data-row]').dataset.row), 1);
+    renderPool();
+    changed();
+  });
+
+  // ==========================================
+  // OUTPUT + PREVIEW
+  // ==========================================
+
+  // One line per validation message (null clears the box)
+  function showErrors(error, intro) {
+    errorBox.textContent = '';
+    if (!error) return;
+    const heading = document.createElement('p');
+    heading.textContent = intro;
+    const list = document.createElement('ul');
+    (error.errors || [error.message]).forEach(line => {
+      const item = document.createElement('li');
+      item.textContent = line;
+      list.appendChild(item);
+    });
+    errorBox.append(heading, list);
+  }
+
+  // Re-validate, refresh the outputs and queue a preview rebuild
+  function changed() {
+    if (!draft) return;
+    try {
+      level = AvoidGameLevels.validateLevel(draft);
+      showErrors(null);
+    } catch (error) {
+      level = null;
+      showErrors(error, 'Fix these before sharing:');
+    }
+
+    jsonOutput.value = JSON.stringify(level || draft, null, 2);
+    shareLink.value = level
+      ? new URL(`game.html?levelData=${AvoidGameLevels.encodeLevel(level)}`, location.href).href
+      : '';
+    downloadBtn.disabled = !level;
+    copyBtn.disabled = !level;
+    copyStatus.textContent = '';
+    updateShares();
+
+    try {
+      localStorage.setItem(DRAFT_KEY, JSON.stringify(draft));
+    } catch (error) {
+      console.warn('Failed to save level draft:', error);
+    }
+
+    clearTimeout(previewTimer);
+    if (level) previewTimer = setTimeout(() => refreshPreview(false), PREVIEW_DELAY);
+  }
+
+  /**
+   * Remount the preview with the current draft. A run in progress is left
+   * alone unless forced; the stale notice offers the restart instead
+   * @returns {boolean} whether a new preview was mounted
+   */
+  function refreshPreview(force) {
+    if (!level) return false;
+    if (!force && preview && (preview.state === 'playing' || preview.state === 'paused')) {
+      previewStale.hidden = false;
+      return false;
+    }
+    previewStale.hidden = true;
+    if (preview) preview.destroy();
+    preview = AvoidGame.mount(previewEl, {
+      level,
+      sound: previewSound.checked,
+      achievements: false,
+      telemetry: false,
+      storage,
+    });
+    return true;
+  }
+
+  // An invalid draft mounts nothing: leave the old preview (if any) alone
+  refreshPreviewBtn.addEventListener('click', () => {
+    if (refreshPreview(true)) preview.start();
+  });
+
+  previewSound.addEventListener('change', () => refreshPreview(false));
+
+  downloadBtn.addEventListener('click', () => {
+    if (!level) return;
+    const blob = new Blob([`${JSON.stringify(level, null, 2)}\n`], { type: 'application/json' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = `${level.id}.json`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(link.href), 0);
+  });
+
+  copyBtn.addEventListener('click', () => {
+    if (!level) return;
+    const copied = navigator.clipboard
+      ? navigator.clipboard.writeText(shareLink.value)
+      : Promise.reject(new Error('Clipboard unavailable'));
+    copied
+      .then(() => {
+        copyStatus.textContent = 'Link copied!';
+      })
+      .catch(() => {
+        shareLink.select();
+        copyStatus.textContent = 'Press Ctrl+C to copy the selected link';
+      });
+  });
+
+  // ==========================================
+  // FORM EVENTS
+  // ==========================================
+
+  Object.keys(AvoidGameLevels.PRESETS).forEach(id => {
+    const option = document.createElement('option');
+    option.value = id;
+    option.textContent = AvoidGameLevels.PRESETS[id].name;
+    presetSelect.appendChild(option);
+  });
+
+  presetSelect.addEventListener('change', () => {
+    const preset = AvoidGameLevels.getPreset(presetSelect.value);
+    if (preset) loadDraft(remixOf(preset));
+    presetSelect.value = '';
+  });
+
+  fileInput.addEventListener('change', () => {
+    const file = fileInput.files[0];
+    if (!file) return;
+    AvoidGameLevels.loadLevelFromFile(file)
+      .then(loadDraft)
+      .catch(error => {
+        console.warn('Level load failed:', error);
+        showErrors(error, `${file.name} could not be opened:`);
+      });
+    fileInput.value = '';
+  });
+
+  [nameInput, idInput, durationInput, baseSpeedInput, maxSpeedInput, winTypeSelect, winTargetInput].forEach(input => {
+    input.addEventListener('input', () => {
+      readFields();
+      if (input === durationInput) drawGraphs();
+      changed();
+    });
+  });
+
+  form.addEventListener('submit', event => event.preventDefault());
+
+  // ==========================================
+  // START
+  // ==========================================
+
+  // A shared link opens for editing, then the last draft, then Normal
+  function savedDraft() {
+    try {
+      return JSON.parse(localStorage.getItem(DRAFT_KEY) || 'null');
+    } catch (error) {
+      console.warn('Level draft unreadable, starting fresh:', error);
+      return null;
+    }
+  }
+
+  AvoidGameLevels.loadLevelFromQuery()
+    .then(shared => {
+      const saved = savedDraft();
+      if (shared) {
+        loadDraft(AvoidGameLevels.getPreset(shared.id) === shared ? remixOf(shared) : shared);
+      } else {
+        loadDraft(saved && typeof saved === 'object' ? saved : remixOf(AvoidGameLevels.getPreset('normal')));
+      }
+    })
+    .catch(error => {
+      console.warn('Shared level unreadable:', error);
+      loadDraft(remixOf(AvoidGameLevels.getPreset('normal')));
+    });
+});
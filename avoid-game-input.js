@@ -0,0 +1,481 @@
+// ====================================
+// AVOID GAME INPUT
+// Maps keyboard keys, gamepads and touch/pen/mouse pointers to the
+// simulation input { moving: 'left'|'right'|'none', speed: 0..1 }.
+// Key bindings and the touch scheme are kept in localStorage (or the given storage).
+// Works as a browser <script> (window.AvoidGameInput) or a Node module.
+// ====================================
+
+(function (root) {
+  const STORAGE_KEY = 'avoidGame.keyBindings';
+  const ACTIONS = ['left', 'right'];
+  // KeyboardEvent.code values, so bindings survive keyboard layouts
+  const DEFAULT_BINDINGS = {
+    left: ['ArrowLeft', 'KeyA'],
+    right: ['ArrowRight', 'KeyD'],
+  };
+  // Versus mode: fixed keys per player, independent of the saved bindings
+  const VERSUS_BINDINGS = [
+    { left: ['KeyA'], right: ['KeyD'] },
+    { left: ['ArrowLeft'], right: ['ArrowRight'] },
+  ];
+  // Pause keys are handled by the game and cannot be bound to movement
+  const RESERVED_CODES = ['Escape', 'KeyP'];
+  const DEADZONE = 0.2;
+  // Standard gamepad mapping: d-pad left/right buttons
+  const DPAD_LEFT = 14;
+  const DPAD_RIGHT = 15;
+
+  /**
+   * Short label for a key code: 'KeyA' -> 'A', 'ArrowLeft' -> '←'
+   */
+  function keyLabel(code) {
+    if (!code) return '—';
+    const arrows = { ArrowLeft: '←', ArrowRight: '→', ArrowUp: '↑', ArrowDown: '↓' };
+    if (arrows[code]) return arrows[code];
+    if (/^Key[A-Z]$/.test(code)) return code.slice(3);
+    if (/^Digit\d$/.test(code)) return code.slice(5);
+    return code.replace(/^Numpad/, 'Num ');
+  }
+
+  /**
+   * Stick value past the deadzone, rescaled so the usable range is 0..1
+   */
+  function applyDeadzone(value, deadzone = DEADZONE) {
+    const magnitude = Math.abs(value);
+    if (magnitude < deadzone) return 0;
+    return Math.sign(value) * Math.min(1, (magnitude - deadzone) / (1 - deadzone));
+  }
+
+  /**
+   * Keys typed into a form field (high-score initials, the page's contact
+   * form) belong to the field, not the game
+   */
+  function isEditable(target) {
+    if (!target || !target.tagName) return false;
+    return /^(INPUT|TEXTAREA|SELECT)$/.test(target.tagName) || Boolean(target.isContentEditable);
+  }
+
+  class InputManager {
+    /**
+     * @param {Storage} [storage] - where key bindings are kept
+     * @param {EventTarget|null} [target] - element (or document) whose keys count; null for no keyboard
+     * @param {{gamepad?: boolean, isActive?: function(): boolean}} [options] - gamepad: false
+     *   ignores connected pads; isActive: whether a run is playing (movement keys
+     *   only block the page's default scrolling then)
+     */
+    constructor(storage = root.localStorage, target = root.document, options = {}) {
+      this.storage = storage;
+      this.target = target;
+      this.useGamepad = options.gamepad !== false;
+      this.isActive = options.isActive || (() => true);
+      this.bindings = this.loadBindings();
+      this.held = [];           // held movement codes, most recent last
+      this.rebinding = null;    // { action, slot, done } while waiting for a key
+      this.gamepadIndex = null; // last gamepad that produced input
+      this.playerBindings = null; // VERSUS_BINDINGS while a versus match runs
+
+      this.onKeyDown = event => this.handleKeyDown(event);
+      this.onKeyUp = event => this.handleKeyUp(event);
+      this.onBlur = () => this.reset();
+      if (target) {
+        target.addEventListener('keydown', this.onKeyDown);
+        target.addEventListener('keyup', this.onKeyUp);
+      }
+      if (root.addEventListener) {
+        root.addEventListener('blur', this.onBlur);
+      }
+    }
+
+    // ==========================================
+    // BINDINGS
+    // ==========================================
+
+    loadBindings() {
+      const bindings = JSON.parse(JSON.stringify(DEFAULT_BINDINGS));
+      try {
+        const saved = JSON.parse(this.storage && this.storage.getItem(STORAGE_KEY) || 'null');
+        if (saved && typeof saved === 'object') {
+          ACTIONS.forEach(action => {
+            if (Array.isArray(saved[action])) {
+              bindings[action] = saved[action]
+                .slice(0, 2)
+                .map(code => (typeof code === 'string' && !RESERVED_CODES.includes(code) ? code : null));
+            }
+          });
+        }
+      } catch (error) {
+        console.warn('Key bindings unreadable, using defaults:', error);
+      }
+      return bindings;
+    }
+
+    saveBindings() {
+      try {
+        this.storage.setItem(STORAGE_KEY, JSON.stringify(this.bindings));
+      } catch (error) {
+        console.warn('Failed to save key bindings:', error);
+      }
+    }
+
+    resetBindings() {
+      this.bindings = JSON.parse(JSON.stringify(DEFAULT_BINDINGS));
+      this.saveBindings();
+      this.reset();
+    }
+
+    /**
+     * Which action a key code is bound to, if any
+     */
+    actionFor(code, bindings = this.bindings) {
+      return ACTIONS.find(action => bindings[action].includes(code)) || null;
+    }
+
+    /**
+     * Switch to per-player keys (versus) or back to the saved bindings (null)
+     */
+    setPlayerBindings(playerBindings) {
+      this.playerBindings = playerBindings;
+      this.reset();
+    }
+
+    isMovementKey(code) {
+      if (this.playerBindings) {
+        return this.playerBindings.some(bindings => this.actionFor(code, bindings));
+      }
+      return Boolean(this.actionFor(code));
+    }
+
+    /**
+     * Wait for the next key press and bind it to action[slot]
+     * Escape cancels; a key already used elsewhere moves to this slot
+     * @param {function} done - called with the new code, or null when cancelled
+     */
+    startRebind(action, slot, done) {
+      this.rebinding = { action, slot, done };
+    }
+
+    cancelRebind() {
+      const rebinding = this.rebinding;
+      this.rebinding = null;
+      if (rebinding) rebinding.done(null);
+    }
+
+    finishRebind(code) {
+      const { action, slot, done } = this.rebinding;
+      this.rebinding = null;
+      ACTIONS.forEach(other => {
+        this.bindings[other] = this.bindings[other].map(bound => (bound === code ? null : bound));
+      });
+      this.bindings[action][slot] = code;
+      this.saveBindings();
+      this.reset();
+      done(code);
+    }
+
+    // ==========================================
+    // KEYBOARD
+    // ==========================================
+
+    handleKeyDown(event) {
+      if (this.rebinding) {
+        event.preventDefault();
+        event.stopImmediatePropagation();
+        if (event.code === 'Escape') {
+          this.cancelRebind();
+        } else if (!RESERVED_CODES.includes(event.code)) {
+          this.finishRebind(event.code);
+        }
+        return;
+      }
+
+      if (isEditable(event.target) || !this.isMovementKey(event.code)) return;
+      if (!this.held.includes(event.code)) {
+        this.held.push(event.code);
+      }
+      if (this.isActive()) event.preventDefault();
+    }
+
+    handleKeyUp(event) {
+      const index = this.held.indexOf(event.code);
+      if (index !== -1) {
+        this.held.splice(index, 1);
+        if (this.isActive()) event.preventDefault();
+      }
+    }
+
+    /**
+     * Direction from held keys: the most recently pressed one wins, so
+     * releasing one arrow while the other is held keeps moving
+     */
+    keyboardDirection(bindings = this.bindings) {
+      for (let i = this.held.length - 1; i >= 0; i--) {
+        const action = this.actionFor(this.held[i], bindings);
+        if (action) return action;
+      }
+      return 'none';
+    }
+
+    // ==========================================
+    // GAMEPAD
+    // ==========================================
+
+    /**
+     * Poll connected gamepads; the analog stick wins over the d-pad
+     * @param {number} [only] - read just this pad slot (versus players)
+     * @returns {{moving: string, speed: number}|null} null when no pad is pushed
+     */
+    readGamepad(only) {
+      const nav = root.navigator;
+      if (!this.useGamepad || !nav || typeof nav.getGamepads !== 'function') return null;
+
+      const pads = nav.getGamepads() || [];
+      for (let i = 0; i < pads.length; i++) {
+        if (only !== undefined && i !== only) continue;
+        const pad = pads[i];
+        if (!pad || !pad.connected) continue;
+
+        const stick = applyDeadzone(pad.axes[0] || 0);
+        if (stick !== 0) {
+          this.gamepadIndex = pad.index;
+          return {
+            moving: stick < 0 ? 'left' : 'right',
+            // Rounded so replays store the exact value the simulation used
+            speed: Math.round(Math.abs(stick) * 100) / 100,
+          };
+        }
+
+        const pressed = button => Boolean(pad.buttons[button] && pad.buttons[button].pressed);
+        if (pressed(DPAD_LEFT) !== pressed(DPAD_RIGHT)) {
+          this.gamepadIndex = pad.index;
+          return { moving: pressed(DPAD_LEFT) ? 'left' : 'right', speed: 1 };
+        }
+      }
+      return null;
+    }
+
+    /**
+     * Current movement input for one simulation tick
+     * @returns {{moving: 'left'|'right'|'none', speed: number}}
+     */
+    read() {
+      const gamepad = this.readGamepad();
+      if (gamepad) return gamepad;
+      return { moving: this.keyboardDirection(), speed: 1 };
+    }
+
+    /**
+     * Movement for one versus player: their own keys, or the pad in their slot
+     * @param {number} index - 0-based player
+     */
+    readPlayer(index) {
+      const gamepad = this.readGamepad(index);
+      if (gamepad) return gamepad;
+      return { moving: this.keyboardDirection(this.playerBindings[index]), speed: 1 };
+    }
+
+    /**
+     * Forget held keys (pause, focus loss, new run)
+     */
+    reset() {
+      this.held = [];
+    }
+
+    destroy() {
+      if (this.target) {
+        this.target.removeEventListener('keydown', this.onKeyDown);
+        this.target.removeEventListener('keyup', this.onKeyUp);
+      }
+      if (root.removeEventListener) {
+        root.removeEventListener('blur', this.onBlur);
+      }
+    }
+  }
+
+  // ==========================================
+  // TOUCH CONTROLS
+  // Pointer events, so fingers, pens and the mouse behave the same.
+  //   drag    - the bulldog eases toward the x of the newest pointer down
+  //   buttons - on-screen hold buttons in the bottom corners
+  // ==========================================
+  const TOUCH_SCHEME_KEY = 'avoidGame.touchScheme';
+  const TOUCH_SCHEMES = ['drag', 'buttons'];
+  // Share of the remaining distance covered per tick while dragging
+  const DRAG_SMOOTHING = 0.35;
+  const DRAG_DEADBAND = 2; // logical units
+
+  class TouchControls {
+    /**
+     * @param {HTMLElement} board
+     * @param {object} options
+     * @param {function(number): number} options.toLogicalX - clientX -> sim x
+     * @param {function(string, object)} [options.onEvent] - raw events, for replays
+     * @param {function(): boolean} [options.isActive] - ignore pointers when false
+     * @param {Storage} [options.storage] - where the chosen scheme is kept
+     */
+    constructor(board, options) {
+      this.board = board;
+      this.toLogicalX = options.toLogicalX;
+      this.onEvent = options.onEvent || (() => {});
+      this.isActive = options.isActive || (() => true);
+      this.storage = options.storage || root.localStorage;
+      this.scheme = TouchControls.savedScheme(this.storage);
+      this.pointers = new Map(); // pointerId -> { x, direction }, in press order
+
+      this.buttons = ['left', 'right'].map(direction => {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = `touch-button touch-button-${direction}`;
+        button.dataset.direction = direction;
+        button.setAttribute('aria-label', `Move ${direction}`);
+        button.textContent = direction === 'left' ? '◀' : '▶';
+        board.appendChild(button);
+        return button;
+      });
+
+      this.onPointerDown = event => this.handlePointerDown(event);
+      this.onPointerMove = event => this.handlePointerMove(event);
+      this.onPointerUp = event => this.handlePointerUp(event);
+      board.addEventListener('pointerdown', this.onPointerDown);
+      board.addEventListener('pointermove', this.onPointerMove);
+      ['pointerup', 'pointercancel', 'lostpointercapture'].forEach(type => {
+        board.addEventListener(type, this.onPointerUp);
+      });
+      this.setScheme(this.scheme);
+    }
+
+    static savedScheme(storage = root.localStorage) {
+      try {
+        const saved = storage && storage.getItem(TOUCH_SCHEME_KEY);
+        return TOUCH_SCHEMES.includes(saved) ? saved : 'drag';
+      } catch (error) {
+        return 'drag';
+      }
+    }
+
+    setScheme(scheme) {
+      this.scheme = TOUCH_SCHEMES.includes(scheme) ? scheme : 'drag';
+      this.reset();
+      this.board.classList.toggle('touch-buttons', this.scheme === 'buttons');
+      this.buttons.forEach(button => {
+        button.hidden = this.scheme !== 'buttons';
+      });
+      try {
+        this.storage.setItem(TOUCH_SCHEME_KEY, this.scheme);
+      } catch (error) {
+        console.warn('Could not save touch scheme:', error);
+      }
+    }
+
+    handlePointerDown(event) {
+      if (!this.isActive() || (event.pointerType === 'mouse' && event.button !== 0)) return;
+
+      const button = event.target.closest && event.target.closest('.touch-button');
+      if (this.scheme === 'buttons' && !button) return;
+      event.preventDefault();
+      // Keep receiving this pointer's moves/up even if it leaves the board
+      if (this.board.setPointerCapture) {
+        try {
+          this.board.setPointerCapture(event.pointerId);
+        } catch (error) {
+          // Synthetic or already released pointers cannot be captured
+        }
+      }
+
+      this.pointers.delete(event.pointerId); // re-insert as the newest
+      this.pointers.set(event.pointerId, {
+        x: this.toLogicalX(event.clientX),
+        direction: button ? button.dataset.direction : null,
+      });
+      if (button) button.classList.add('is-pressed');
+      this.onEvent('pointerdown', { pointerType: event.pointerType, x: Math.round(this.toLogicalX(event.clientX)) });
+    }
+
+    handlePointerMove(event) {
+      const pointer = this.pointers.get(event.pointerId);
+      if (!pointer) return;
+      pointer.x = this.toLogicalX(event.clientX);
+      if (this.scheme === 'drag') {
+        this.onEvent('pointermove', { x: Math.round(pointer.x) });
+      }
+    }
+
+    handlePointerUp(event) {
+      const pointer = this.pointers.get(event.pointerId);
+      if (!pointer) return;
+      this.pointers.delete(event.pointerId);
+      this.refreshButtons();
+      this.onEvent('pointerup', { pointerType: event.pointerType });
+    }
+
+    refreshButtons() {
+      const held = Array.from(this.pointers.values()).map(pointer => pointer.direction);
+      this.buttons.forEach(button => {
+        button.classList.toggle('is-pressed', held.includes(button.dataset.direction));
+      });
+    }
+
+    /**
+     * Movement for this tick, or null when no pointer is down
+     * @param {{x: number, width: number}} character - current sim character
+     * @param {number} maxStep - how far the bulldog moves in one tick at full speed
+     */
+    read(character, maxStep) {
+      const pointers = Array.from(this.pointers.values());
+      const newest = pointers[pointers.length - 1];
+      if (!newest) return null;
+
+      if (this.scheme === 'buttons') {
+        return newest.direction ? { moving: newest.direction, speed: 1 } : null;
+      }
+
+      const distance = newest.x - (character.x + character.width / 2);
+      if (Math.abs(distance) < DRAG_DEADBAND) {
+        return { moving: 'none', speed: 1 };
+      }
+      // Ease in: cover a share of the gap each tick, capped at full speed
+      const speed = Math.min(1, (Math.abs(distance) * DRAG_SMOOTHING) / maxStep);
+      return {
+        moving: distance < 0 ? 'left' : 'right',
+        // Rounded so replays store the exact value the simulation used
+        speed: Math.max(0.01, Math.round(speed * 100) / 100),
+      };
+    }
+
+    reset() {
+      this.pointers.clear();
+      this.refreshButtons();
+    }
+
+    destroy() {
+      this.board.removeEventListener('pointerdown', this.onPointerDown);
+      this.board.removeEventListener('pointermove', this.onPointerMove);
+      ['pointerup', 'pointercancel', 'lostpointercapture'].forEach(type => {
+        this.board.removeEventListener(type, this.onPointerUp);
+      });
+      this.buttons.forEach(button => button.remove());
+      this.board.classList.remove('touch-buttons');
+    }
+  }
+
+  const AvoidGameInput = {
+    STORAGE_KEY,
+    ACTIONS,
+    DEFAULT_BINDINGS,
+    RESERVED_CODES,
+    VERSUS_BINDINGS,
+    DEADZONE,
+    InputManager,
+    TouchControls,
+    TOUCH_SCHEMES,
+    applyDeadzone,
+    keyLabel,
+    isEditable,
+  };
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AvoidGameInput;
+  } else {
+    root.AvoidGameInput = AvoidGameInput;
+  }
+})(typeof window !== 'undefined' ? window : globalThis);
@@ -0,0 +1,324 @@
+// ====================================
+// AVOID GAME LEADERBOARD
+// LeaderboardClient + pluggable backends (localStorage, HTTP) and the
+// anti-tamper checks shared with leaderboard-server.js.
+// Works as a browser <script> (window.AvoidGameLeaderboard) or a Node module.
+// ====================================
+
+(function (root) {
+  const isNode = typeof module !== 'undefined' && module.exports;
+  const AvoidGameSim = isNode ? require('./avoid-game-sim.js') : root.AvoidGameSim;
+  const AvoidGameReplay = isNode ? require('./avoid-game-replay.js') : root.AvoidGameReplay;
+  const AvoidGameLevels = isNode ? require('./avoid-game-levels.js') : root.AvoidGameLevels;
+
+  const STORAGE_KEY = 'avoidGame.leaderboard';
+  const TOP_LIMIT = 20;
+
+  // ==========================================
+  // ANTI-TAMPER CHECKS
+  // ==========================================
+
+  /**
+   * FNV-1a hash of the seed + per-tick inputs (direction and analog speed), as 8 hex chars
+   * Cheap fingerprint that ties a score to one exact recorded run
+   */
+  function hashReplayInputs(replay) {
+    const frames = replay.inputs.map(frame => frame.moving.charAt(0) + (frame.speed !== undefined ? frame.speed : ''));
+    const text = `${replay.seed}:${frames.join('')}`;
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+      hash ^= text.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193) >>> 0;
+    }
+    return hash.toString(16).padStart(8, '0');
+  }
+
+  /**
+   * Most points one spawn can be worth - a splitting object pays out
+   * through both of its halves
+   */
+  function maxPointsPerSpawn(config) {
+    return config.stressObjects.reduce((best, item) => {
+      const points = item.points === undefined ? config.dodgePoints : item.points;
+      const value = item.behavior === 'split' ? 2 * Math.ceil(points / 2) : points;
+      return Math.max(best, value);
+    }, 0);
+  }
+
+  /**
+   * Highest score reachable by a given time: every object spawned so far
+   * dodged at the best point value, under a score multiplier. The spawn
+   * schedule only depends on time (slow-time only ever delays it), never
+   * on the seed
+   */
+  function maxScoreForTime(timeSurvived, config = AvoidGameSim.DEFAULT_CONFIG) {
+    const ticks = Math.floor(timeSurvived / AvoidGameSim.TIMESTEP + 1e-6);
+    let spawnTimer = 0;
+    let spawns = 0;
+    for (let tick = 1; tick <= ticks; tick++) {
+      spawnTimer += AvoidGameSim.TIMESTEP;
+      const interval = AvoidGameSim.getSpawnInterval(config, tick * AvoidGameSim.TIMESTEP);
+      if (spawnTimer >= interval) {
+        spawns++;
+        spawnTimer -= interval;
+      }
+    }
+    const multiplier = config.powerUpChance > 0 ? config.powerUps.multiplier.factor : 1;
+    return spawns * maxPointsPerSpawn(config) * multiplier;
+  }
+
+  /**
+   * Simulation config of a ranked level - only the built-in presets are
+   * ranked, so the rules never come from the client
+   */
+  function rankedConfig(levelId) {
+    const preset = AvoidGameLevels.getPreset(levelId);
+    if (!preset) {
+      throw new Error(`Level "${levelId}" is not ranked - only built-in presets go on the leaderboard`);
+    }
+    return Object.assign({}, AvoidGameSim.DEFAULT_CONFIG, AvoidGameLevels.levelToConfig(preset));
+  }
+
+  /**
+   * Ranked runs are played on the game's logical board: a wider (or
+   * taller) board than the page allows makes dodging easier
+   */
+  function checkRankedBoard(replay) {
+    const { width, minHeight, maxHeight } = AvoidGameSim.BOARD;
+    const fits = size => size.width === width && size.height >= minHeight && size.height <= maxHeight;
+    if (!fits(replay.config)) {
+      throw new Error(`Ranked runs are played on a ${width}-wide board, ${minHeight}-${maxHeight} tall`);
+    }
+    if ((replay.resizes || []).some(resize => !fits(resize))) {
+      throw new Error(`Replay resizes the board outside ${width} x ${minHeight}-${maxHeight}`);
+    }
+  }
+
+  /**
+   * Validate a score submission; throws an Error naming the first problem
+   * The attached replay is re-simulated and must match exactly - a bare
+   * score and hash prove nothing, so runs without one are refused
+   * @returns {object} the clean entry to store
+   */
+  function validateSubmission(submission) {
+    if (!submission || typeof submission !== 'object') {
+      throw new Error('Submission must be an object');
+    }
+
+    const levelId = submission.levelId || AvoidGameLevels.DEFAULT_LEVEL_ID;
+    const config = rankedConfig(levelId);
+
+    const { score, timeSurvived, result, inputHash } = submission;
+    if (!Number.isInteger(score) || score < 0) {
+      throw new Error('Score must be a non-negative integer');
+    }
+    if (typeof timeSurvived !== 'number' || !(timeSurvived >= 0) ||
+        timeSurvived > config.duration + AvoidGameSim.TIMESTEP) {
+      throw new Error(`Time survived must be between 0 and ${config.duration}s`);
+    }
+    if (result !== 'win' && result !== 'loss') {
+      throw new Error('Result must be "win" or "loss"');
+    }
+    if (result === 'win' && !config.winScore && timeSurvived < config.duration) {
+      throw new Error('A win must last the full game');
+    }
+    if (score > maxScoreForTime(timeSurvived, config)) {
+      throw new Error(`Score ${score} is impossible in ${timeSurvived.toFixed(1)}s`);
+    }
+    if (typeof inputHash !== 'string' || !/^[0-9a-f]{8}$/.test(inputHash)) {
+      throw new Error('Missing input hash');
+    }
+
+    if (!submission.replay) {
+      throw new Error('A replay is required to verify the run');
+    }
+    const replay = AvoidGameReplay.validateReplay(submission.replay);
+    if (replay.config.lives) {
+      throw new Error('Lives mode runs are practice only and not ranked');
+    }
+    if (replay.config.assist) {
+      throw new Error('Assist mode runs are not ranked');
+    }
+    if (hashReplayInputs(replay) !== inputHash) {
+      throw new Error('Input hash does not match the replay');
+    }
+    checkRankedBoard(replay);
+    // Re-run with the preset's rules - only the (checked) board size comes
+    // from the replay, so tuned lives/power-ups in its config count for nothing
+    const finalState = AvoidGameReplay.simulateReplay(Object.assign({}, replay, {
+      config: Object.assign({}, config, { width: replay.config.width, height: replay.config.height }),
+    }));
+    const replayResult = finalState.status === 'victory' ? 'win' : 'loss';
+    if (finalState.score !== score || replayResult !== result ||
+        Math.abs(finalState.elapsed - timeSurvived) > AvoidGameSim.TIMESTEP) {
+      throw new Error('Replay does not reproduce the submitted score');
+    }
+
+    return {
+      name: String(submission.name || '???').toUpperCase().replace(/[^A-Z0-9]/g, '').slice(0, 3) || '???',
+      level: levelId,
+      score,
+      timeSurvived: Math.round(timeSurvived * 10) / 10,
+      result,
+      inputHash,
+      verified: true,
+      date: new Date().toISOString(),
+    };
+  }
+
+  /**
+   * Build the payload for a finished run
+   */
+  function createSubmission(name, replay) {
+    return {
+      name,
+      levelId: replay.config.levelId || AvoidGameLevels.DEFAULT_LEVEL_ID,
+      score: replay.result.score,
+      timeSurvived: replay.result.elapsed,
+      result: replay.result.status === 'victory' ? 'win' : 'loss',
+      inputHash: hashReplayInputs(replay),
+      replay,
+    };
+  }
+
+  /**
+   * Entries that belong in a level's ranking - stores written before
+   * replays were required may still hold unverified scores
+   */
+  function isRanked(entry, levelId) {
+    return entry.verified === true && (entry.level || AvoidGameLevels.DEFAULT_LEVEL_ID) === levelId;
+  }
+
+  function compareEntries(a, b) {
+    return (b.score - a.score) || (b.timeSurvived - a.timeSurvived) || (Date.parse(a.date) - Date.parse(b.date));
+  }
+
+  // ==========================================
+  // BACKENDS
+  // Each backend implements submit(submission) and top(limit, levelId),
+  // both returning Promises
+  // ==========================================
+
+  /**
+   * Leaderboard kept in this browser's localStorage (no server needed)
+   */
+  class LocalLeaderboardBackend {
+    constructor(storage = root.localStorage, key = STORAGE_KEY) {
+      this.storage = storage;
+      this.key = key;
+    }
+
+    read() {
+      try {
+        const raw = this.storage && this.storage.getItem(this.key);
+        const entries = raw ? JSON.parse(raw) : [];
+        return Array.isArray(entries) ? entries : [];
+      } catch (error) {
+        console.warn('Leaderboard storage unreadable, starting fresh:', error);
+        return [];
+      }
+    }
+
+    submit(submission) {
+      return new Promise(resolve => {
+        const entry = validateSubmission(submission);
+        const entries = this.read();
+        if (entries.some(existing => existing.inputHash === entry.inputHash)) {
+          throw new Error('This run was already submitted');
+        }
+        entries.push(entry);
+        entries.sort(compareEntries);
+        this.storage.setItem(this.key, JSON.stringify(entries.slice(0, 100)));
+        resolve(entry);
+      });
+    }
+
+    top(limit = TOP_LIMIT, levelId = AvoidGameLevels.DEFAULT_LEVEL_ID) {
+      const entries = this.read().filter(entry => isRanked(entry, levelId));
+      return Promise.resolve(entries.sort(compareEntries).slice(0, limit));
+    }
+  }
+
+  /**
+   * Leaderboard served over HTTP: POST {baseUrl}/scores,
+   * GET {baseUrl}/scores?limit=N&level=ID
+   */
+  class HttpLeaderboardBackend {
+    constructor(baseUrl) {
+      this.baseUrl = String(baseUrl).replace(/\/+$/, '');
+    }
+
+    request(path, options = {}) {
+      return fetch(this.baseUrl + path, Object.assign({
+        headers: { 'Content-Type': 'application/json' },
+      }, options)).then(response => response.json()
+        .catch(() => ({}))
+        .then(body => {
+          if (!response.ok) {
+            throw new Error(body.error || `Leaderboard request failed (${response.status})`);
+          }
+          return body;
+        }));
+    }
+
+    submit(submission) {
+      return this.request('/scores', { method: 'POST', body: JSON.stringify(submission) })
+        .then(body => body.entry);
+    }
+
+    top(limit = TOP_LIMIT, levelId = AvoidGameLevels.DEFAULT_LEVEL_ID) {
+      return this.request(`/scores?limit=${encodeURIComponent(limit)}&level=${encodeURIComponent(levelId)}`)
+        .then(body => body.entries || []);
+    }
+  }
+
+  /**
+   * Front door used by the game; swap the backend without touching callers
+   */
+  class LeaderboardClient {
+    constructor(backend) {
+      this.backend = backend;
+    }
+
+    /**
+     * Submit a finished run by its replay
+     * @returns {Promise<object>} the stored entry
+     */
+    submitRun(name, replay) {
+      return this.backend.submit(createSubmission(name, replay));
+    }
+
+    getTopScores(limit = TOP_LIMIT, levelId = AvoidGameLevels.DEFAULT_LEVEL_ID) {
+      return this.backend.top(limit, levelId);
+    }
+  }
+
+  /**
+   * Pick a backend from the page URL: ?leaderboard=http://host:port uses
+   * the HTTP backend, otherwise scores stay in `storage`
+   */
+  function createLeaderboardClient(search = root.location ? root.location.search : '', storage = root.localStorage) {
+    const url = new URLSearchParams(search).get('leaderboard');
+    return new LeaderboardClient(url ? new HttpLeaderboardBackend(url) : new LocalLeaderboardBackend(storage));
+  }
+
+  const AvoidGameLeaderboard = {
+    TOP_LIMIT,
+    LeaderboardClient,
+    LocalLeaderboardBackend,
+    HttpLeaderboardBackend,
+    createLeaderboardClient,
+    createSubmission,
+    validateSubmission,
+    hashReplayInputs,
+    maxScoreForTime,
+    isRanked,
+    compareEntries,
+  };
+
+  if (isNode) {
+    module.exports = AvoidGameLeaderboard;
+  } else {
+    root.AvoidGameLeaderboard = AvoidGameLeaderboard;
+  }
+})(typeof window !== 'undefined' ? window : globalThis);
@@ -0,0 +1,404 @@
+// ====================================
+// AVOID GAME LEVELS
+// Difficulty presets + the JSON level format, its validation and loaders.
+// Works as a browser <script> (window.AvoidGameLevels) or a Node module.
+//
+// Level format (version 1):
+// {
+//   "version": 1,
+//   "id": "midterms",                  // a-z, 0-9 and dashes; not a preset's id
+//   "name": "Midterms",
+//   "duration": 44,                    // seconds
+//   "difficulty": {
+//     "baseSpeed": 150,                // px/s at x1.0
+//     "maxSpeed": 390,                 // px/s at x2.0
+//     "difficultyCheckpoints": [{ "time": 0, "speedMultiplier": 1 }, ...],
+//     "spawnIntervalCheckpoints": [{ "time": 0, "spawnInterval": 1.5 }, ...]
+//   },
+//   "objects": [{ "emoji": "📚", "label": "exam", "weight": 2,
+//                 "behavior": "heavy",             // fall | zigzag | homing | split | heavy
+//                 "size": 58, "points": 15,        // hitbox px, score for dodging
+//                 "params": { "speedFactor": 1.8 } // optional behavior tuning
+//               }, ...],
+//   "winCondition": { "type": "survive" }          // or
+//                   { "type": "score", "target": 300 }
+// }
+// levels/tax-season.json is a complete themed example.
+// Levels also travel in links: game.html?levelData=<encodeLevel(level)>
+// (level-editor.html builds these).
+// ====================================
+
+(function (root) {
+  const isNode = typeof module !== 'undefined' && module.exports;
+  const AvoidGameSim = isNode ? require('./avoid-game-sim.js') : root.AvoidGameSim;
+
+  const LEVEL_VERSION = 1;
+  const DEFAULT_LEVEL_ID = 'normal';
+
+  /**
+   * Scale every checkpoint value of one key
+   */
+  function scaleCheckpoints(checkpoints, key, factor) {
+    return checkpoints.map(checkpoint => Object.assign({}, checkpoint, {
+      [key]: Math.round(checkpoint[key] * factor * 1000) / 1000,
+    }));
+  }
+
+  const NORMAL_DIFFICULTY = AvoidGameSim.DIFFICULTY_CURVE;
+
+  const PRESETS = {
+    easy: {
+      version: LEVEL_VERSION,
+      id: 'easy',
+      name: 'Easy',
+      duration: 44,
+      difficulty: {
+        baseSpeed: 120,
+        maxSpeed: 330,
+        difficultyCheckpoints: scaleCheckpoints(NORMAL_DIFFICULTY.difficultyCheckpoints, 'speedMultiplier', 0.8),
+        spawnIntervalCheckpoints: scaleCheckpoints(NORMAL_DIFFICULTY.spawnIntervalCheckpoints, 'spawnInterval', 1.3),
+      },
+      objects: AvoidGameSim.STRESS_OBJECTS,
+      winCondition: { type: 'survive' },
+    },
+    normal: {
+      version: LEVEL_VERSION,
+      id: 'normal',
+      name: 'Normal',
+      duration: 44,
+      difficulty: NORMAL_DIFFICULTY,
+      objects: AvoidGameSim.STRESS_OBJECTS,
+      winCondition: { type: 'survive' },
+    },
+    'finals-week': {
+      version: LEVEL_VERSION,
+      id: 'finals-week',
+      name: 'Finals Week',
+      duration: 60,
+      difficulty: {
+        baseSpeed: 180,
+        maxSpeed: 420,
+        difficultyCheckpoints: [
+          { time: 0, speedMultiplier: 1.2 },
+          { time: 10, speedMultiplier: 1.6 },
+          { time: 20, speedMultiplier: 2.1 },
+          { time: 35, speedMultiplier: 2.8 },
+          { time: 50, speedMultiplier: 3.6 },
+          { time: 55, speedMultiplier: 4.2 },
+        ],
+        spawnIntervalCheckpoints: [
+          { time: 0, spawnInterval: 1.1 },
+          { time: 15, spawnInterval: 0.8 },
+          { time: 30, spawnInterval: 0.6 },
+          { time: 45, spawnInterval: 0.5 },
+          { time: 55, spawnInterval: 0.4 },
+        ],
+      },
+      objects: [
+        { emoji: '📚', label: 'exam', weight: 3, behavior: 'heavy', size: 58, points: 15 },
+        { emoji: '⏰', label: 'deadline', weight: 3, behavior: 'split', points: 10, params: { splitAfter: 0.7 } },
+        { emoji: '☕', label: 'coffee', weight: 2, behavior: 'zigzag', size: 40, points: 10 },
+        { emoji: '😰', label: 'stress', weight: 2, behavior: 'zigzag', params: { amplitude: 40, frequency: 1.5 } },
+        { emoji: '✏️', label: 'pencil', size: 36, points: 5 },
+        { emoji: '👨‍🏫', label: 'teacher', behavior: 'homing', points: 20, params: { turnSpeed: 90 } },
+        { emoji: '⏲️', label: 'alarm', behavior: 'split', size: 44 },
+        { emoji: '💻', label: 'computer', behavior: 'heavy', points: 15 },
+      ],
+      winCondition: { type: 'survive' },
+    },
+  };
+
+  // ==========================================
+  // VALIDATION
+  // ==========================================
+
+  const isNumber = value => typeof value === 'number' && Number.isFinite(value);
+
+  function checkCheckpoints(errors, path, checkpoints, key, duration, minValue) {
+    if (!Array.isArray(checkpoints) || checkpoints.length === 0) {
+      errors.push(`${path} must be a non-empty array`);
+      return;
+    }
+    checkpoints.forEach((checkpoint, i) => {
+      const at = `${path}[${i}]`;
+      if (!checkpoint || typeof checkpoint !== 'object') {
+        errors.push(`${at} must be an object like { "time": 0, "${key}": 1 }`);
+        return;
+      }
+      if (!isNumber(checkpoint.time) || checkpoint.time < 0) {
+        errors.push(`${at}.time must be a number >= 0`);
+      } else if (i === 0 && checkpoint.time !== 0) {
+        errors.push(`${at}.time must be 0 (the curve has to start at the beginning)`);
+      } else if (i > 0 && isNumber(checkpoints[i - 1].time) && checkpoint.time <= checkpoints[i - 1].time) {
+        errors.push(`${at}.time must be greater than the previous checkpoint (${checkpoints[i - 1].time})`);
+      } else if (isNumber(duration) && checkpoint.time > duration) {
+        errors.push(`${at}.time (${checkpoint.time}) is after the level ends (${duration}s)`);
+      }
+      if (!isNumber(checkpoint[key]) || checkpoint[key] < minValue) {
+        errors.push(`${at}.${key} must be a number >= ${minValue}`);
+      }
+    });
+  }
+
+  // Behavior params must be numbers the behavior actually knows about
+  function checkParams(errors, path, params, behavior) {
+    if (!params || typeof params !== 'object' || Array.isArray(params)) {
+      errors.push(`${path} must be an object`);
+      return;
+    }
+    const known = behavior ? Object.keys(behavior.defaults) : [];
+    Object.keys(params).forEach(key => {
+      if (!known.includes(key)) {
+        errors.push(`${path}.${key} is not a parameter of this behavior (${known.join(', ') || 'none'})`);
+      } else if (!isNumber(params[key]) || params[key] < 0) {
+        errors.push(`${path}.${key} must be a number >= 0`);
+      }
+    });
+  }
+
+  /**
+   * Validate a parsed level definition
+   * Collects every problem and throws one Error listing them all
+   * (error.errors holds the individual messages)
+   * @returns {object} the level with defaults filled in
+   */
+  function validateLevel(data) {
+    const errors = [];
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+      const error = new Error('Level must be a JSON object');
+      error.errors = [error.message];
+      throw error;
+    }
+
+    const version = data.version === undefined ? LEVEL_VERSION : data.version;
+    if (version !== LEVEL_VERSION) {
+      errors.push(`version must be ${LEVEL_VERSION} (got ${JSON.stringify(data.version)})`);
+    }
+    if (typeof data.name !== 'string' || !data.name.trim() || data.name.length > 60) {
+      errors.push('name must be a non-empty string of at most 60 characters');
+    }
+    const id = data.id === undefined && typeof data.name === 'string'
+      ? data.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '')
+      : data.id;
+    if (typeof id !== 'string' || !/^[a-z0-9-]{1,40}$/.test(id)) {
+      errors.push('id must be 1-40 characters of a-z, 0-9 or "-"');
+    } else if (PRESETS[id]) {
+      // High scores are kept per level id - a custom "normal" would share the preset's table
+      errors.push(`id "${id}" belongs to a built-in preset; give the level its own ${data.id === undefined ? 'name or id' : 'id'}`);
+    }
+    if (!isNumber(data.duration) || data.duration < 5 || data.duration > 600) {
+      errors.push('duration must be a number of seconds between 5 and 600');
+    }
+
+    const difficulty = data.difficulty;
+    if (!difficulty || typeof difficulty !== 'object') {
+      errors.push('difficulty must be an object with baseSpeed, maxSpeed and checkpoints');
+    } else {
+      if (!isNumber(difficulty.baseSpeed) || difficulty.baseSpeed <= 0) {
+        errors.push('difficulty.baseSpeed must be a positive number (px/s)');
+      }
+      if (!isNumber(difficulty.maxSpeed) || difficulty.maxSpeed < difficulty.baseSpeed) {
+        errors.push('difficulty.maxSpeed must be a number >= difficulty.baseSpeed (px/s)');
+      }
+      checkCheckpoints(errors, 'difficulty.difficultyCheckpoints', difficulty.difficultyCheckpoints,
+        'speedMultiplier', data.duration, 0.1);
+      checkCheckpoints(errors, 'difficulty.spawnIntervalCheckpoints', difficulty.spawnIntervalCheckpoints,
+        'spawnInterval', data.duration, 0.1);
+    }
+
+    if (!Array.isArray(data.objects) || data.objects.length === 0 || data.objects.length > 50) {
+      errors.push('objects must be an array of 1-50 items');
+    } else {
+      data.objects.forEach((item, i) => {
+        if (!item || typeof item.emoji !== 'string' || !item.emoji || item.emoji.length > 16) {
+          errors.push(`objects[${i}].emoji must be a short non-empty string`);
+        }
+        if (item && typeof item.label !== 'string') {
+          errors.push(`objects[${i}].label must be a string`);
+        }
+        if (item && item.weight !== undefined && (!isNumber(item.weight) || item.weight <= 0)) {
+          errors.push(`objects[${i}].weight must be a positive number`);
+        }
+        if (item && item.behavior !== undefined && !AvoidGameSim.BEHAVIORS[item.behavior]) {
+          errors.push(`objects[${i}].behavior must be one of ${Object.keys(AvoidGameSim.BEHAVIORS).join(', ')}`);
+        }
+        if (item && item.size !== undefined && (!isNumber(item.size) || item.size < 16 || item.size > 120)) {
+          errors.push(`objects[${i}].size must be a number of px between 16 and 120`);
+        }
+        if (item && item.points !== undefined && (!Number.isInteger(item.points) || item.points < 0 || item.points > 1000)) {
+          errors.push(`objects[${i}].points must be an integer between 0 and 1000`);
+        }
+        if (item && item.params !== undefined) {
+          checkParams(errors, `objects[${i}].params`, item.params, AvoidGameSim.BEHAVIORS[item.behavior || 'fall']);
+        }
+      });
+    }
+
+    const winCondition = data.winCondition || { type: 'survive' };
+    if (winCondition.type === 'score') {
+      if (!Number.isInteger(winCondition.target) || winCondition.target <= 0) {
+        errors.push('winCondition.target must be a positive integer score');
+      }
+    } else if (winCondition.type !== 'survive') {
+      errors.push('winCondition.type must be "survive" or "score"');
+    }
+
+    if (errors.length > 0) {
+      const error = new Error(`Invalid level:\n- ${errors.join('\n- ')}`);
+      error.errors = errors;
+      throw error;
+    }
+
+    return {
+      version,
+      id,
+      name: data.name.trim(),
+      duration: data.duration,
+      difficulty: {
+        baseSpeed: difficulty.baseSpeed,
+        maxSpeed: difficulty.maxSpeed,
+        difficultyCheckpoints: difficulty.difficultyCheckpoints.map(c => ({ time: c.time, speedMultiplier: c.speedMultiplier })),
+        spawnIntervalCheckpoints: difficulty.spawnIntervalCheckpoints.map(c => ({ time: c.time, spawnInterval: c.spawnInterval })),
+      },
+      objects: data.objects.map(item => {
+        const clean = { emoji: item.emoji, label: item.label };
+        ['weight', 'behavior', 'size', 'points'].forEach(key => {
+          if (item[key] !== undefined) clean[key] = item[key];
+        });
+        if (item.params !== undefined) clean.params = Object.assign({}, item.params);
+        return clean;
+      }),
+      winCondition: winCondition.type === 'score'
+        ? { type: 'score', target: winCondition.target }
+        : { type: 'survive' },
+    };
+  }
+
+  /**
+   * Parse + validate level JSON text
+   */
+  function parseLevel(json) {
+    let data;
+    try {
+      data = JSON.parse(json);
+    } catch (error) {
+      throw new Error(`Level file is not valid JSON: ${error.message}`);
+    }
+    return validateLevel(data);
+  }
+
+  /**
+   * Simulation overrides (AvoidGameSim.createState) for a validated level
+   */
+  function levelToConfig(level) {
+    return {
+      levelId: level.id,
+      duration: level.duration,
+      difficulty: level.difficulty,
+      stressObjects: level.objects,
+      winScore: level.winCondition.type === 'score' ? level.winCondition.target : null,
+    };
+  }
+
+  function getPreset(id) {
+    return PRESETS[id] || null;
+  }
+
+  // ==========================================
+  // LINK ENCODING
+  // ==========================================
+
+  /**
+   * Pack a level into a URL-safe string (base64url of its UTF-8 JSON)
+   */
+  function encodeLevel(level) {
+    let binary = '';
+    new TextEncoder().encode(JSON.stringify(level)).forEach(byte => {
+      binary += String.fromCharCode(byte);
+    });
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+  }
+
+  /**
+   * Unpack and validate a level made by encodeLevel
+   */
+  function decodeLevel(text) {
+    let json;
+    try {
+      const binary = atob(String(text).replace(/-/g, '+').replace(/_/g, '/'));
+      json = new TextDecoder('utf-8', { fatal: true }).decode(Uint8Array.from(binary, c => c.charCodeAt(0)));
+    } catch (error) {
+      throw new Error('Level link is damaged (could not decode levelData)');
+    }
+    return parseLevel(json);
+  }
+
+  // ==========================================
+  // LOADERS (browser)
+  // ==========================================
+
+  /**
+   * Fetch and validate a level from a URL
+   * @returns {Promise<object>}
+   */
+  function loadLevelFromURL(url) {
+    return fetch(url)
+      .then(response => {
+        if (!response.ok) {
+          throw new Error(`Could not load level from ${url} (${response.status})`);
+        }
+        return response.text();
+      })
+      .then(parseLevel);
+  }
+
+  /**
+   * Read and validate a level from a File (e.g. <input type="file">)
+   * @returns {Promise<object>}
+   */
+  function loadLevelFromFile(file) {
+    return file.text().then(parseLevel);
+  }
+
+  /**
+   * Resolve the level URL parameters: ?levelData=<encoded level>, or
+   * ?level= with a preset id or a URL to a level JSON
+   * @returns {Promise<object|null>} null when neither parameter is present
+   */
+  function loadLevelFromQuery(search = root.location ? root.location.search : '') {
+    const params = new URLSearchParams(search);
+    const data = params.get('levelData');
+    if (data) {
+      try {
+        return Promise.resolve(decodeLevel(data));
+      } catch (error) {
+        return Promise.reject(error);
+      }
+    }
+    const value = params.get('level');
+    if (!value) return Promise.resolve(null);
+    if (PRESETS[value]) return Promise.resolve(PRESETS[value]);
+    return loadLevelFromURL(value);
+  }
+
+  const AvoidGameLevels = {
+    LEVEL_VERSION,
+    DEFAULT_LEVEL_ID,
+    PRESETS,
+    getPreset,
+    validateLevel,
+    parseLevel,
+    levelToConfig,
+    encodeLevel,
+    decodeLevel,
+    loadLevelFromURL,
+    loadLevelFromFile,
+    loadLevelFromQuery,
+  };
+
+  if (isNode) {
+    module.exports = AvoidGameLevels;
+  } else {
+    root.AvoidGameLevels = AvoidGameLevels;
+  }
+})(typeof window !== 'undefined' ? window : globalThis);
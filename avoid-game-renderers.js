@@ -0,0 +1,355 @@
+// ====================================
+// AVOID GAME RENDERERS
+// Draw a simulation state onto #gameBoard. Every renderer implements
+//   render(previous, current, alpha)  - blend two states (alpha 0..1)
+//   resize(scale)                     - CSS px per logical sim unit
+//   configure(options)                - { highContrast, reducedMotion }
+//   clear()                           - drop the falling objects
+//   destroy()                         - remove everything it added
+// so the game loop never touches elements itself.
+// Works as a browser <script> (window.AvoidGameRenderers) or a Node module.
+// ====================================
+
+(function (root) {
+  const STORAGE_KEY = 'avoidGame.renderer';
+  const SPRITE_URL = 'bulldog.png';
+
+  const lerp = (from, to, alpha) => from + (to - from) * alpha;
+
+  // Objects of the previous state by id, to interpolate from
+  function previousById(previous) {
+    return new Map(previous.objects.map(obj => [obj.id, obj]));
+  }
+
+  // ==========================================
+  // DOM RENDERER
+  // One absolutely positioned div per object (the original renderer)
+  // ==========================================
+  class DomRenderer {
+    constructor(board, scale = 1) {
+      this.board = board;
+      this.scale = scale;
+      this.objectElements = new Map(); // sim object id -> element
+
+      this.characterElement = document.createElement('div');
+      this.characterElement.className = 'character';
+      this.characterElement.style.backgroundImage = `url('${SPRITE_URL}')`;
+      this.characterElement.setAttribute('role', 'img');
+      this.characterElement.setAttribute('aria-label', 'Your bulldog');
+      board.appendChild(this.characterElement);
+    }
+
+    // Contrast and motion are handled by the a11y-* body classes in CSS
+    configure() {}
+
+    resize(scale) {
+      this.scale = scale;
+      // Sizes are only written on creation; redo them for the new scale
+      this.clear();
+    }
+
+    render(previous, current, alpha = 1) {
+      const px = value => value * this.scale + 'px';
+      const character = this.characterElement;
+      character.style.left = px(Math.round(lerp(previous.character.x, current.character.x, alpha)));
+      // Draw where the hitbox is (the stylesheet's bottom offset did not match it)
+      character.style.top = px(current.character.y);
+      character.style.bottom = 'auto';
+      character.style.width = px(current.character.width);
+      character.style.height = px(current.character.height);
+      character.classList.toggle('has-shield', Boolean(current.effects.shield));
+      character.classList.toggle('is-invulnerable', current.invulnerable > 0);
+
+      const previousObjects = previousById(previous);
+      const alive = new Set();
+      current.objects.forEach(obj => {
+        const from = previousObjects.get(obj.id) || obj;
+        alive.add(obj.id);
+        let element = this.objectElements.get(obj.id);
+        if (!element) {
+          element = document.createElement('div');
+          element.className = obj.powerUp ? 'falling-object power-up' : 'falling-object';
+          element.textContent = obj.emoji;
+          element.dataset.behavior = obj.behavior;
+          element.setAttribute('role', 'img');
+          element.setAttribute('aria-label', obj.powerUp ? `${obj.label} power-up` : obj.label);
+          // Each stress item has its own hitbox; keep the sprite the same size
+          element.style.width = px(obj.width);
+          element.style.height = px(obj.height);
+          element.style.fontSize = px(Math.round(obj.width * 0.64));
+          this.board.appendChild(element);
+          this.objectElements.set(obj.id, element);
+        }
+        element.style.left = px(lerp(from.x, obj.x, alpha));
+        element.style.top = px(lerp(from.y, obj.y, alpha));
+      });
+
+      this.objectElements.forEach((element, id) => {
+        if (!alive.has(id)) {
+          element.remove();
+          this.objectElements.delete(id);
+        }
+      });
+    }
+
+    clear() {
+      this.objectElements.forEach(element => element.remove());
+      this.objectElements.clear();
+    }
+
+    destroy() {
+      this.clear();
+      this.characterElement.remove();
+    }
+  }
+
+  // ==========================================
+  // CANVAS RENDERER
+  // A single <canvas> over the board; emoji are rasterized once per
+  // (emoji, size) into offscreen bitmaps and blitted every frame
+  // ==========================================
+  class CanvasRenderer {
+    constructor(board, scale = 1) {
+      this.board = board;
+      this.glyphs = new Map(); // `${emoji}|${size}|${powerUp}` -> canvas
+      this.lastFrame = null;   // [previous, current, alpha] for redraws after a resize
+      this.options = { highContrast: false, reducedMotion: false };
+
+      this.canvas = document.createElement('canvas');
+      this.canvas.className = 'game-canvas';
+      // Objects are announced through the game's live region instead
+      this.canvas.setAttribute('aria-hidden', 'true');
+      this.context = this.canvas.getContext('2d');
+      board.appendChild(this.canvas);
+
+      this.sprite = new Image();
+      this.sprite.onload = () => this.redraw();
+      this.sprite.onerror = () => console.warn('Failed to load character sprite:', SPRITE_URL);
+      this.sprite.src = SPRITE_URL;
+
+      // Skateboard colors come from the same CSS variables as the DOM version
+      const styles = getComputedStyle(board);
+      this.colors = {
+        boardFrom: styles.getPropertyValue('--secondary').trim() || '#FFE100',
+        boardTo: styles.getPropertyValue('--accent-1').trim() || '#F00000',
+        wheels: styles.getPropertyValue('--dark-gray').trim() || '#333',
+      };
+
+      this.resize(scale);
+    }
+
+    /**
+     * Match the backing store to the board's CSS size x devicePixelRatio
+     * so sprites and glyphs stay sharp on high-density screens; drawing
+     * then happens in logical sim units
+     */
+    resize(scale) {
+      const ratio = (root.devicePixelRatio || 1) * scale;
+      const width = this.board.clientWidth;
+      const height = this.board.clientHeight;
+      if (this.ratio !== ratio) {
+        this.glyphs.clear(); // bitmaps were rasterized for the old density
+      }
+      this.ratio = ratio;
+      this.width = width / scale;
+      this.height = height / scale;
+      this.canvas.width = Math.round(width * (root.devicePixelRatio || 1));
+      this.canvas.height = Math.round(height * (root.devicePixelRatio || 1));
+      this.canvas.style.width = width + 'px';
+      this.canvas.style.height = height + 'px';
+      this.context.setTransform(ratio, 0, 0, ratio, 0, 0);
+      this.redraw();
+    }
+
+    configure(options) {
+      const highContrast = Boolean(options.highContrast);
+      if (highContrast !== this.options.highContrast) {
+        this.glyphs.clear(); // the backing disc is baked into the bitmaps
+      }
+      this.options = { highContrast, reducedMotion: Boolean(options.reducedMotion) };
+      this.redraw();
+    }
+
+    /**
+     * Offscreen bitmap of one emoji at one size (power-ups get their glow
+     * baked in, high contrast a white disc with a black ring)
+     */
+    glyph(obj) {
+      const key = `${obj.emoji}|${obj.width}|${obj.powerUp ? 1 : 0}`;
+      let bitmap = this.glyphs.get(key);
+      if (bitmap) return bitmap;
+
+      const size = Math.ceil(obj.width * this.ratio);
+      bitmap = document.createElement('canvas');
+      bitmap.width = size;
+      bitmap.height = size;
+      const context = bitmap.getContext('2d');
+      if (this.options.highContrast) {
+        context.beginPath();
+        context.arc(size / 2, size / 2, size / 2 - size * 0.05, 0, Math.PI * 2);
+        context.fillStyle = obj.powerUp ? '#FFE100' : '#FFFFFF';
+        context.fill();
+        context.lineWidth = size * 0.06;
+        context.strokeStyle = '#000000';
+        context.stroke();
+      } else if (obj.powerUp) {
+        const glow = context.createRadialGradient(size / 2, size / 2, 0, size / 2, size / 2, size / 2);
+        glow.addColorStop(0, 'rgba(255, 225, 0, 0.35)');
+        glow.addColorStop(0.75, 'rgba(255, 225, 0, 0.35)');
+        glow.addColorStop(1, 'rgba(255, 225, 0, 0)');
+        context.fillStyle = glow;
+        context.fillRect(0, 0, size, size);
+      }
+      context.font = `${Math.round(size * 0.64)}px "Apple Color Emoji", "Segoe UI Emoji", "Noto Color Emoji", sans-serif`;
+      context.textAlign = 'center';
+      context.textBaseline = 'middle';
+      context.fillText(obj.emoji, size / 2, size / 2 + size * 0.04);
+
+      this.glyphs.set(key, bitmap);
+      return bitmap;
+    }
+
+    drawCharacter(character, x, state) {
+      const context = this.context;
+      const { y, width, height } = character;
+
+      // Blink during i-frames (same 0.2s rhythm as the CSS animation);
+      // with reduced motion the bulldog just turns see-through instead
+      if (state.invulnerable > 0) {
+        if (this.options.reducedMotion) {
+          context.globalAlpha = 0.45;
+        } else if (Math.floor(root.performance.now() / 100) % 2 === 1) {
+          return;
+        }
+      }
+
+      // Skateboard + wheels under the bulldog
+      const boardWidth = width + 10;
+      const gradient = context.createLinearGradient(x - 5, 0, x - 5 + boardWidth, 0);
+      gradient.addColorStop(0, this.colors.boardFrom);
+      gradient.addColorStop(1, this.colors.boardTo);
+      context.fillStyle = gradient;
+      context.fillRect(x - 5, y + height - 8, boardWidth, 12);
+      context.fillStyle = this.colors.wheels;
+      [x + width * 0.1, x + width * 0.9].forEach(wheelX => {
+        context.beginPath();
+        context.arc(wheelX, y + height + 6, 4, 0, Math.PI * 2);
+        context.fill();
+      });
+
+      if (this.sprite.complete && this.sprite.naturalWidth > 0) {
+        // background-size: contain
+        const scale = Math.min(width / this.sprite.naturalWidth, height / this.sprite.naturalHeight);
+        const spriteWidth = this.sprite.naturalWidth * scale;
+        const spriteHeight = this.sprite.naturalHeight * scale;
+        context.drawImage(this.sprite, x + (width - spriteWidth) / 2, y + (height - spriteHeight) / 2, spriteWidth, spriteHeight);
+      }
+
+      if (state.effects.shield) {
+        context.beginPath();
+        context.ellipse(x + width / 2, y + height / 2, width * 0.75, height * 0.7, 0, 0, Math.PI * 2);
+        context.strokeStyle = this.options.highContrast ? '#00FFFF' : 'rgba(0, 170, 255, 0.7)';
+        context.lineWidth = 4;
+        context.stroke();
+      }
+      if (this.options.highContrast) {
+        context.strokeStyle = '#FFE100';
+        context.lineWidth = 3;
+        context.strokeRect(x, y, width, height);
+      }
+      context.globalAlpha = 1;
+    }
+
+    render(previous, current, alpha = 1) {
+      this.lastFrame = [previous, current, alpha];
+      const context = this.context;
+      context.clearRect(0, 0, this.width, this.height);
+
+      const previousObjects = previousById(previous);
+      current.objects.forEach(obj => {
+        const from = previousObjects.get(obj.id) || obj;
+        context.drawImage(this.glyph(obj), lerp(from.x, obj.x, alpha), lerp(from.y, obj.y, alpha), obj.width, obj.height);
+      });
+
+      this.drawCharacter(current.character, Math.round(lerp(previous.character.x, current.character.x, alpha)), current);
+    }
+
+    redraw() {
+      if (this.lastFrame) {
+        this.render(...this.lastFrame);
+      }
+    }
+
+    clear() {
+      if (this.lastFrame) {
+        const [previous, current] = this.lastFrame;
+        const empty = state => Object.assign({}, state, { objects: [] });
+        this.render(empty(previous), empty(current), 1);
+      }
+    }
+
+    destroy() {
+      this.sprite.onload = null;
+      this.canvas.remove();
+      this.glyphs.clear();
+    }
+  }
+
+  const RENDERERS = {
+    dom: DomRenderer,
+    canvas: CanvasRenderer,
+  };
+
+  /**
+   * Renderer to use: ?renderer=canvas|dom, else the saved choice, else DOM
+   */
+  function preferredRenderer(search = root.location ? root.location.search : '', storage = root.localStorage) {
+    const fromQuery = new URLSearchParams(search).get('renderer');
+    if (RENDERERS[fromQuery]) return fromQuery;
+    try {
+      const saved = storage && storage.getItem(STORAGE_KEY);
+      if (RENDERERS[saved]) return saved;
+    } catch (error) {
+      console.warn('Could not read renderer preference:', error);
+    }
+    return 'dom';
+  }
+
+  function saveRendererChoice(kind, storage = root.localStorage) {
+    try {
+      storage.setItem(STORAGE_KEY, kind);
+    } catch (error) {
+      console.warn('Could not save renderer preference:', error);
+    }
+  }
+
+  /**
+   * Build a renderer by name; falls back to DOM when canvas 2D is unavailable
+   */
+  function createRenderer(kind, board, scale = 1) {
+    if (kind === 'canvas') {
+      const probe = document.createElement('canvas');
+      if (!probe.getContext || !probe.getContext('2d')) {
+        console.warn('Canvas 2D not available, using the DOM renderer');
+        return new DomRenderer(board, scale);
+      }
+    }
+    const Renderer = RENDERERS[kind] || DomRenderer;
+    return new Renderer(board, scale);
+  }
+
+  const AvoidGameRenderers = {
+    RENDERERS,
+    DomRenderer,
+    CanvasRenderer,
+    createRenderer,
+    preferredRenderer,
+    saveRendererChoice,
+  };
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AvoidGameRenderers;
+  } else {
+    root.AvoidGameRenderers = AvoidGameRenderers;
+  }
+})(typeof window !== 'undefined' ? window : globalThis);
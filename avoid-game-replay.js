@@ -0,0 +1,294 @@
+// ====================================
+// AVOID GAME REPLAYS
+// Records the per-tick input of a run so it can be played back
+// frame for frame, exported as JSON and imported again.
+// Works as a browser <script> (window.AvoidGameReplay) or a Node module.
+// ====================================
+
+(function (root) {
+  const AvoidGameSim = (typeof module !== 'undefined' && module.exports)
+    ? require('./avoid-game-sim.js')
+    : root.AvoidGameSim;
+
+  // A frame is exactly one AvoidGameSim.TIMESTEP, so only the input is kept
+  const REPLAY_VERSION = 3;
+  const MOVING_VALUES = ['left', 'right', 'none'];
+
+  /**
+   * Collects one input frame per simulation tick, plus the raw
+   * touch/click events that produced them (for bug reports)
+   */
+  class ReplayRecorder {
+    constructor(seed, config = {}) {
+      this.seed = seed >>> 0;
+      this.config = config;
+      this.inputs = [];
+      this.inputEvents = [];
+      this.resizes = [];
+      this.createdAt = new Date().toISOString();
+    }
+
+    /**
+     * Record the input fed into one AvoidGameSim.step call
+     */
+    recordTick(input) {
+      const frame = { moving: input.moving };
+      // Full speed is the default, so keyboard runs stay compact
+      if (input.speed !== undefined && input.speed !== 1) {
+        frame.speed = input.speed;
+      }
+      this.inputs.push(frame);
+    }
+
+    /**
+     * Record a raw input event (touchstart, click...) at the current tick
+     */
+    recordEvent(type, detail = {}) {
+      this.inputEvents.push(Object.assign({ tick: this.inputs.length, type }, detail));
+    }
+
+    /**
+     * Record a board resize applied before the next tick
+     * (AvoidGameSim.resizeState), so playback remaps at the same moment
+     */
+    recordResize(width, height) {
+      this.resizes.push({ tick: this.inputs.length, width, height });
+    }
+
+    /**
+     * Freeze the recording into a replay object
+     * @param {object} finalState - the simulation state the run ended on
+     */
+    finish(finalState) {
+      return {
+        version: REPLAY_VERSION,
+        seed: this.seed,
+        config: this.config,
+        createdAt: this.createdAt,
+        inputs: this.inputs.slice(),
+        inputEvents: this.inputEvents.slice(),
+        resizes: this.resizes.slice(),
+        result: {
+          status: finalState.status,
+          score: finalState.score,
+          elapsed: finalState.elapsed,
+          ticks: finalState.tick,
+        },
+      };
+    }
+  }
+
+  /**
+   * Steps through a replay one tick at a time
+   */
+  class ReplayPlayer {
+    constructor(replay) {
+      this.replay = replay;
+      this.state = AvoidGameSim.createState(replay.config, replay.seed);
+    }
+
+    get done() {
+      return this.state.status !== 'playing' || this.state.tick >= this.replay.inputs.length;
+    }
+
+    /**
+     * Advance one recorded tick
+     * @returns {{state: object, events: Array}}
+     */
+    next() {
+      const frame = this.replay.inputs[this.state.tick];
+      if (!frame) {
+        return { state: this.state, events: [] };
+      }
+      (this.replay.resizes || []).forEach(resize => {
+        if (resize.tick === this.state.tick) {
+          this.state = AvoidGameSim.resizeState(this.state, resize.width, resize.height);
+        }
+      });
+      const result = AvoidGameSim.step(this.state, { moving: frame.moving, speed: frame.speed });
+      this.state = result.state;
+      return result;
+    }
+  }
+
+  /**
+   * Run a whole replay headless and return its final state
+   */
+  function simulateReplay(replay) {
+    const player = new ReplayPlayer(replay);
+    while (!player.done) {
+      player.next();
+    }
+    return player.state;
+  }
+
+  // Config fields a replay may override, with the range playback copes with
+  const CONFIG_RANGES = {
+    width: [100, 4000],
+    height: [100, 4000],
+    duration: [5, 600],
+    characterWidth: [1, 1000],
+    characterHeight: [1, 1000],
+    characterOffsetY: [0, 4000],
+    objectSize: [1, 1000],
+    moveSpeed: [0, 10000],
+    warningDistance: [0, 4000],
+    dodgePoints: [0, 1000],
+    invulnerableTime: [0, 60],
+    powerUpChance: [0, 1],
+    powerUpSize: [1, 1000],
+  };
+
+  const isNumber = value => typeof value === 'number' && Number.isFinite(value);
+  const isObject = value => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+  function checkCheckpoints(checkpoints, path, key) {
+    if (!Array.isArray(checkpoints) || checkpoints.length === 0) {
+      throw new Error(`Replay ${path} must be a non-empty array`);
+    }
+    checkpoints.forEach((checkpoint, i) => {
+      if (!checkpoint || !isNumber(checkpoint.time) || checkpoint.time < 0 || !isNumber(checkpoint[key]) || checkpoint[key] <= 0) {
+        throw new Error(`Replay ${path}[${i}] must be { time, ${key} } with time >= 0 and ${key} > 0`);
+      }
+    });
+  }
+
+  function checkStressObjects(items) {
+    if (!Array.isArray(items) || items.length === 0 || items.length > 50) {
+      throw new Error('Replay config.stressObjects must be an array of 1-50 objects');
+    }
+    items.forEach((item, i) => {
+      const at = `Replay config.stressObjects[${i}]`;
+      if (!item || typeof item.emoji !== 'string' || !item.emoji) {
+        throw new Error(`${at} needs an emoji`);
+      }
+      if (item.behavior !== undefined && !AvoidGameSim.BEHAVIORS[item.behavior]) {
+        throw new Error(`${at}.behavior must be one of ${Object.keys(AvoidGameSim.BEHAVIORS).join(', ')}`);
+      }
+      if (item.weight !== undefined && !(isNumber(item.weight) && item.weight > 0)) {
+        throw new Error(`${at}.weight must be a positive number`);
+      }
+      if (item.size !== undefined && !(isNumber(item.size) && item.size >= 1 && item.size <= 1000)) {
+        throw new Error(`${at}.size must be a number between 1 and 1000`);
+      }
+      if (item.points !== undefined && !(Number.isInteger(item.points) && item.points >= 0)) {
+        throw new Error(`${at}.points must be a non-negative integer`);
+      }
+      if (item.params !== undefined && !(isObject(item.params) && Object.values(item.params).every(isNumber))) {
+        throw new Error(`${at}.params must be an object of numbers`);
+      }
+    });
+  }
+
+  /**
+   * Check the simulation overrides in a replay's config, so a damaged or
+   * hand-edited file fails at import instead of halfway through playback
+   */
+  function checkConfig(config) {
+    Object.keys(CONFIG_RANGES).forEach(key => {
+      const [min, max] = CONFIG_RANGES[key];
+      if (config[key] !== undefined && !(isNumber(config[key]) && config[key] >= min && config[key] <= max)) {
+        throw new Error(`Replay config.${key} must be a number between ${min} and ${max}`);
+      }
+    });
+    ['winScore', 'lives'].forEach(key => {
+      if (config[key] != null && !(Number.isInteger(config[key]) && config[key] > 0)) {
+        throw new Error(`Replay config.${key} must be a positive integer or null`);
+      }
+    });
+    if (config.difficulty !== undefined) {
+      const { difficulty } = config;
+      if (!isObject(difficulty) || !isNumber(difficulty.baseSpeed) || difficulty.baseSpeed <= 0 ||
+          !isNumber(difficulty.maxSpeed) || difficulty.maxSpeed < difficulty.baseSpeed) {
+        throw new Error('Replay config.difficulty needs a positive baseSpeed and a maxSpeed >= baseSpeed');
+      }
+      checkCheckpoints(difficulty.difficultyCheckpoints, 'config.difficulty.difficultyCheckpoints', 'speedMultiplier');
+      checkCheckpoints(difficulty.spawnIntervalCheckpoints, 'config.difficulty.spawnIntervalCheckpoints', 'spawnInterval');
+    }
+    if (config.stressObjects !== undefined) {
+      checkStressObjects(config.stressObjects);
+    }
+    if (config.powerUps !== undefined) {
+      // The sim looks power-ups up by name, so every one has to be there
+      Object.keys(AvoidGameSim.POWER_UPS).forEach(key => {
+        const powerUp = isObject(config.powerUps) && config.powerUps[key];
+        if (!powerUp || typeof powerUp.emoji !== 'string' || !(isNumber(powerUp.duration) && powerUp.duration > 0) ||
+            !(isNumber(powerUp.factor) && powerUp.factor > 0)) {
+          throw new Error(`Replay config.powerUps.${key} must be { emoji, duration, factor } with positive numbers`);
+        }
+      });
+    }
+  }
+
+  /**
+   * Validate a parsed replay object; throws an Error describing the first problem
+   */
+  function validateReplay(replay) {
+    if (!replay || typeof replay !== 'object') {
+      throw new Error('Replay must be a JSON object');
+    }
+    if (replay.version !== REPLAY_VERSION) {
+      throw new Error(`Unsupported replay version: ${replay.version} (expected ${REPLAY_VERSION})`);
+    }
+    if (!Number.isInteger(replay.seed) || replay.seed < 0) {
+      throw new Error('Replay seed must be a non-negative integer');
+    }
+    if (!replay.config || typeof replay.config !== 'object') {
+      throw new Error('Replay config is missing');
+    }
+    checkConfig(replay.config);
+    if (!Array.isArray(replay.inputs)) {
+      throw new Error('Replay inputs must be an array');
+    }
+    replay.inputs.forEach((frame, i) => {
+      if (!frame || !MOVING_VALUES.includes(frame.moving)) {
+        throw new Error(`Replay input ${i}: moving must be one of ${MOVING_VALUES.join(', ')}`);
+      }
+      if (frame.speed !== undefined && !(typeof frame.speed === 'number' && frame.speed >= 0 && frame.speed <= 1)) {
+        throw new Error(`Replay input ${i}: speed must be a number between 0 and 1`);
+      }
+    });
+    if (replay.resizes !== undefined) {
+      if (!Array.isArray(replay.resizes)) {
+        throw new Error('Replay resizes must be an array');
+      }
+      replay.resizes.forEach((resize, i) => {
+        const isSize = value => typeof value === 'number' && value >= 100 && value <= 4000;
+        if (!resize || !Number.isInteger(resize.tick) || resize.tick < 0 || !isSize(resize.width) || !isSize(resize.height)) {
+          throw new Error(`Replay resize ${i} must be { tick, width, height } with sizes of 100-4000`);
+        }
+      });
+    }
+    return replay;
+  }
+
+  function exportReplay(replay) {
+    return JSON.stringify(replay);
+  }
+
+  function importReplay(json) {
+    let replay;
+    try {
+      replay = JSON.parse(json);
+    } catch (error) {
+      throw new Error('Replay file is not valid JSON');
+    }
+    return validateReplay(replay);
+  }
+
+  const AvoidGameReplay = {
+    REPLAY_VERSION,
+    ReplayRecorder,
+    ReplayPlayer,
+    simulateReplay,
+    validateReplay,
+    exportReplay,
+    importReplay,
+  };
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AvoidGameReplay;
+  } else {
+    root.AvoidGameReplay = AvoidGameReplay;
+  }
+})(typeof window !== 'undefined' ? window : globalThis);
@@ -0,0 +1,298 @@
+// ====================================
+// AVOID GAME BALANCING REPORT
+// telemetry-report.html: the opt-in switch, the death-time histogram
+// (with the level's speed curve on top) and per-object lethality,
+// built by AvoidGameTelemetry.summarize() from the runs in IndexedDB
+// or from an exported file. Also export / delete / upload controls.
+// ====================================
+
+const REPORT_SVG_NS = 'http://www.w3.org/2000/svg';
+// Chart layout in viewBox units (the <svg> is 640 x 260)
+const CHART = { width: 640, height: 260, left: 40, right: 44, top: 14, bottom: 30 };
+
+function chartElement(name, attributes = {}) {
+  const element = document.createElementNS(REPORT_SVG_NS, name);
+  Object.keys(attributes).forEach(key => element.setAttribute(key, attributes[key]));
+  return element;
+}
+
+function chartText(svg, text, attributes) {
+  const label = chartElement('text', Object.assign({ class: 'chart-label' }, attributes));
+  label.textContent = text;
+  svg.appendChild(label);
+}
+
+// Speed multiplier at `time` for a list of checkpoints (same rule as the simulation)
+function multiplierAt(curve, time) {
+  let value = curve.length ? curve[0].speedMultiplier : 1;
+  for (let i = 0; i < curve.length; i++) {
+    const next = curve[i + 1];
+    if (time >= curve[i].time) {
+      value = next && time < next.time
+        ? curve[i].speedMultiplier + (next.speedMultiplier - curve[i].speedMultiplier) * ((time - curve[i].time) / (next.time - curve[i].time))
+        : curve[i].speedMultiplier;
+    }
+  }
+  return value;
+}
+
+/**
+ * Deaths per bucket as bars, the speed multiplier as a line (right axis)
+ */
+function drawDeathChart(svg, summary, curve, duration) {
+  svg.textContent = '';
+  const plotWidth = CHART.width - CHART.left - CHART.right;
+  const plotHeight = CHART.height - CHART.top - CHART.bottom;
+  const bottom = CHART.top + plotHeight;
+  const right = CHART.left + plotWidth;
+  const x = time => CHART.left + (time / duration) * plotWidth;
+  const maxDeaths = Math.max(1, ...summary.histogram.map(bar => bar.deaths));
+  const maxMultiplier = Math.ceil(Math.max(1, ...curve.map(c => c.speedMultiplier)));
+
+  // Left axis: deaths
+  const deathStep = Math.max(1, Math.ceil(maxDeaths / 4));
+  for (let deaths = 0; deaths <= maxDeaths; deaths += deathStep) {
+    const y = bottom - (deaths / maxDeaths) * plotHeight;
+    svg.appendChild(chartElement('line', { class: 'chart-grid', x1: CHART.left, x2: right, y1: y, y2: y }));
+    chartText(svg, deaths, { x: CHART.left - 6, y: y + 4, 'text-anchor': 'end' });
+  }
+
+  summary.histogram.forEach(bar => {
+    const height = (bar.deaths / maxDeaths) * plotHeight;
+    const rect = chartElement('rect', {
+      class: 'chart-bar',
+      x: x(bar.from) + 1,
+      y: bottom - height,
+      width: Math.max(1, x(bar.to) - x(bar.from) - 2),
+      height,
+    });
+    const title = chartElement('title');
+    title.textContent = `${bar.from}-${bar.to}s: ${bar.deaths} deaths, ${bar.nearMisses} near-misses`;
+    rect.appendChild(title);
+    svg.appendChild(rect);
+  });
+
+  // Right axis: speed multiplier
+  if (curve.length) {
+    const y = value => bottom - (value / maxMultiplier) * plotHeight;
+    const points = [];
+    for (let i = 0; i <= 160; i++) {
+      const time = (i / 160) * duration;
+      points.push(`${x(time).toFixed(1)},${y(multiplierAt(curve, time)).toFixed(1)}`);
+    }
+    svg.appendChild(chartElement('polyline', { class: 'chart-curve', points: points.join(' ') }));
+    for (let value = 0; value <= maxMultiplier; value++) {
+      chartText(svg, `×${value}`, { x: right + 6, y: y(value) + 4, 'text-anchor': 'start' });
+    }
+    curve.forEach(checkpoint => {
+      svg.appendChild(chartElement('circle', { class: 'chart-checkpoint', cx: x(checkpoint.time), cy: y(checkpoint.speedMultiplier), r: 3 }));
+    });
+  }
+
+  const timeStep = [5, 10, 15, 30, 60, 120].find(step => duration / step <= 10) || 120;
+  for (let time = 0; time <= duration; time += timeStep) {
+    chartText(svg, `${time}s`, { x: x(time), y: bottom + 18, 'text-anchor': 'middle' });
+  }
+  svg.appendChild(chartElement('line', { class: 'chart-axis', x1: CHART.left, x2: right, y1: bottom, y2: bottom }));
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+  const chart = document.getElementById('deathChart');
+  if (!chart) return;
+
+  const $ = id => document.getElementById(id);
+  const enabledToggle = $('telemetryEnabled');
+  const levelSelect = $('reportLevel');
+  const bucketSelect = $('reportBucket');
+  const practiceToggle = $('reportPractice');
+  const sourceNote = $('reportSource');
+  const emptyNote = $('reportEmpty');
+  const reportBody = $('reportBody');
+  const summaryList = $('reportSummary');
+  const chartSummary = $('deathChartSummary');
+  const lethalityRows = $('lethalityRows');
+  const exportBtn = $('exportRuns');
+  const importBtn = $('importRuns');
+  const importFile = $('importFile');
+  const showLocalBtn = $('showLocal');
+  const clearBtn = $('clearRuns');
+  const endpointForm = $('endpointForm');
+  const endpointInput = $('telemetryEndpoint');
+  const uploadBtn = $('uploadNow');
+  const uploadStatus = $('uploadStatus');
+
+  const telemetry = new AvoidGameTelemetry.Telemetry();
+  let records = [];
+  let imported = null; // file name while viewing an export instead of local data
+
+  enabledToggle.checked = telemetry.enabled;
+  endpointInput.value = telemetry.settings.endpoint;
+
+  function loadLocal() {
+    imported = null;
+    showLocalBtn.classList.add('hidden');
+    return telemetry.store.all()
+      .then(all => {
+        records = all;
+        render();
+      })
+      .catch(error => {
+        console.warn('Could not read recorded runs:', error);
+        records = [];
+        render();
+        sourceNote.textContent = `Recorded runs are unavailable in this browser (${error.message}). You can still view an export.`;
+      });
+  }
+
+  // Levels in the data, most played first
+  function fillLevels() {
+    const counts = {};
+    const names = {};
+    records.forEach(record => {
+      counts[record.level] = (counts[record.level] || 0) + 1;
+      names[record.level] = record.levelName || record.level;
+    });
+    const previous = levelSelect.value;
+    const levels = Object.keys(counts).sort((a, b) => counts[b] - counts[a]);
+    levelSelect.innerHTML = '';
+    levels.forEach(level => {
+      const option = document.createElement('option');
+      option.value = level;
+      option.textContent = `${names[level]} (${counts[level]})`;
+      levelSelect.appendChild(option);
+    });
+    if (levels.includes(previous)) levelSelect.value = previous;
+  }
+
+  function render() {
+    fillLevels();
+    const level = levelSelect.value;
+    const shown = records.filter(record => record.level === level &&
+      (practiceToggle.checked || (!record.assist && !record.lives)));
+
+    sourceNote.textContent = imported
+      ? `Viewing ${records.length} runs from ${imported}.`
+      : `${records.length} runs recorded on this device.`;
+    emptyNote.hidden = shown.length > 0;
+    reportBody.hidden = shown.length === 0;
+    exportBtn.disabled = records.length === 0;
+    if (!shown.length) return;
+
+    const summary = AvoidGameTelemetry.summarize(shown, { bucket: Number(bucketSelect.value) });
+    const stats = [
+      ['Runs', summary.runs],
+      ['Win rate', `${Math.round(summary.winRate * 100)}%`],
+      ['Average survival', `${summary.averageSurvival.toFixed(1)}s`],
+      ['Near-misses / run', summary.averageNearMisses.toFixed(1)],
+      ['Time spent moving', `${Math.round(summary.activity * 100)}%`],
+      ['Direction changes / min', summary.switchesPerMinute.toFixed(0)],
+    ];
+    summaryList.innerHTML = '';
+    stats.forEach(([label, value]) => {
+      const item = document.createElement('div');
+      const term = document.createElement('dt');
+      const detail = document.createElement('dd');
+      term.textContent = label;
+      detail.textContent = value;
+      item.append(term, detail);
+      summaryList.appendChild(item);
+    });
+
+    // The newest run's curve is the level as it is now
+    const latest = shown.reduce((a, b) => (a.startedAt > b.startedAt ? a : b));
+    const duration = summary.histogram.length ? summary.histogram[summary.histogram.length - 1].to : latest.duration;
+    drawDeathChart(chart, summary, latest.curve || [], duration);
+
+    const deaths = shown.filter(record => record.death).length;
+    const worst = summary.histogram.reduce((a, b) => (b.deaths > a.deaths ? b : a), summary.histogram[0]);
+    chartSummary.textContent = deaths && worst
+      ? `${deaths} of ${shown.length} runs ended early. Deadliest window: ${worst.from}-${worst.to}s with ${worst.deaths} deaths (${Math.round((worst.deaths / deaths) * 100)}%), speed ×${multiplierAt(latest.curve || [], worst.from).toFixed(2)} going in.`
+      : 'No run has ended early yet.';
+
+    lethalityRows.innerHTML = '';
+    const topRate = Math.max(0.0001, ...summary.lethality.map(entry => entry.rate));
+    summary.lethality.forEach(entry => {
+      const row = document.createElement('tr');
+      [`${entry.emoji} ${entry.label}`.trim(), entry.spawned, entry.deaths, entry.hits].forEach(value => {
+        const cell = document.createElement('td');
+        cell.textContent = value;
+        row.appendChild(cell);
+      });
+      const rateCell = document.createElement('td');
+      rateCell.className = 'lethality-cell';
+      const bar = document.createElement('span');
+      bar.className = 'lethality-bar';
+      bar.style.width = `${(entry.rate / topRate) * 100}%`;
+      const value = document.createElement('span');
+      value.textContent = entry.spawned ? (entry.rate * 100).toFixed(1) : '-';
+      rateCell.append(bar, value);
+      row.appendChild(rateCell);
+      lethalityRows.appendChild(row);
+    });
+  }
+
+  enabledToggle.addEventListener('change', () => telemetry.setEnabled(enabledToggle.checked));
+  [levelSelect, bucketSelect, practiceToggle].forEach(control => control.addEventListener('change', render));
+
+  exportBtn.addEventListener('click', () => {
+    const blob = new Blob([AvoidGameTelemetry.exportRuns(records)], { type: 'application/json' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = `avoid-game-telemetry-${new Date().toISOString().slice(0, 10)}.json`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(link.href), 0);
+  });
+
+  importBtn.addEventListener('click', () => importFile.click());
+  importFile.addEventListener('change', () => {
+    const file = importFile.files[0];
+    if (!file) return;
+    file.text()
+      .then(AvoidGameTelemetry.parseExport)
+      .then(runs => {
+        records = runs;
+        imported = file.name;
+        showLocalBtn.classList.remove('hidden');
+        render();
+      })
+      .catch(error => {
+        console.warn('Telemetry import failed:', error);
+        sourceNote.textContent = error.message;
+      });
+    importFile.value = '';
+  });
+  showLocalBtn.addEventListener('click', loadLocal);
+
+  clearBtn.addEventListener('click', () => {
+    if (!confirm('Delete every run recorded on this device?')) return;
+    telemetry.store.clear()
+      .then(loadLocal)
+      .catch(error => {
+        console.warn('Could not delete recorded runs:', error);
+      });
+  });
+
+  endpointForm.addEventListener('submit', event => {
+    event.preventDefault();
+    telemetry.setEndpoint(endpointInput.value);
+    uploadStatus.textContent = telemetry.settings.endpoint
+      ? `Runs will be sent to ${telemetry.settings.endpoint}.`
+      : 'Uploads off - runs stay on this device.';
+  });
+
+  uploadBtn.addEventListener('click', () => {
+    telemetry.setEndpoint(endpointInput.value);
+    if (!telemetry.sink) {
+      uploadStatus.textContent = 'Set an endpoint first.';
+      return;
+    }
+    uploadStatus.textContent = 'Sending…';
+    telemetry.flush().then(sent => {
+      uploadStatus.textContent = sent ? `Sent ${sent} runs.` : 'Nothing new was sent (see the console if the endpoint is down).';
+    });
+  });
+
+  loadLocal();
+});
@@ -0,0 +1,177 @@
+// ====================================
+// AVOID GAME HIGH SCORES
+// Top-N table of finished runs kept in localStorage.
+// Works as a browser <script> (window.AvoidGameScores) or a Node module.
+// ====================================
+
+(function (root) {
+  const STORAGE_KEY = 'avoidGame.highScores';
+  const SCHEMA_VERSION = 1;
+  const MAX_ENTRIES = 10;
+  const INITIALS_PATTERN = /^[A-Z0-9]{1,3}$/;
+
+  /**
+   * Normalize player initials: uppercase letters/digits, max 3 chars
+   */
+  function normalizeInitials(value) {
+    const initials = String(value || '').toUpperCase().replace(/[^A-Z0-9]/g, '').slice(0, 3);
+    return initials || '???';
+  }
+
+  /**
+   * Check one stored entry; returns a clean copy or null if it is unusable
+   */
+  function sanitizeEntry(entry) {
+    if (!entry || typeof entry !== 'object') return null;
+
+    const score = Number(entry.score);
+    const timeSurvived = Number(entry.timeSurvived);
+    if (!Number.isFinite(score) || score < 0) return null;
+    if (!Number.isFinite(timeSurvived) || timeSurvived < 0) return null;
+    if (entry.result !== 'win' && entry.result !== 'loss') return null;
+    if (Number.isNaN(Date.parse(entry.date))) return null;
+
+    const initials = normalizeInitials(entry.initials);
+    return {
+      initials: INITIALS_PATTERN.test(initials) ? initials : '???',
+      score: Math.floor(score),
+      timeSurvived: Math.round(timeSurvived * 10) / 10,
+      result: entry.result,
+      date: new Date(entry.date).toISOString(),
+    };
+  }
+
+  /**
+   * Ranking: higher score first, then longer survival, then the older run
+   */
+  function compareEntries(a, b) {
+    return (b.score - a.score) ||
+      (b.timeSurvived - a.timeSurvived) ||
+      (Date.parse(a.date) - Date.parse(b.date));
+  }
+
+  /**
+   * Read a stored or imported table ({ version: 1, entries: [...] })
+   * Invalid entries are dropped rather than failing the whole table
+   */
+  function migrate(data) {
+    if (!data || typeof data !== 'object' || data.version !== SCHEMA_VERSION || !Array.isArray(data.entries)) {
+      throw new Error('Unrecognized high score format');
+    }
+
+    return data.entries
+      .map(sanitizeEntry)
+      .filter(Boolean)
+      .sort(compareEntries)
+      .slice(0, MAX_ENTRIES);
+  }
+
+  class HighScoreTable {
+    /**
+     * @param {Storage} [storage] - localStorage or anything with getItem/setItem/removeItem
+     */
+    constructor(storage = root.localStorage, key = STORAGE_KEY, maxEntries = MAX_ENTRIES) {
+      this.storage = storage;
+      this.key = key;
+      this.maxEntries = maxEntries;
+      this.entries = [];
+      this.load();
+    }
+
+    /**
+     * Read and migrate the stored table; a corrupt table is reset to empty
+     */
+    load() {
+      try {
+        const raw = this.storage && this.storage.getItem(this.key);
+        this.entries = raw ? migrate(JSON.parse(raw)).slice(0, this.maxEntries) : [];
+      } catch (error) {
+        console.warn('High scores reset - stored data was unreadable:', error);
+        this.entries = [];
+      }
+      return this.entries;
+    }
+
+    save() {
+      try {
+        if (this.storage) {
+          this.storage.setItem(this.key, JSON.stringify({ version: SCHEMA_VERSION, entries: this.entries }));
+        }
+      } catch (error) {
+        console.warn('Failed to save high scores:', error);
+      }
+    }
+
+    /**
+     * Would a run with this score/time make it onto the table?
+     */
+    qualifies(score, timeSurvived) {
+      if (this.entries.length < this.maxEntries) return true;
+      const candidate = { score, timeSurvived, date: new Date().toISOString() };
+      return compareEntries(candidate, this.entries[this.entries.length - 1]) < 0;
+    }
+
+    /**
+     * Insert a finished run
+     * @param {{initials: string, score: number, timeSurvived: number, result: 'win'|'loss', date?: string}} run
+     * @returns {number} 0-based rank of the new entry, or -1 if it did not make the table
+     */
+    add(run) {
+      const entry = sanitizeEntry(Object.assign({ date: new Date().toISOString() }, run));
+      if (!entry) {
+        throw new Error('Invalid high score entry');
+      }
+
+      this.entries.push(entry);
+      this.entries.sort(compareEntries);
+      const rank = this.entries.indexOf(entry);
+      this.entries = this.entries.slice(0, this.maxEntries);
+      this.save();
+      return rank < this.maxEntries ? rank : -1;
+    }
+
+    clear() {
+      this.entries = [];
+      try {
+        if (this.storage) this.storage.removeItem(this.key);
+      } catch (error) {
+        console.warn('Failed to clear high scores:', error);
+      }
+    }
+
+    exportJSON() {
+      return JSON.stringify({ version: SCHEMA_VERSION, entries: this.entries }, null, 2);
+    }
+
+    /**
+     * Replace the table with an exported one; throws on malformed JSON
+     * @returns {number} how many entries were kept
+     */
+    importJSON(json) {
+      let data;
+      try {
+        data = JSON.parse(json);
+      } catch (error) {
+        throw new Error('High score file is not valid JSON');
+      }
+      this.entries = migrate(data).slice(0, this.maxEntries);
+      this.save();
+      return this.entries.length;
+    }
+  }
+
+  const AvoidGameScores = {
+    STORAGE_KEY,
+    SCHEMA_VERSION,
+    MAX_ENTRIES,
+    HighScoreTable,
+    normalizeInitials,
+    migrate,
+  };
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AvoidGameScores;
+  } else {
+    root.AvoidGameScores = AvoidGameScores;
+  }
+})(typeof window !== 'undefined' ? window : globalThis);
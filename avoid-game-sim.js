@@ -0,0 +1,633 @@
+// ====================================
+// AVOID GAME SIMULATION CORE
+// Pure game rules - no DOM, no audio.
+// Works as a browser <script> (window.AvoidGameSim) or a Node module.
+// ====================================
+
+(function (root) {
+  // Fixed simulation step - every rule below is in per-second units, so
+  // the game plays the same on 60 Hz and 144 Hz screens
+  const TIMESTEP = 1 / 60;
+
+  // Difficulty curve configuration
+  // Objects start slow and gradually increase speed
+  const DIFFICULTY_CURVE = {
+    baseSpeed: 150, // px/s - minimum speed (0-5 seconds, very easy)
+    maxSpeed: 390,  // px/s - maximum speed (reached around 40s)
+    difficultyCheckpoints: [
+      { time: 0, speedMultiplier: 1.0 },      // 0-5s: x1.0 speed (very easy)
+      { time: 5, speedMultiplier: 1.15 },     // 5-10s: x1.15 speed
+      { time: 10, speedMultiplier: 1.35 },    // 10-15s: x1.35 speed
+      { time: 15, speedMultiplier: 1.60 },    // 15-20s: x1.60 speed (moderate)
+      { time: 20, speedMultiplier: 1.90 },    // 20-30s: x1.90 speed
+      { time: 30, speedMultiplier: 2.25 },    // 30-35s: x2.25 speed
+      { time: 35, speedMultiplier: 3.20 },    // 35-40s: x3.20 speed (hard)
+      { time: 40, speedMultiplier: 3.80 },    // 40-44s: x3.80 speed (very hard)
+    ],
+    spawnIntervalCheckpoints: [
+      { time: 0, spawnInterval: 1.5 },         // 0-5s: Spawn every 1.5s
+      { time: 5, spawnInterval: 1.333 },       // 5-10s: Spawn every 1.33s
+      { time: 10, spawnInterval: 1.167 },      // 10-15s: Spawn every 1.17s
+      { time: 15, spawnInterval: 1.0 },        // 15-20s: Spawn every 1s
+      { time: 20, spawnInterval: 0.833 },      // 20-25s: Spawn every 0.83s
+      { time: 25, spawnInterval: 0.75 },       // 25-30s: Spawn every 0.75s
+      { time: 30, spawnInterval: 0.667 },      // 30-35s: Spawn every 0.67s
+      { time: 35, spawnInterval: 0.667 },      // 35-40s: Spawn every 0.67s
+      { time: 40, spawnInterval: 0.5 },        // 40-44s: Spawn every 0.5s
+    ],
+  };
+
+  // Stress objects (emoji and text descriptions)
+  // Optional per item:
+  //   weight   - how common it is (default 1)
+  //   behavior - key of BEHAVIORS (default 'fall')
+  //   size     - hitbox and sprite size in px (default config.objectSize)
+  //   points   - reward for dodging it (default config.dodgePoints)
+  //   params   - overrides for the behavior's defaults
+  const STRESS_OBJECTS = [
+    { emoji: '📚', label: 'exam', behavior: 'heavy', size: 58, points: 15 },
+    { emoji: '☕', label: 'coffee', behavior: 'zigzag', size: 40, points: 10 },
+    { emoji: '✏️', label: 'pencil', size: 36, points: 5 },
+    { emoji: '👨‍🏫', label: 'teacher', behavior: 'homing', points: 20 },
+    { emoji: '⏰', label: 'deadline', behavior: 'split', points: 10 },
+    { emoji: '😰', label: 'stress', behavior: 'zigzag', params: { amplitude: 40, frequency: 1.5 } },
+    { emoji: '⏲️', label: 'alarm', behavior: 'split', size: 44, params: { splitAfter: 1.2 } },
+    { emoji: '💻', label: 'computer', behavior: 'heavy', points: 15 },
+    { emoji: '🌭', label: 'hotdog' },
+    { emoji: '🪑', label: 'desk', behavior: 'heavy', size: 60, points: 15 },
+  ];
+
+  // ==========================================
+  // OBJECT BEHAVIORS
+  // Each behavior has default params, an optional spawn(obj, random) hook
+  // and update(obj, ctx) that returns the object(s) after one TIMESTEP.
+  // ctx = { config, character, fallSpeed, allocateId }
+  // ==========================================
+  const BEHAVIORS = {
+    // Straight down at the current difficulty speed
+    fall: {
+      defaults: {},
+      update(obj, ctx) {
+        return [Object.assign({}, obj, {
+          x: clampX(ctx.config, obj.x + (obj.vx || 0) * TIMESTEP, obj.width),
+          y: obj.y + ctx.fallSpeed * TIMESTEP,
+        })];
+      },
+    },
+
+    // Sine drift around the spawn column
+    zigzag: {
+      defaults: { amplitude: 60, frequency: 1 }, // px, waves per second
+      spawn(obj, random) {
+        obj.originX = obj.x;
+        obj.phase = random() * Math.PI * 2;
+      },
+      update(obj, ctx) {
+        const { amplitude, frequency } = obj.params;
+        const x = obj.originX + amplitude * Math.sin(obj.phase + Math.PI * 2 * frequency * obj.age);
+        return [Object.assign({}, obj, {
+          x: clampX(ctx.config, x, obj.width),
+          y: obj.y + ctx.fallSpeed * TIMESTEP,
+        })];
+      },
+    },
+
+    // Slowly steers toward the bulldog's column while falling a bit slower
+    homing: {
+      defaults: { turnSpeed: 70, speedFactor: 0.85 }, // px/s sideways
+      update(obj, ctx) {
+        const target = ctx.character.x + ctx.character.width / 2 - obj.width / 2;
+        const maxStep = obj.params.turnSpeed * TIMESTEP;
+        const dx = Math.max(-maxStep, Math.min(maxStep, target - obj.x));
+        return [Object.assign({}, obj, {
+          x: clampX(ctx.config, obj.x + dx, obj.width),
+          y: obj.y + ctx.fallSpeed * obj.params.speedFactor * TIMESTEP,
+        })];
+      },
+    },
+
+    // Falls, then breaks into two smaller halves drifting apart
+    split: {
+      defaults: { splitAfter: 0.9, spread: 90, childScale: 0.7 }, // s, px/s, size factor
+      update(obj, ctx) {
+        const moved = BEHAVIORS.fall.update(obj, ctx)[0];
+        if (obj.age < obj.params.splitAfter) {
+          return [moved];
+        }
+
+        const size = Math.round(obj.width * obj.params.childScale);
+        const points = Math.ceil(obj.points / 2);
+        return [-1, 1].map(direction => Object.assign({}, moved, {
+          id: ctx.allocateId(),
+          behavior: 'fall',
+          params: {},
+          x: clampX(ctx.config, moved.x + (obj.width - size) / 2 + direction * size / 2, size),
+          width: size,
+          height: size,
+          vx: direction * obj.params.spread,
+          points,
+          splitFrom: obj.id,
+          nearMissed: false, // each half is a new object to dodge
+        }));
+      },
+    },
+
+    // Big and fast
+    heavy: {
+      defaults: { speedFactor: 1.5 },
+      update(obj, ctx) {
+        return [Object.assign({}, obj, { y: obj.y + ctx.fallSpeed * obj.params.speedFactor * TIMESTEP })];
+      },
+    },
+  };
+
+  // ==========================================
+  // POWER-UPS
+  // Collectibles that fall like a plain 'fall' object; catching one starts
+  // (or refreshes) a timed effect kept in state.effects
+  // ==========================================
+  const POWER_UPS = {
+    shield: { emoji: '🛡️', label: 'shield', duration: 8 },                   // absorbs one hit
+    slowTime: { emoji: '🐢', label: 'slow time', duration: 5, factor: 0.5 }, // fall + spawn speed
+    shrink: { emoji: '🍄', label: 'shrink', duration: 6, factor: 0.6 },      // bulldog size
+    multiplier: { emoji: '⭐', label: 'x2 score', duration: 8, factor: 2 },  // dodge points
+  };
+
+  function clampX(config, x, width) {
+    return Math.max(0, Math.min(x, config.width - width));
+  }
+
+  // Logical board the game plays on: always this wide, and as tall as the
+  // page's aspect ratio allows within these limits (avoid-game.js measures it)
+  const BOARD = { width: 500, minHeight: 400, maxHeight: 1000 };
+
+  const DEFAULT_CONFIG = {
+    width: 500,
+    height: 600,
+    duration: 44,            // seconds - total game length
+    characterWidth: 60,
+    characterHeight: 70,
+    characterOffsetY: 100,   // character.y = height - characterOffsetY
+    objectSize: 50,
+    moveSpeed: 480,          // px/s
+    warningDistance: 70,     // center distance that counts as a near-miss
+    dodgePoints: 10,         // reward for each object that leaves the board
+    winScore: null,          // reach this score to win early; time running out is then a loss
+    lives: null,             // lives mode: hits the bulldog can take; null = first hit ends the run
+    invulnerableTime: 1.5,   // seconds of i-frames after losing a life or the shield
+    powerUpChance: 0.08,     // chance that a spawn is a power-up instead of a stress object
+    powerUpSize: 40,
+    powerUps: POWER_UPS,
+    difficulty: DIFFICULTY_CURVE,
+    stressObjects: STRESS_OBJECTS,
+  };
+
+  // ==========================================
+  // SEEDED RANDOM
+  // mulberry32 - the generator state is a plain uint32 kept in the game
+  // state, so a run is fully determined by its seed and its inputs
+  // ==========================================
+
+  /**
+   * Pick a fresh seed for a new run
+   */
+  function randomSeed() {
+    return Math.floor(Math.random() * 4294967296) >>> 0;
+  }
+
+  /**
+   * Advance the generator one step
+   * @returns {{value: number, rngState: number}} value is in [0, 1)
+   */
+  function nextRandom(rngState) {
+    const nextState = (rngState + 0x6D2B79F5) >>> 0;
+    let t = nextState;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return { value: ((t ^ (t >>> 14)) >>> 0) / 4294967296, rngState: nextState };
+  }
+
+  /**
+   * Linear interpolation over a list of { time, [key] } checkpoints
+   * Holds the last value once elapsed passes the final checkpoint
+   */
+  function interpolateCheckpoints(checkpoints, key, elapsed, fallback) {
+    let value = fallback;
+    for (let i = 0; i < checkpoints.length; i++) {
+      const checkpoint = checkpoints[i];
+      const nextCheckpoint = checkpoints[i + 1];
+
+      if (elapsed >= checkpoint.time) {
+        if (nextCheckpoint && elapsed < nextCheckpoint.time) {
+          const progress = (elapsed - checkpoint.time) / (nextCheckpoint.time - checkpoint.time);
+          value = checkpoint[key] + (nextCheckpoint[key] - checkpoint[key]) * progress;
+          break;
+        } else if (!nextCheckpoint) {
+          value = checkpoint[key];
+        }
+      }
+    }
+    return value;
+  }
+
+  /**
+   * Get the speed multiplier for a given elapsed time
+   */
+  function getSpeedMultiplier(config, elapsed) {
+    return interpolateCheckpoints(config.difficulty.difficultyCheckpoints, 'speedMultiplier', elapsed, 1.0);
+  }
+
+  /**
+   * Get the spawn interval (seconds between spawns) for a given elapsed time
+   */
+  function getSpawnInterval(config, elapsed) {
+    return interpolateCheckpoints(config.difficulty.spawnIntervalCheckpoints, 'spawnInterval', elapsed, 1.5);
+  }
+
+  /**
+   * Axis-aligned bounding box overlap
+   */
+  function checkCollision(a, b) {
+    return (
+      a.x < b.x + b.width &&
+      a.x + a.width > b.x &&
+      a.y < b.y + b.height &&
+      a.y + a.height > b.y
+    );
+  }
+
+  /**
+   * Distance between the centers of two boxes
+   */
+  function centerDistance(a, b) {
+    const dx = (a.x + a.width / 2) - (b.x + b.width / 2);
+    const dy = (a.y + a.height / 2) - (b.y + b.height / 2);
+    return Math.sqrt(dx * dx + dy * dy);
+  }
+
+  /**
+   * Build a fresh 'playing' state
+   * @param {object} [overrides] - any DEFAULT_CONFIG field (width/height usually)
+   * @param {number} [seed] - uint32 seed; the same seed + inputs replays the same run
+   */
+  function createState(overrides = {}, seed = randomSeed()) {
+    const config = Object.assign({}, DEFAULT_CONFIG, overrides);
+    return {
+      config,
+      status: 'playing', // 'playing', 'gameOver', 'victory'
+      seed: seed >>> 0,
+      rngState: seed >>> 0,
+      tick: 0,
+      score: 0,
+      elapsed: 0,
+      timeLeft: config.duration,
+      spawnTimer: 0,
+      spawnInterval: getSpawnInterval(config, 0),
+      speedMultiplier: getSpeedMultiplier(config, 0),
+      nextObjectId: 1,
+      character: {
+        x: config.width / 2,
+        y: config.height - config.characterOffsetY,
+        width: config.characterWidth,
+        height: config.characterHeight,
+      },
+      objects: [],
+      lives: config.lives || null,
+      invulnerable: 0, // seconds of i-frames left
+      effects: {},     // power-up key -> seconds left
+    };
+  }
+
+  /**
+   * @param {number} [speed] - 0..1 share of moveSpeed (analog sticks)
+   */
+  function moveCharacter(config, character, moving, speed = 1) {
+    const distance = config.moveSpeed * Math.max(0, Math.min(1, speed)) * TIMESTEP;
+    let x = character.x;
+    if (moving === 'left' && x > 0) {
+      x -= distance;
+    } else if (moving === 'right' && x + character.width < config.width) {
+      x += distance;
+    }
+    // Giới hạn X để không ra khỏi game board
+    x = Math.max(0, Math.min(x, config.width - character.width));
+    return Object.assign({}, character, { x });
+  }
+
+  /**
+   * Weighted pick from the stress object pool
+   */
+  function pickStressObject(stressObjects, roll) {
+    const total = stressObjects.reduce((sum, item) => sum + (item.weight || 1), 0);
+    let remaining = roll * total;
+    for (let i = 0; i < stressObjects.length; i++) {
+      remaining -= stressObjects[i].weight || 1;
+      if (remaining < 0) return stressObjects[i];
+    }
+    return stressObjects[stressObjects.length - 1];
+  }
+
+  function spawnPowerUp(state, random) {
+    const { config } = state;
+    const keys = Object.keys(config.powerUps);
+    const key = keys[Math.min(keys.length - 1, Math.floor(random() * keys.length))];
+    const size = config.powerUpSize;
+    return {
+      id: state.nextObjectId,
+      x: random() * (config.width - size),
+      y: -size,
+      width: size,
+      height: size,
+      emoji: config.powerUps[key].emoji,
+      label: config.powerUps[key].label,
+      powerUp: key,
+      behavior: 'fall',
+      params: {},
+      points: 0,
+      age: 0,
+      speedMultiplier: state.speedMultiplier,
+    };
+  }
+
+  function spawnObject(state, random) {
+    const { config } = state;
+    if (config.powerUpChance > 0 && random() < config.powerUpChance) {
+      return spawnPowerUp(state, random);
+    }
+    const stressItem = pickStressObject(config.stressObjects, random());
+    const behaviorName = BEHAVIORS[stressItem.behavior] ? stressItem.behavior : 'fall';
+    const behavior = BEHAVIORS[behaviorName];
+    const size = stressItem.size || config.objectSize;
+    const obj = {
+      id: state.nextObjectId,
+      x: random() * (config.width - size),
+      y: -size,
+      width: size,
+      height: size,
+      emoji: stressItem.emoji,
+      label: stressItem.label,
+      behavior: behaviorName,
+      params: Object.assign({}, behavior.defaults, stressItem.params),
+      points: stressItem.points === undefined ? config.dodgePoints : stressItem.points,
+      age: 0,
+      speedMultiplier: state.speedMultiplier, // difficulty at spawn time
+    };
+    if (behavior.spawn) {
+      behavior.spawn(obj, random);
+    }
+    return obj;
+  }
+
+  /**
+   * Count down every active effect; returns the keys that just ran out
+   */
+  function tickEffects(next) {
+    const expired = [];
+    const effects = {};
+    Object.keys(next.effects).forEach(key => {
+      const left = next.effects[key] - TIMESTEP;
+      if (left > 1e-9) {
+        effects[key] = left;
+      } else {
+        expired.push(key);
+      }
+    });
+    next.effects = effects;
+    next.invulnerable = Math.max(0, next.invulnerable - TIMESTEP);
+    return expired;
+  }
+
+  /**
+   * Bulldog size for the current effects, shrinking around its feet and center
+   */
+  function resizeCharacter(config, character, effects) {
+    const factor = effects.shrink ? config.powerUps.shrink.factor : 1;
+    const width = Math.round(config.characterWidth * factor);
+    const height = Math.round(config.characterHeight * factor);
+    if (width === character.width && height === character.height) {
+      return character;
+    }
+    const centerX = character.x + character.width / 2;
+    return Object.assign({}, character, {
+      x: clampX(config, centerX - width / 2, width),
+      y: config.height - config.characterOffsetY + config.characterHeight - height,
+      width,
+      height,
+    });
+  }
+
+  /**
+   * Move a state onto a board of a new logical size (rotation, resize)
+   * Objects and the bulldog keep their relative position; the bulldog stays
+   * characterOffsetY above the bottom edge
+   * @returns {object} a new state (the old one is not mutated)
+   */
+  function resizeState(state, width, height) {
+    const { config } = state;
+    if (width === config.width && height === config.height) {
+      return state;
+    }
+
+    const next = Object.assign({}, state, { config: Object.assign({}, config, { width, height }) });
+    // Scale around the centers so a remapped item never pokes out of the board
+    const remapX = item => clampX(next.config, (item.x + item.width / 2) * width / config.width - item.width / 2, item.width);
+    next.character = Object.assign({}, state.character, {
+      x: remapX(state.character),
+      y: height - config.characterOffsetY + config.characterHeight - state.character.height,
+    });
+    next.objects = state.objects.map(obj => {
+      const moved = Object.assign({}, obj, {
+        x: remapX(obj),
+        y: (obj.y + obj.height / 2) * height / config.height - obj.height / 2,
+      });
+      if (moved.originX !== undefined) {
+        moved.originX = obj.originX * width / config.width;
+      }
+      return moved;
+    });
+    return next;
+  }
+
+  /**
+   * A stress object reached the bulldog: the shield, then a spare life,
+   * take the hit first; only the last one ends the run
+   * @returns {boolean} true when the run is over
+   */
+  function takeHit(next, obj, events) {
+    const { config } = next;
+    if (next.effects.shield) {
+      next.effects = Object.assign({}, next.effects);
+      delete next.effects.shield;
+      next.invulnerable = config.invulnerableTime;
+      events.push({ type: 'shieldBreak', object: obj });
+      return false;
+    }
+    if (next.lives > 1) {
+      next.lives--;
+      next.invulnerable = config.invulnerableTime;
+      events.push({ type: 'lifeLost', object: obj, lives: next.lives });
+      return false;
+    }
+    if (next.lives) next.lives = 0;
+    next.status = 'gameOver';
+    events.push({ type: 'collision', object: obj });
+    return true;
+  }
+
+  /**
+   * Advance the game by one fixed TIMESTEP
+   * @param {object} state - previous state (not mutated)
+   * @param {{moving: 'left'|'right'|'none', speed?: number}} input - speed 0..1, default 1
+   * @returns {{state: object, events: Array<{type: string}>}}
+   */
+  function step(state, input) {
+    const events = [];
+    if (state.status !== 'playing') {
+      return { state, events };
+    }
+
+    const { config } = state;
+    const next = Object.assign({}, state, { tick: state.tick + 1 });
+
+    next.elapsed = next.tick * TIMESTEP;
+    next.timeLeft = config.duration - next.elapsed;
+
+    if (next.elapsed >= config.duration) {
+      next.timeLeft = 0;
+      next.objects = [];
+      if (config.winScore) {
+        // Score-target levels: running out of time is a loss
+        next.status = 'gameOver';
+        events.push({ type: 'timeUp', score: next.score });
+      } else {
+        next.status = 'victory';
+        events.push({ type: 'victory', score: next.score });
+      }
+      return { state: next, events };
+    }
+
+    next.speedMultiplier = getSpeedMultiplier(config, next.elapsed);
+    next.spawnInterval = getSpawnInterval(config, next.elapsed);
+
+    tickEffects(next).forEach(key => events.push({ type: 'powerUpEnd', powerUp: key }));
+    // Slow-time stretches the world's clock, not the countdown
+    const worldScale = next.effects.slowTime ? config.powerUps.slowTime.factor : 1;
+    const scoreFactor = next.effects.multiplier ? config.powerUps.multiplier.factor : 1;
+
+    const objects = state.objects.slice();
+    next.spawnTimer = state.spawnTimer + TIMESTEP * worldScale;
+    if (next.spawnTimer >= next.spawnInterval) {
+      let { rngState } = next;
+      const random = () => {
+        const result = nextRandom(rngState);
+        rngState = result.rngState;
+        return result.value;
+      };
+      const obj = spawnObject(next, random);
+      next.rngState = rngState;
+      next.nextObjectId = obj.id + 1;
+      next.spawnTimer -= next.spawnInterval;
+      objects.push(obj);
+      events.push({ type: 'spawn', object: obj });
+    }
+
+    const { moving, speed = 1 } = input || {};
+    next.character = resizeCharacter(config, moveCharacter(config, state.character, moving, speed), next.effects);
+
+    const { baseSpeed, maxSpeed } = config.difficulty;
+    const context = {
+      config,
+      character: next.character,
+      fallSpeed: 0,
+      allocateId: () => next.nextObjectId++,
+    };
+    next.objects = [];
+    for (let i = 0; i < objects.length && next.status === 'playing'; i++) {
+      // Base speed ranges from baseSpeed (x1.0) upward with the multiplier
+      context.fallSpeed = (baseSpeed + (maxSpeed - baseSpeed) * (objects[i].speedMultiplier - 1)) * worldScale;
+      const behavior = BEHAVIORS[objects[i].behavior] || BEHAVIORS.fall;
+      const aged = Object.assign({}, objects[i], { age: objects[i].age + TIMESTEP });
+      const updated = behavior.update(aged, context);
+      if (updated.length > 1) {
+        events.push({ type: 'split', object: aged, children: updated });
+      }
+
+      for (let j = 0; j < updated.length; j++) {
+        const obj = updated[j];
+
+        if (obj.powerUp) {
+          if (checkCollision(next.character, obj)) {
+            const { duration } = config.powerUps[obj.powerUp];
+            next.effects = Object.assign({}, next.effects, { [obj.powerUp]: duration });
+            next.character = resizeCharacter(config, next.character, next.effects);
+            events.push({ type: 'powerUp', object: obj, powerUp: obj.powerUp, duration });
+          } else if (obj.y <= config.height) {
+            next.objects.push(obj);
+          }
+          continue;
+        }
+
+        if (checkCollision(next.character, obj)) {
+          if (next.invulnerable > 0) {
+            // Blinking after a hit: objects pass straight through
+            next.objects.push(obj);
+            continue;
+          }
+          if (takeHit(next, obj, events)) {
+            // The hit object is consumed; everything else freezes where it is
+            next.objects.push(...updated.slice(j + 1), ...objects.slice(i + 1));
+            break;
+          }
+          continue;
+        }
+
+        // One near-miss per object, not one per tick it stays close
+        if (!obj.nearMissed && centerDistance(next.character, obj) < config.warningDistance) {
+          obj.nearMissed = true; // obj is this tick's copy from behavior.update
+          events.push({ type: 'nearMiss', object: obj });
+        }
+
+        if (obj.y > config.height) {
+          const points = obj.points * scoreFactor;
+          next.score += points;
+          events.push({ type: 'score', object: obj, points, score: next.score });
+          continue;
+        }
+
+        next.objects.push(obj);
+      }
+    }
+
+    if (next.status === 'playing' && config.winScore && next.score >= config.winScore) {
+      next.status = 'victory';
+      next.objects = [];
+      events.push({ type: 'victory', score: next.score });
+    }
+
+    return { state: next, events };
+  }
+
+  const AvoidGameSim = {
+    TIMESTEP,
+    BOARD,
+    DEFAULT_CONFIG,
+    DIFFICULTY_CURVE,
+    STRESS_OBJECTS,
+    BEHAVIORS,
+    POWER_UPS,
+    createState,
+    resizeState,
+    step,
+    randomSeed,
+    nextRandom,
+    getSpeedMultiplier,
+    getSpawnInterval,
+    checkCollision,
+  };
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AvoidGameSim;
+  } else {
+    root.AvoidGameSim = AvoidGameSim;
+  }
+})(typeof window !== 'undefined' ? window : globalThis);
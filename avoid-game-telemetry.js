@@ -0,0 +1,516 @@
+// ====================================
+// AVOID GAME TELEMETRY
+// Opt-in, local-first run telemetry for balancing the difficulty curve.
+// Each finished live run becomes one record in IndexedDB (never leaves
+// the device unless an upload sink is configured), and summarize() turns
+// records into the death-time histogram and per-object lethality shown
+// on telemetry-report.html.
+// Works as a browser <script> (window.AvoidGameTelemetry) or a Node module.
+//
+// Run record (version 1):
+// {
+//   "version": 1, "startedAt": "2025-05-01T12:00:00.000Z",
+//   "level": "normal", "levelName": "Normal", "duration": 44,
+//   "curve": [{ "time": 0, "speedMultiplier": 1 }, ...],   // the level's speed checkpoints
+//   "assist": false, "lives": false,
+//   "result": "loss", "timeSurvived": 36.2, "score": 240,
+//   "death": { "time": 36.2, "label": "exam", "emoji": "📚", "behavior": "heavy", "speedMultiplier": 3.3 },
+//   "hits": [{ "time": 12.5, "label": "coffee" }],      // shields broken / lives lost
+//   "nearMisses": [8.1, 20.4],                           // times
+//   "powerUps": 1,
+//   "spawned": { "exam": 5, "coffee": 7 },               // per stress object label
+//   "input": { "frames": 2172, "left": 640, "right": 702, "switches": 88 }
+// }
+// ====================================
+
+(function (root) {
+  const SETTINGS_KEY = 'avoidGame.telemetry';
+  const RECORD_VERSION = 1;
+  const DB_NAME = 'avoidGameTelemetry';
+  const DB_VERSION = 1;
+  const STORE_NAME = 'runs';
+  const BATCH_SIZE = 25; // runs per upload request
+
+  const round1 = value => Math.round(value * 10) / 10;
+
+  /**
+   * Saved telemetry settings: off until the player opts in
+   * - enabled: record finished runs
+   * - endpoint: URL that receives uploaded batches ('' keeps everything local)
+   */
+  function loadSettings(storage = root.localStorage) {
+    const settings = { enabled: false, endpoint: '' };
+    try {
+      const saved = JSON.parse(storage && storage.getItem(SETTINGS_KEY) || 'null');
+      if (saved && typeof saved === 'object') {
+        if (typeof saved.enabled === 'boolean') settings.enabled = saved.enabled;
+        if (typeof saved.endpoint === 'string') settings.endpoint = saved.endpoint;
+      }
+    } catch (error) {
+      console.warn('Telemetry settings unreadable, telemetry stays off:', error);
+    }
+    return settings;
+  }
+
+  function saveSettings(settings, storage = root.localStorage) {
+    try {
+      storage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+    } catch (error) {
+      console.warn('Failed to save telemetry settings:', error);
+    }
+  }
+
+  function increment(map, key) {
+    map[key] = (map[key] || 0) + 1;
+  }
+
+  // ==========================================
+  // RUN RECORDER
+  // ==========================================
+
+  /**
+   * Builds one run record from simulation steps
+   */
+  class RunRecorder {
+    /**
+     * @param {object} state - the run's starting simulation state
+     * @param {object} meta - { level, levelName, assist, lives }
+     */
+    constructor(state, meta = {}) {
+      this.record = {
+        version: RECORD_VERSION,
+        startedAt: new Date().toISOString(),
+        level: meta.level || state.config.levelId || null,
+        levelName: meta.levelName || null,
+        duration: state.config.duration,
+        curve: state.config.difficulty.difficultyCheckpoints.map(c => ({ time: c.time, speedMultiplier: c.speedMultiplier })),
+        assist: Boolean(meta.assist),
+        lives: Boolean(meta.lives),
+        result: null,
+        timeSurvived: 0,
+        score: 0,
+        death: null,
+        hits: [],
+        nearMisses: [],
+        powerUps: 0,
+        spawned: {},
+        input: { frames: 0, left: 0, right: 0, switches: 0 },
+      };
+      this.lastDirection = 'none';
+    }
+
+    /**
+     * Feed one simulation step
+     * @param {{moving: string}} input - the frame the step was given
+     * @param {object[]} events - events the step produced
+     * @param {object} state - state after the step
+     */
+    step(input, events, state) {
+      const record = this.record;
+      const moving = (input && input.moving) || 'none';
+      record.input.frames++;
+      if (moving === 'left') record.input.left++;
+      if (moving === 'right') record.input.right++;
+      if (moving !== 'none' && this.lastDirection !== 'none' && moving !== this.lastDirection) {
+        record.input.switches++;
+      }
+      if (moving !== 'none') this.lastDirection = moving;
+
+      const time = round1(state.elapsed);
+      events.forEach(event => {
+        switch (event.type) {
+          case 'spawn':
+            if (!event.object.powerUp) increment(record.spawned, event.object.label);
+            break;
+          case 'nearMiss':
+            record.nearMisses.push(time);
+            break;
+          case 'powerUp':
+            record.powerUps++;
+            break;
+          case 'shieldBreak':
+          case 'lifeLost':
+            record.hits.push({ time, label: event.object.label });
+            break;
+          case 'collision':
+            record.death = {
+              time,
+              label: event.object.label,
+              emoji: event.object.emoji,
+              behavior: event.object.behavior,
+              speedMultiplier: round1(state.speedMultiplier),
+            };
+            break;
+          default:
+            break;
+        }
+      });
+    }
+
+    /**
+     * Close the record once the run has ended
+     */
+    finish(state) {
+      const record = this.record;
+      record.result = state.status === 'victory' ? 'win' : 'loss';
+      record.timeSurvived = round1(Math.min(state.elapsed, state.config.duration));
+      record.score = state.score;
+      return record;
+    }
+  }
+
+  // ==========================================
+  // STORAGE (IndexedDB)
+  // ==========================================
+
+  // IDBRequest -> Promise
+  function request(req) {
+    return new Promise((resolve, reject) => {
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+  }
+
+  /**
+   * Run records in IndexedDB; every method returns a Promise.
+   * Stored records carry an `id` and an `uploaded` flag
+   */
+  class TelemetryStore {
+    constructor(indexedDB = root.indexedDB, name = DB_NAME) {
+      this.indexedDB = indexedDB;
+      this.name = name;
+      this.db = null;
+    }
+
+    open() {
+      if (!this.db) {
+        if (!this.indexedDB) {
+          return Promise.reject(new Error('IndexedDB is not available'));
+        }
+        const req = this.indexedDB.open(this.name, DB_VERSION);
+        req.onupgradeneeded = () => {
+          req.result.createObjectStore(STORE_NAME, { keyPath: 'id', autoIncrement: true });
+        };
+        this.db = request(req).catch(error => {
+          this.db = null;
+          throw error;
+        });
+      }
+      return this.db;
+    }
+
+    // Run fn(objectStore) in one transaction, resolving with its request's result
+    transaction(mode, fn) {
+      return this.open().then(db => request(fn(db.transaction(STORE_NAME, mode).objectStore(STORE_NAME))));
+    }
+
+    add(record) {
+      return this.transaction('readwrite', store => store.add(Object.assign({}, record, { uploaded: false })));
+    }
+
+    all() {
+      return this.transaction('readonly', store => store.getAll());
+    }
+
+    /**
+     * Flag records as sent to the upload sink
+     */
+    markUploaded(ids) {
+      return this.open().then(db => new Promise((resolve, reject) => {
+        const tx = db.transaction(STORE_NAME, 'readwrite');
+        const store = tx.objectStore(STORE_NAME);
+        ids.forEach(id => {
+          const req = store.get(id);
+          req.onsuccess = () => {
+            if (req.result) store.put(Object.assign(req.result, { uploaded: true }));
+          };
+        });
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => reject(tx.error);
+      }));
+    }
+
+    clear() {
+      return this.transaction('readwrite', store => store.clear());
+    }
+  }
+
+  // ==========================================
+  // UPLOAD SINKS
+  // A sink is any object with send(records) -> Promise; it gets batches
+  // of up to BATCH_SIZE records and rejects to have them retried later
+  // ==========================================
+
+  /**
+   * POSTs { version, runs } as JSON (e.g. leaderboard-server.js /telemetry)
+   */
+  class HttpSink {
+    constructor(endpoint, fetchImpl = root.fetch && root.fetch.bind(root)) {
+      this.endpoint = endpoint;
+      this.fetch = fetchImpl;
+    }
+
+    send(records) {
+      return this.fetch(this.endpoint, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ version: RECORD_VERSION, runs: records.map(exportable) }),
+      }).then(response => {
+        if (!response.ok) {
+          throw new Error(`Telemetry upload failed (${response.status})`);
+        }
+      });
+    }
+  }
+
+  // ==========================================
+  // TELEMETRY (what the game talks to)
+  // ==========================================
+
+  class Telemetry {
+    /**
+     * @param {object} [options]
+     * - storage: where the opt-in setting lives (localStorage)
+     * - store: a TelemetryStore
+     * - sink: custom upload sink; by default an HttpSink for the saved endpoint
+     */
+    constructor(options = {}) {
+      this.storage = options.storage || root.localStorage;
+      this.settings = loadSettings(this.storage);
+      this.store = options.store || new TelemetryStore();
+      this.customSink = options.sink || null;
+      this.recorder = null;
+      this.flushing = null;
+    }
+
+    get enabled() {
+      return this.settings.enabled;
+    }
+
+    setEnabled(enabled) {
+      this.settings.enabled = Boolean(enabled);
+      saveSettings(this.settings, this.storage);
+    }
+
+    setEndpoint(endpoint) {
+      this.settings.endpoint = String(endpoint || '').trim();
+      saveSettings(this.settings, this.storage);
+    }
+
+    get sink() {
+      if (this.customSink) return this.customSink;
+      return this.settings.endpoint ? new HttpSink(this.settings.endpoint) : null;
+    }
+
+    startRun(state, meta) {
+      this.recorder = this.enabled ? new RunRecorder(state, meta) : null;
+    }
+
+    record(input, events, state) {
+      if (this.recorder) this.recorder.step(input, events, state);
+    }
+
+    /**
+     * Store the finished run, then try to upload anything pending
+     * @returns {Promise<object|null>} the record (null when not recording)
+     */
+    finishRun(state) {
+      const recorder = this.recorder;
+      this.recorder = null;
+      if (!recorder) return Promise.resolve(null);
+
+      const record = recorder.finish(state);
+      return this.store.add(record)
+        .then(() => this.flush())
+        .then(() => record)
+        .catch(error => {
+          console.warn('Failed to save run telemetry:', error);
+          return record;
+        });
+    }
+
+    /**
+     * Send every record the sink has not seen yet, in batches
+     * @returns {Promise<number>} how many records were uploaded
+     */
+    flush() {
+      const sink = this.sink;
+      if (!sink) return Promise.resolve(0);
+      if (this.flushing) return this.flushing;
+
+      this.flushing = this.store.all()
+        .then(records => {
+          const pending = records.filter(record => !record.uploaded);
+          let sent = 0;
+          let chain = Promise.resolve();
+          for (let i = 0; i < pending.length; i += BATCH_SIZE) {
+            const batch = pending.slice(i, i + BATCH_SIZE);
+            chain = chain
+              .then(() => sink.send(batch))
+              .then(() => this.store.markUploaded(batch.map(record => record.id)))
+              .then(() => {
+                sent += batch.length;
+              });
+          }
+          return chain.then(() => sent);
+        })
+        .catch(error => {
+          console.warn('Telemetry upload failed, will retry after the next run:', error);
+          return 0;
+        })
+        .then(sent => {
+          this.flushing = null;
+          return sent;
+        });
+      return this.flushing;
+    }
+  }
+
+  // ==========================================
+  // EXPORT + REPORT
+  // ==========================================
+
+  // A record without the local bookkeeping fields
+  function exportable(record) {
+    const copy = Object.assign({}, record);
+    delete copy.id;
+    delete copy.uploaded;
+    return copy;
+  }
+
+  /**
+   * Serialize records for download (the report page can load it back)
+   */
+  function exportRuns(records) {
+    return JSON.stringify({ version: RECORD_VERSION, exportedAt: new Date().toISOString(), runs: records.map(exportable) }, null, 2);
+  }
+
+  const isNumber = value => typeof value === 'number' && Number.isFinite(value);
+  const isObject = value => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+  /**
+   * Whether an imported/uploaded run has every field summarize() and the
+   * report read, with the right types (see "Run record" above)
+   */
+  function isRunRecord(run) {
+    if (!isObject(run) || run.version !== RECORD_VERSION) return false;
+    if (!isNumber(run.duration) || run.duration <= 0 || !isNumber(run.timeSurvived) || run.timeSurvived < 0) return false;
+    const { input } = run;
+    if (!isObject(input) || !['frames', 'left', 'right', 'switches'].every(key => isNumber(input[key]))) return false;
+    if (!Array.isArray(run.nearMisses) || !run.nearMisses.every(isNumber)) return false;
+    if (run.death != null && !(isObject(run.death) && isNumber(run.death.time))) return false;
+    if (run.hits !== undefined && !(Array.isArray(run.hits) && run.hits.every(isObject))) return false;
+    if (run.spawned !== undefined && !(isObject(run.spawned) && Object.values(run.spawned).every(isNumber))) return false;
+    if (run.curve !== undefined && !(Array.isArray(run.curve) &&
+        run.curve.every(c => isObject(c) && isNumber(c.time) && isNumber(c.speedMultiplier)))) return false;
+    return true;
+  }
+
+  /**
+   * Parse an exported telemetry file
+   * Runs that are not well-formed records are dropped
+   * @returns {object[]} the run records
+   */
+  function parseExport(json) {
+    let data;
+    try {
+      data = JSON.parse(json);
+    } catch (error) {
+      throw new Error(`Telemetry file is not valid JSON: ${error.message}`);
+    }
+    if (!data || data.version !== RECORD_VERSION || !Array.isArray(data.runs)) {
+      throw new Error('Not a telemetry export (expected { "version": 1, "runs": [...] })');
+    }
+    return data.runs.filter(isRunRecord);
+  }
+
+  /**
+   * Aggregate run records for the balancing report
+   * @param {object[]} records
+   * @param {{bucket?: number}} [options] - histogram bucket width in seconds
+   */
+  function summarize(records, options = {}) {
+    const bucket = options.bucket || 2;
+    const runs = records.length;
+    const wins = records.filter(record => record.result === 'win').length;
+    const deaths = records.filter(record => record.death);
+    const duration = Math.max(0, ...records.map(record => record.duration || 0));
+
+    const histogram = [];
+    for (let from = 0; from < duration; from += bucket) {
+      histogram.push({ from, to: Math.min(from + bucket, duration), deaths: 0, nearMisses: 0 });
+    }
+    const bucketAt = time => histogram[Math.min(histogram.length - 1, Math.floor(time / bucket))];
+    deaths.forEach(record => {
+      bucketAt(record.death.time).deaths++;
+    });
+    records.forEach(record => {
+      (record.nearMisses || []).forEach(time => {
+        bucketAt(time).nearMisses++;
+      });
+    });
+
+    // Deaths per object against how often it fell
+    const objects = {};
+    const objectFor = label => {
+      if (!objects[label]) objects[label] = { label, emoji: '', spawned: 0, deaths: 0, hits: 0 };
+      return objects[label];
+    };
+    records.forEach(record => {
+      Object.keys(record.spawned || {}).forEach(label => {
+        objectFor(label).spawned += record.spawned[label];
+      });
+      (record.hits || []).forEach(hit => {
+        objectFor(hit.label).hits++;
+      });
+      if (record.death) {
+        const entry = objectFor(record.death.label);
+        entry.deaths++;
+        entry.emoji = record.death.emoji || entry.emoji;
+      }
+    });
+    const lethality = Object.keys(objects).map(label => {
+      const entry = objects[label];
+      return Object.assign(entry, { rate: entry.spawned ? entry.deaths / entry.spawned : 0 });
+    }).sort((a, b) => (b.rate - a.rate) || (b.deaths - a.deaths));
+
+    const frames = records.reduce((sum, record) => sum + record.input.frames, 0);
+    const moving = records.reduce((sum, record) => sum + record.input.left + record.input.right, 0);
+    const switches = records.reduce((sum, record) => sum + record.input.switches, 0);
+    const played = records.reduce((sum, record) => sum + record.timeSurvived, 0);
+
+    return {
+      runs,
+      wins,
+      winRate: runs ? wins / runs : 0,
+      averageSurvival: runs ? played / runs : 0,
+      averageNearMisses: runs ? records.reduce((sum, record) => sum + record.nearMisses.length, 0) / runs : 0,
+      activity: frames ? moving / frames : 0,              // share of frames spent moving
+      switchesPerMinute: played ? switches / (played / 60) : 0,
+      bucket,
+      histogram,
+      lethality,
+    };
+  }
+
+  const AvoidGameTelemetry = {
+    SETTINGS_KEY,
+    RECORD_VERSION,
+    BATCH_SIZE,
+    loadSettings,
+    saveSettings,
+    RunRecorder,
+    TelemetryStore,
+    HttpSink,
+    Telemetry,
+    exportRuns,
+    parseExport,
+    summarize,
+  };
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AvoidGameTelemetry;
+  } else {
+    root.AvoidGameTelemetry = AvoidGameTelemetry;
+  }
+})(typeof window !== 'undefined' ? window : globalThis);
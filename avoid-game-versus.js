@@ -0,0 +1,127 @@
+// ====================================
+// AVOID GAME VERSUS
+// Local head-to-head: one simulation per bulldog, all started from the
+// same seed and config so both players face the same object stream.
+// Collision, difficulty and scoring are the simulation's own; this module
+// only steps the players together and ranks them at the end.
+// Works as a browser <script> (window.AvoidGameVersus) or a Node module.
+// ====================================
+
+(function (root) {
+  const isNode = typeof module !== 'undefined' && module.exports;
+  const AvoidGameSim = isNode ? require('./avoid-game-sim.js') : root.AvoidGameSim;
+
+  const PLAYERS = [
+    { name: 'Player 1', keys: 'A / D' },
+    { name: 'Player 2', keys: '← / →' },
+  ];
+
+  /**
+   * Ranking: a finished (victory) run beats an eliminated one, then the
+   * longer survivor, then the higher score. Equal on all three is a draw
+   */
+  function compareResults(a, b) {
+    return ((b.result === 'win') - (a.result === 'win')) ||
+      (b.timeSurvived - a.timeSurvived) ||
+      (b.score - a.score);
+  }
+
+  class VersusMatch {
+    /**
+     * @param {object} config - simulation overrides, shared by every player
+     * @param {number} [seed] - shared seed (random when omitted)
+     * @param {object[]} [players] - { name, keys } per bulldog
+     */
+    constructor(config, seed = AvoidGameSim.randomSeed(), players = PLAYERS) {
+      this.seed = seed;
+      this.players = players.map(player => {
+        const state = AvoidGameSim.createState(config, seed);
+        return {
+          name: player.name,
+          keys: player.keys,
+          state,
+          previous: state,
+          nearMisses: 0,
+          powerUps: 0,
+          hits: 0, // shields broken and lives lost
+        };
+      });
+    }
+
+    /**
+     * Every bulldog is out or has reached the end
+     */
+    get over() {
+      return this.players.every(player => player.state.status !== 'playing');
+    }
+
+    /**
+     * Advance every player still in the match by one fixed step
+     * @param {object[]} inputs - one simulation input per player
+     * @returns {{player: number, events: object[]}[]} events of the players that moved
+     */
+    step(inputs) {
+      const results = [];
+      this.players.forEach((player, index) => {
+        player.previous = player.state;
+        if (player.state.status !== 'playing') return;
+
+        const { state, events } = AvoidGameSim.step(player.state, inputs[index]);
+        player.state = state;
+        events.forEach(event => {
+          if (event.type === 'nearMiss') player.nearMisses++;
+          if (event.type === 'powerUp') player.powerUps++;
+          if (event.type === 'shieldBreak' || event.type === 'lifeLost') player.hits++;
+        });
+        results.push({ player: index, events });
+      });
+      return results;
+    }
+
+    /**
+     * Remap every board to a new logical size
+     */
+    resize(width, height) {
+      this.players.forEach(player => {
+        player.state = AvoidGameSim.resizeState(player.state, width, height);
+        player.previous = AvoidGameSim.resizeState(player.previous, width, height);
+      });
+    }
+
+    /**
+     * Per-player breakdown, best first; `rank` is shared on a draw
+     */
+    results() {
+      const rows = this.players.map((player, index) => {
+        const { state } = player;
+        return {
+          player: index,
+          name: player.name,
+          score: state.score,
+          timeSurvived: Math.min(state.elapsed, state.config.duration),
+          result: state.status === 'victory' ? 'win' : 'loss',
+          nearMisses: player.nearMisses,
+          powerUps: player.powerUps,
+          hits: player.hits,
+        };
+      }).sort(compareResults);
+
+      rows.forEach((row, i) => {
+        row.rank = i > 0 && compareResults(rows[i - 1], row) === 0 ? rows[i - 1].rank : i + 1;
+      });
+      return rows;
+    }
+  }
+
+  const AvoidGameVersus = {
+    PLAYERS,
+    VersusMatch,
+    compareResults,
+  };
+
+  if (isNode) {
+    module.exports = AvoidGameVersus;
+  } else {
+    root.AvoidGameVersus = AvoidGameVersus;
+  }
+})(typeof window !== 'undefined' ? window : globalThis);
@@ -1,10 +1,20 @@
+// First user gestures that may unlock audio
+const UNLOCK_EVENTS = ['pointerdown', 'keydown', 'touchend'];
+
 // ====================================
 // AUDIO MANAGER CLASS
-// Manages all game sounds with overlap control
+// Web Audio mixer: every sound file is fetched and decoded once, then
+// played through music / SFX gain buses into a master (mute) gain.
+//   master <- music bus <- BGM / victory tracks (crossfaded)
+//          <- sfx bus   <- one-shot effects (voice-limited per sound)
 // ====================================
 
 class AudioManager {
-  constructor() {
+  /**
+   * @param {Storage} [storage] - where the volume settings are kept
+   * @param {{enabled?: boolean}} [options] - enabled: false never opens an AudioContext
+   */
+  constructor(storage = window.localStorage, options = {}) {
     // Audio paths
     this.sounds = {
       bgm: 'b.MP3',      // Background music
@@ -13,11 +23,28 @@ class AudioManager {
       collision: 'go.mp3', // Collision/Game Over
       victory: 'win.mp3',  // Victory sound
       button: 'ping.mp3',  // Button click
+      powerUp: 'ping.mp3',   // Power-up collected (played pitched up)
+      powerUpEnd: 'sp.mp3',  // Power-up ran out
+      hit: 'go.mp3',         // Shield broken / life lost (short and quiet)
     };
 
-    // Audio elements
-    this.bgmAudio = null;
-    this.currentAudio = null;
+    this.storage = storage;
+    this.enabled = options.enabled !== false;
+    this.settingsKey = 'avoidGame.audioSettings';
+    this.settings = this.loadSettings();
+
+    this.context = null;
+    this.buses = null;     // { master, music, sfx } GainNodes
+    this.buffers = {};     // sound name -> decoded AudioBuffer
+    this.voices = {};      // sound name -> playing one-shot voices
+    this.maxVoices = 4;    // per sound; the oldest voice is cut beyond this
+    this.music = null;     // { name, source, gain, startedAt, offset }
+    this.bgmVolume = 0.4;  // BGM level inside the music bus
+    this.bgmSuspended = false; // paused by pauseBGM, waiting for resumeBGM
+    this.bgmOffset = 0;        // where resumeBGM picks the track up (seconds)
+    this.wantsBGM = false;     // playBGM called before the context was unlocked
+    this.unlocked = false;
+    this.unlockListener = null; // removed on unlock or destroy
 
     // Cooldown tracking for warning sound
     this.warningCooldown = 0;
@@ -27,160 +54,359 @@ class AudioManager {
   }
 
   /**
-   * Initialize audio elements with error handling
+   * Build the audio graph, start decoding and wait for the first gesture
    */
   init() {
+    if (!this.enabled) return;
     try {
-      // Create background music audio element
-      this.bgmAudio = new Audio(this.sounds.bgm);
-      this.bgmAudio.loop = true;
-      this.bgmAudio.volume = 0.4; // Moderate background music volume
-      this.bgmAudio.preload = 'auto';
-
-      // Fallback if BGM fails to load
-      this.bgmAudio.onerror = () => {
-        console.warn('Failed to load background music:', this.sounds.bgm);
-      };
+      const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+      if (!AudioContextClass) {
+        console.warn('Web Audio is not supported - the game will be silent');
+        return;
+      }
+
+      this.context = new AudioContextClass();
+      const master = this.context.createGain();
+      const music = this.context.createGain();
+      const sfx = this.context.createGain();
+      music.connect(master);
+      sfx.connect(master);
+      master.connect(this.context.destination);
+      this.buses = { master, music, sfx };
+      this.applySettings(0);
+
+      this.loadBuffers();
+      this.listenForUnlock();
     } catch (error) {
       console.warn('AudioManager init error:', error);
+      this.context = null;
     }
   }
 
   /**
-   * Play background music (loops continuously)
-   * Fades from full volume
+   * Fetch + decode every sound file once (shared files are decoded once too)
    */
-  playBGM() {
-    try {
-      if (this.bgmAudio && this.bgmAudio.paused) {
-        this.bgmAudio.currentTime = 0;
-        this.bgmAudio.volume = 0.4;
-        this.bgmAudio.play().catch(err => {
-          console.warn('BGM playback failed:', err);
-        });
+  loadBuffers() {
+    const decoded = {};
+    Object.keys(this.sounds).forEach(name => {
+      const url = this.sounds[name];
+      if (!decoded[url]) {
+        decoded[url] = fetch(url)
+          .then(response => {
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            return response.arrayBuffer();
+          })
+          // Callback form: older Safari has no promise-returning decodeAudioData
+          .then(data => new Promise((resolve, reject) => {
+            if (!this.context) {
+              resolve(null); // destroyed while downloading
+              return;
+            }
+            this.context.decodeAudioData(data, resolve, reject);
+          }));
+        decoded[url].catch(error => console.warn('Failed to load sound:', url, error));
       }
+      decoded[url]
+        .then(buffer => {
+          if (!buffer) return;
+          this.buffers[name] = buffer;
+          if (name === 'bgm' && this.wantsBGM && this.unlocked && !this.music) {
+            this.playBGM();
+          }
+        })
+        .catch(() => {
+          // Already reported once per file above
+        });
+    });
+  }
+
+  /**
+   * Browsers keep an AudioContext suspended until a user gesture; resume it
+   * on the first one and start music that was requested before that
+   */
+  listenForUnlock() {
+    const unlock = () => {
+      if (!this.context) return;
+      this.context.resume()
+        .then(() => {
+          this.unlocked = true;
+          this.stopListeningForUnlock();
+          // iOS only opens the output once something has actually played
+          const silence = this.context.createBufferSource();
+          silence.buffer = this.context.createBuffer(1, 1, 22050);
+          silence.connect(this.context.destination);
+          silence.start(0);
+          if (this.wantsBGM && !this.music) {
+            this.playBGM();
+          }
+        })
+        .catch(error => console.warn('Audio unlock failed:', error));
+    };
+    this.unlockListener = unlock;
+    UNLOCK_EVENTS.forEach(type => document.addEventListener(type, unlock, true));
+  }
+
+  stopListeningForUnlock() {
+    if (!this.unlockListener) return;
+    UNLOCK_EVENTS.forEach(type => document.removeEventListener(type, this.unlockListener, true));
+    this.unlockListener = null;
+  }
+
+  // ==========================================
+  // SETTINGS
+  // ==========================================
+
+  loadSettings() {
+    const defaults = { muted: false, musicVolume: 1, sfxVolume: 1 };
+    try {
+      const saved = JSON.parse(this.storage.getItem(this.settingsKey) || '{}');
+      const volume = (value, fallback) => (typeof value === 'number' && value >= 0 && value <= 1 ? value : fallback);
+      return {
+        muted: saved.muted === true,
+        musicVolume: volume(saved.musicVolume, defaults.musicVolume),
+        sfxVolume: volume(saved.sfxVolume, defaults.sfxVolume),
+      };
+    } catch (error) {
+      console.warn('Audio settings unreadable, using defaults:', error);
+      return defaults;
+    }
+  }
+
+  saveSettings() {
+    try {
+      this.storage.setItem(this.settingsKey, JSON.stringify(this.settings));
     } catch (error) {
-      console.warn('playBGM error:', error);
+      console.warn('Failed to save audio settings:', error);
     }
   }
 
   /**
-   * Stop background music (used for game over/victory)
+   * Push the settings onto the bus gains (smoothed to avoid clicks)
+   */
+  applySettings(smoothing = 0.05) {
+    if (!this.buses) return;
+    const now = this.context.currentTime;
+    const set = (param, value) => {
+      param.cancelScheduledValues(now);
+      if (smoothing > 0) {
+        param.setTargetAtTime(value, now, smoothing);
+      } else {
+        param.setValueAtTime(value, now);
+      }
+    };
+    set(this.buses.master.gain, this.settings.muted ? 0 : 1);
+    set(this.buses.music.gain, this.settings.musicVolume);
+    set(this.buses.sfx.gain, this.settings.sfxVolume);
+  }
+
+  /**
+   * Update any of { muted, musicVolume, sfxVolume }, apply and save
+   */
+  updateSettings(changes) {
+    Object.assign(this.settings, changes);
+    this.applySettings();
+    this.saveSettings();
+  }
+
+  // ==========================================
+  // PLAYBACK
+  // ==========================================
+
+  get ready() {
+    return Boolean(this.context) && this.context.state === 'running';
+  }
+
+  /**
+   * Start a decoded buffer through a gain node on one bus
+   * @returns {{source: AudioBufferSourceNode, gain: GainNode}|null}
    */
-  stopBGM() {
+  startVoice(name, bus, volume, options = {}) {
+    const buffer = this.buffers[name];
+    if (!this.ready || !buffer) return null;
+
+    const source = this.context.createBufferSource();
+    source.buffer = buffer;
+    source.loop = Boolean(options.loop);
+    source.playbackRate.value = options.rate || 1;
+    const gain = this.context.createGain();
+    gain.gain.value = volume;
+    source.connect(gain);
+    if (options.pan && this.context.createStereoPanner) {
+      const panner = this.context.createStereoPanner();
+      panner.pan.value = options.pan;
+      gain.connect(panner);
+      panner.connect(bus);
+    } else {
+      gain.connect(bus);
+    }
+    source.start(0, options.offset || 0);
+    return { source, gain };
+  }
+
+  /**
+   * Ramp a gain to a value over `duration` seconds from now
+   */
+  ramp(gain, value, duration) {
+    const now = this.context.currentTime;
+    gain.gain.cancelScheduledValues(now);
+    gain.gain.setValueAtTime(gain.gain.value, now);
+    gain.gain.linearRampToValueAtTime(value, now + duration);
+  }
+
+  /**
+   * Play a one-shot effect on the SFX bus without touching the music
+   * @param {number} [rate] - playbackRate, >1 for a higher, shorter blip
+   * @param {number} [pan] - stereo position, -1 (left) .. 1 (right)
+   */
+  playEffect(name, volume, rate = 1, pan = 0) {
     try {
-      if (this.bgmAudio && !this.bgmAudio.paused) {
-        this.bgmAudio.pause();
-        this.bgmAudio.currentTime = 0;
+      const voice = this.startVoice(name, this.buses && this.buses.sfx, volume, { rate, pan });
+      if (!voice) return null;
+
+      const voices = this.voices[name] || (this.voices[name] = []);
+      voices.push(voice);
+      voice.source.onended = () => {
+        const index = voices.indexOf(voice);
+        if (index !== -1) voices.splice(index, 1);
+      };
+      if (voices.length > this.maxVoices) {
+        voices.shift().source.stop();
       }
+      return voice;
     } catch (error) {
-      console.warn('stopBGM error:', error);
+      console.warn('playEffect error:', error);
+      return null;
     }
   }
 
   /**
-   * Fade BGM volume (for game over/victory)
+   * Crossfade the music bus to another track
    */
-  fadeBGM(targetVolume = 0.1, duration = 500) {
+  playMusic(name, options = {}) {
+    const { loop = false, volume = this.bgmVolume, fade = 0.4, offset = 0 } = options;
+    this.stopMusic(fade);
+    const voice = this.startVoice(name, this.buses && this.buses.music, 0, { loop, offset });
+    if (!voice) return;
+
+    this.ramp(voice.gain, volume, fade);
+    this.music = Object.assign({ name, startedAt: this.context.currentTime - offset, offset }, voice);
+    voice.source.onended = () => {
+      if (this.music && this.music.source === voice.source) {
+        this.music = null;
+      }
+    };
+  }
+
+  /**
+   * Fade the current music track out and stop it
+   */
+  stopMusic(fade = 0.3) {
+    if (!this.music) return;
+    const { source, gain } = this.music;
+    this.music = null;
     try {
-      if (!this.bgmAudio) return;
+      this.ramp(gain, 0, fade);
+      source.stop(this.context.currentTime + fade);
+    } catch (error) {
+      console.warn('stopMusic error:', error);
+    }
+  }
+
+  /**
+   * Play background music (loops continuously)
+   * Before the first user gesture this only remembers the request
+   */
+  playBGM() {
+    this.wantsBGM = true;
+    this.bgmSuspended = false;
+    if (this.music && this.music.name === 'bgm') return;
+    this.playMusic('bgm', { loop: true });
+  }
 
-      const startVolume = this.bgmAudio.volume;
-      const startTime = Date.now();
+  /**
+   * Stop background music (used for game over/victory)
+   */
+  stopBGM(fade = 0.3) {
+    this.wantsBGM = false;
+    this.bgmSuspended = false;
+    this.bgmOffset = 0;
+    if (this.music && this.music.name === 'bgm') {
+      this.stopMusic(fade);
+    }
+  }
 
-      const fadeFn = () => {
-        const elapsed = Date.now() - startTime;
-        const progress = Math.min(elapsed / duration, 1);
-        this.bgmAudio.volume = startVolume + (targetVolume - startVolume) * progress;
+  /**
+   * Suspend background music without rewinding it (pause menu)
+   */
+  pauseBGM() {
+    if (!this.music || this.music.name !== 'bgm') return;
+    const duration = this.music.source.buffer.duration;
+    this.bgmOffset = (this.context.currentTime - this.music.startedAt) % duration;
+    this.bgmSuspended = true;
+    this.wantsBGM = false;
+    this.stopMusic(0.15);
+  }
 
-        if (progress < 1) {
-          requestAnimationFrame(fadeFn);
-        }
-      };
+  /**
+   * Continue background music from where pauseBGM left it
+   */
+  resumeBGM() {
+    if (!this.bgmSuspended) return;
+    this.bgmSuspended = false;
+    this.wantsBGM = true;
+    this.playMusic('bgm', { loop: true, offset: this.bgmOffset, fade: 0.3 });
+  }
 
-      fadeFn();
-    } catch (error) {
-      console.warn('fadeBGM error:', error);
+  /**
+   * Fade BGM volume (for game over/victory)
+   */
+  fadeBGM(targetVolume = 0.1, duration = 500) {
+    if (this.music && this.music.name === 'bgm') {
+      this.ramp(this.music.gain, targetVolume, duration / 1000);
     }
   }
 
   /**
    * Play object spawn sound (sp.mp3)
    * Low volume, no cooldown needed as spawns are infrequent
+   * @param {number} [pan] - where the object appeared, -1 .. 1
    */
-  playSpawnSound() {
-    try {
-      const audio = new Audio(this.sounds.spawn);
-      audio.volume = 0.3; // Low volume for spawn
-      audio.play().catch(err => {
-        // Silently fail - common in some browsers
-      });
-    } catch (error) {
-      // Silent fail
-    }
+  playSpawnSound(pan = 0) {
+    this.playEffect('spawn', 0.3, 1, pan);
   }
 
   /**
    * Play warning sound (w.mp3) with cooldown to prevent spam
    * Only plays if character is very close to falling object (< 70px)
+   * @param {number} [pan] - which side the danger is on, -1 .. 1
    */
-  playWarningSound() {
-    try {
-      const now = Date.now();
-
-      // Only play if cooldown has expired
-      if (now - this.warningCooldown >= this.warningCooldownDuration) {
-        const audio = new Audio(this.sounds.warning);
-        audio.volume = 0.4;
-        audio.play().catch(err => {
-          // Silently fail
-        });
+  playWarningSound(pan = 0) {
+    const now = Date.now();
 
-        this.warningCooldown = now; // Reset cooldown timer
-      }
-    } catch (error) {
-      // Silent fail
+    // Only play if cooldown has expired
+    if (now - this.warningCooldown >= this.warningCooldownDuration) {
+      this.playEffect('warning', 0.4, 1, pan);
+      this.warningCooldown = now; // Reset cooldown timer
     }
   }
 
   /**
    * Play collision sound (go.mp3) - triggered on actual collision
-   * Stops BGM and plays game over sound
+   * Fades the BGM out under the game over sound
    */
   playCollisionSound() {
-    try {
-      // Stop BGM immediately
-      this.stopBGM();
-
-      // Play collision sound
-      const audio = new Audio(this.sounds.collision);
-      audio.volume = 0.7;
-      audio.play().catch(err => {
-        // Silently fail
-      });
-    } catch (error) {
-      console.warn('playCollisionSound error:', error);
-    }
+    this.stopBGM(0.25);
+    this.playEffect('collision', 0.7);
   }
 
   /**
    * Play victory sound (win.mp3) - triggered when player wins
-   * Stops BGM and plays victory sound
+   * Crossfades from the BGM into the victory track
    */
   playVictorySound() {
-    try {
-      // Stop BGM immediately
-      this.stopBGM();
-
-      // Play victory sound
-      const audio = new Audio(this.sounds.victory);
-      audio.volume = 0.7;
-      audio.play().catch(err => {
-        // Silently fail
-      });
-    } catch (error) {
-      console.warn('playVictorySound error:', error);
-    }
+    this.wantsBGM = false;
+    this.bgmSuspended = false;
+    this.playMusic('victory', { volume: 0.7, fade: 0.3 });
   }
 
   /**
@@ -188,14 +414,34 @@ class AudioManager {
    * Used for all UI button interactions
    */
   playButtonSound() {
-    try {
-      const audio = new Audio(this.sounds.button);
-      audio.volume = 0.5;
-      audio.play().catch(err => {
-        // Silently fail
-      });
-    } catch (error) {
-      // Silent fail
+    this.playEffect('button', 0.5);
+  }
+
+  /**
+   * Power-up collected - bright, pitched-up ping
+   * @param {number} [pan] - -1 .. 1 (versus: whose board it was)
+   */
+  playPowerUpSound(pan = 0) {
+    this.playEffect('powerUp', 0.6, 1.5, pan);
+  }
+
+  /**
+   * Power-up ran out - low spawn blip
+   */
+  playPowerUpEndSound() {
+    this.playEffect('powerUpEnd', 0.35, 0.75);
+  }
+
+  /**
+   * Shield absorbed a hit or a life was lost - a clipped game over
+   * sound while the music keeps going
+   * @param {number} [pan] - -1 .. 1 (versus: whose board it was)
+   */
+  playHitSound(pan = 0) {
+    const voice = this.playEffect('hit', 0.5, 1.25, pan);
+    if (voice) {
+      this.ramp(voice.gain, 0, 0.4);
+      voice.source.stop(this.context.currentTime + 0.4);
     }
   }
 
@@ -205,496 +451,1364 @@ class AudioManager {
   reset() {
     try {
       this.stopBGM();
+      this.stopMusic();
       this.warningCooldown = 0;
     } catch (error) {
       console.warn('reset error:', error);
     }
   }
+
+  /**
+   * Stop everything and release the AudioContext (game instance removed)
+   */
+  destroy() {
+    this.reset();
+    this.stopListeningForUnlock();
+    if (this.context) {
+      this.context.close().catch(error => console.warn('AudioContext close failed:', error));
+      this.context = null;
+      this.buses = null;
+    }
+  }
+}
+
+// ====================================
+// OVERLAY TEXT
+// English / Vietnamese strings for the overlay, added to the site
+// dictionaries (i18n.js) when the page loads it; English otherwise.
+// Values may hold markup - they go into innerHTML like the rest of the overlay
+// ====================================
+
+const GAME_STRINGS = {
+  en: {
+    'avoidGame.start': 'Start Game',
+    'avoidGame.resume': 'Resume',
+    'avoidGame.playAgain': 'Play Again',
+    'avoidGame.restart': 'Restart',
+    'avoidGame.rematch': 'Rematch',
+    'avoidGame.quit': 'Quit',
+    'avoidGame.mode': 'Mode',
+    'avoidGame.difficulty': 'Difficulty',
+    'avoidGame.intro.title': '🐕 Avoid the Finals Stress',
+    'avoidGame.intro.level': '<strong>Get Ready!</strong> Level: <strong>{level}</strong>',
+    'avoidGame.intro.move': 'Use <strong>{keys}</strong>, a gamepad{touch} to move your bulldog.',
+    'avoidGame.intro.touchDrag': ', or drag on the board',
+    'avoidGame.intro.touchButtons': ', or hold the ◀ ▶ buttons',
+    'avoidGame.intro.goalScore': 'Reach <strong>{target} points</strong> within {duration} seconds to become a CHAMPION! 🏆',
+    'avoidGame.intro.goalSurvive': 'Survive {duration} seconds to become a CHAMPION! 🏆',
+    'avoidGame.intro.pause': 'Press <strong>Esc</strong> or <strong>P</strong> to pause.',
+    'avoidGame.end.score': 'Final Score',
+    'avoidGame.end.time': 'Time Survived',
+    'avoidGame.end.replay': '📼 Replay - seed {seed}',
+    'avoidGame.lose.title': '😓 YOU LOSE!',
+    'avoidGame.lose.target': "Time's up - you needed {target} points",
+    'avoidGame.lose.message': "You couldn't pass the exam this time",
+    'avoidGame.victory.title': '🎉 VICTORY!',
+    'avoidGame.victory.message': 'You escaped the finals stress! 🐕',
+    'avoidGame.pause.title': '⏸️ Paused',
+    'avoidGame.pause.time': 'Time Left',
+    'avoidGame.pause.score': 'Score',
+    'avoidGame.pause.resume': 'Press <strong>Esc</strong> or <strong>P</strong> to resume',
+    'avoidGame.versus.draw': '🤝 DRAW!',
+    'avoidGame.versus.wins': '🏆 {name} WINS!',
+    'avoidGame.versus.caption': 'Versus · {level}',
+    'avoidGame.versus.columns': '<th>#</th><th>Player</th><th>Score</th><th>Time</th><th></th><th>Close calls</th><th>Hits</th>',
+    'avoidGame.versus.seed': 'Same seed for both boards: {seed}',
+    'avoidGame.replayError': '⚠️ Replay Error',
+    'avoidGame.levelError': '⚠️ Level Error',
+  },
+  vi: {
+    'avoidGame.start': 'Bắt đầu',
+    'avoidGame.resume': 'Chơi tiếp',
+    'avoidGame.playAgain': 'Chơi lại',
+    'avoidGame.restart': 'Chơi lại từ đầu',
+    'avoidGame.rematch': 'Đấu lại',
+    'avoidGame.quit': 'Thoát',
+    'avoidGame.mode': 'Chế độ',
+    'avoidGame.difficulty': 'Độ khó',
+    'avoidGame.intro.title': '🐕 Né tránh áp lực thi cử',
+    'avoidGame.intro.level': '<strong>Sẵn sàng!</strong> Màn chơi: <strong>{level}</strong>',
+    'avoidGame.intro.move': 'Dùng <strong>{keys}</strong>, tay cầm{touch} để điều khiển chú chó bulldog.',
+    'avoidGame.intro.touchDrag': ', hoặc kéo trên bảng chơi',
+    'avoidGame.intro.touchButtons': ', hoặc giữ nút ◀ ▶',
+    'avoidGame.intro.goalScore': 'Đạt <strong>{target} điểm</strong> trong {duration} giây để trở thành NHÀ VÔ ĐỊCH! 🏆',
+    'avoidGame.intro.goalSurvive': 'Trụ vững {duration} giây để trở thành NHÀ VÔ ĐỊCH! 🏆',
+    'avoidGame.intro.pause': 'Nhấn <strong>Esc</strong> hoặc <strong>P</strong> để tạm dừng.',
+    'avoidGame.end.score': 'Điểm cuối cùng',
+    'avoidGame.end.time': 'Thời gian trụ được',
+    'avoidGame.end.replay': '📼 Phát lại - seed {seed}',
+    'avoidGame.lose.title': '😓 BẠN THUA RỒI!',
+    'avoidGame.lose.target': 'Hết giờ - bạn cần {target} điểm',
+    'avoidGame.lose.message': 'Lần này bạn chưa vượt qua kỳ thi',
+    'avoidGame.victory.title': '🎉 CHIẾN THẮNG!',
+    'avoidGame.victory.message': 'Bạn đã thoát khỏi áp lực thi cử! 🐕',
+    'avoidGame.pause.title': '⏸️ Tạm dừng',
+    'avoidGame.pause.time': 'Thời gian còn lại',
+    'avoidGame.pause.score': 'Điểm',
+    'avoidGame.pause.resume': 'Nhấn <strong>Esc</strong> hoặc <strong>P</strong> để chơi tiếp',
+    'avoidGame.versus.draw': '🤝 HÒA!',
+    'avoidGame.versus.wins': '🏆 {name} THẮNG!',
+    'avoidGame.versus.caption': 'Đối kháng · {level}',
+    'avoidGame.versus.columns': '<th>#</th><th>Người chơi</th><th>Điểm</th><th>Thời gian</th><th></th><th>Suýt trúng</th><th>Bị trúng</th>',
+    'avoidGame.versus.seed': 'Hai bảng dùng chung seed: {seed}',
+    'avoidGame.replayError': '⚠️ Lỗi bản phát lại',
+    'avoidGame.levelError': '⚠️ Lỗi màn chơi',
+  },
+};
+
+if (window.SiteI18n) {
+  SiteI18n.register(GAME_STRINGS);
+}
+
+/**
+ * Overlay string in the site language, {name} placeholders filled from params
+ */
+function gameText(key, params = {}) {
+  if (window.SiteI18n) return SiteI18n.t(key, params);
+  return GAME_STRINGS.en[key].replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match));
+}
+
+// ====================================
+// GAME MARKUP
+// Everything one game instance needs inside its container. Elements are
+// found through data-ref (ids would clash with several games on a page);
+// ids are only generated where labels and ARIA need them
+// ====================================
+
+function gameMarkup(uid) {
+  return `
+    <div class="game-wrapper" data-ref="gameWrapper">
+      <div class="game-board" data-ref="gameBoard" tabindex="0" role="application" aria-label="Game board: move the bulldog with the arrow keys or A and D" aria-roledescription="game" data-player="P1 · A / D">
+        <!-- Game will be rendered here -->
+      </div>
+      <!-- Versus mode: player 2's board, same object stream -->
+      <div class="game-board hidden" data-ref="gameBoard2" role="application" aria-label="Player 2 board: move with the arrow keys" aria-roledescription="game" data-player="P2 · ← / →"></div>
+      <!-- Screen reader cues: countdown, lane warnings, results -->
+      <div class="visually-hidden" data-ref="gameAnnouncer" aria-live="polite" aria-atomic="true"></div>
+      <div class="visually-hidden" data-ref="gameAlert" role="alert" aria-live="assertive" aria-atomic="true"></div>
+      <!-- Achievement toasts (announced through the live region) -->
+      <div class="achievement-toasts" data-ref="achievementToasts" aria-hidden="true"></div>
+
+      <!-- overlay PHẢI nằm trong game-wrapper -->
+      <div class="game-overlay hidden" data-ref="gameOverlay">
+        <div class="overlay-content">
+          <h2 data-ref="overlayTitle">Get Ready!</h2>
+          <p data-ref="overlayMessage">Use ← → to move</p>
+          <form class="initials-form hidden" data-ref="initialsForm">
+            <label for="${uid}-initials" data-ref="initialsLabel">🏅 New high score! Your initials:</label>
+            <input id="${uid}-initials" data-ref="initialsInput" type="text" maxlength="3" autocomplete="off" autocapitalize="characters" spellcheck="false" placeholder="AAA">
+            <button type="submit" class="btn-secondary" data-ref="initialsSubmit">Save Score</button>
+          </form>
+          <div class="high-scores hidden" data-ref="highScores"></div>
+          <div class="high-scores hidden" data-ref="leaderboard"></div>
+          <div class="level-picker" data-ref="levelPicker">
+            <label for="${uid}-mode" data-i18n="avoidGame.mode">Mode</label>
+            <select id="${uid}-mode" data-ref="modeSelect">
+              <option value="solo">1 player</option>
+              <option value="versus">2 players (versus)</option>
+            </select>
+            <label for="${uid}-level" data-i18n="avoidGame.difficulty">Difficulty</label>
+            <select id="${uid}-level" data-ref="levelSelect">
+              <option value="easy">Easy</option>
+              <option value="normal" selected>Normal</option>
+              <option value="finals-week">Finals Week</option>
+            </select>
+            <button type="button" class="btn-secondary" data-ref="loadLevelBtn">Load Level…</button>
+            <input type="file" accept="application/json,.json" hidden data-ref="levelFile">
+            <label for="${uid}-renderer">Graphics</label>
+            <select id="${uid}-renderer" data-ref="rendererSelect">
+              <option value="dom">DOM</option>
+              <option value="canvas">Canvas (faster)</option>
+            </select>
+            <label for="${uid}-touch" data-ref="touchSchemeLabel">Touch</label>
+            <select id="${uid}-touch" data-ref="touchScheme">
+              <option value="drag">Drag to move</option>
+              <option value="buttons">◀ ▶ buttons</option>
+            </select>
+            <label class="lives-toggle"><input type="checkbox" data-ref="livesToggle"> Lives mode (3 ❤️, practice)</label>
+            <label class="lives-toggle"><input type="checkbox" data-a11y-setting="assist"> Assist mode (70% speed, practice)</label>
+            <button type="button" class="btn-secondary" data-ref="controlsBtn" aria-expanded="false" aria-controls="${uid}-controls">🎮 Controls</button>
+            <div id="${uid}-controls" class="controls-panel hidden" data-ref="controlsPanel"></div>
+          </div>
+          <div class="audio-settings" data-ref="audioSettings">
+            <label class="audio-mute"><input type="checkbox" data-ref="muteToggle"> 🔇 Mute</label>
+            <label for="${uid}-music">🎵 Music</label>
+            <input id="${uid}-music" data-ref="musicVolume" type="range" min="0" max="100" step="5" value="100">
+            <label for="${uid}-sfx">🔊 Effects</label>
+            <input id="${uid}-sfx" data-ref="sfxVolume" type="range" min="0" max="100" step="5" value="100">
+          </div>
+          <fieldset class="audio-settings a11y-settings">
+            <legend>Accessibility</legend>
+            <label><input type="checkbox" data-a11y-setting="announcements"> 🗣️ Screen reader cues</label>
+            <label><input type="checkbox" data-a11y-setting="stereoCues"> 🎧 Stereo cues</label>
+            <label><input type="checkbox" data-a11y-setting="highContrast"> 🌓 High contrast</label>
+            <label><input type="checkbox" data-a11y-setting="reducedMotion"> 🐢 Reduce motion</label>
+          </fieldset>
+          <div class="audio-settings telemetry-settings" data-ref="telemetrySettings">
+            <label><input type="checkbox" data-ref="telemetryToggle"> 📊 Record my runs for balancing (stays on this device)</label>
+            <a href="telemetry-report.html" target="_blank" rel="noopener">Report</a>
+          </div>
+          <button class="btn-primary" data-ref="startBtn" data-i18n="avoidGame.start">Start Game</button>
+          <button class="btn-primary hidden" data-ref="resumeBtn" data-i18n="avoidGame.resume">Resume</button>
+          <button class="btn-primary hidden" data-ref="restartBtn" data-i18n="avoidGame.playAgain">Play Again</button>
+          <button class="btn-primary hidden" data-ref="quitBtn" data-i18n="avoidGame.quit">Quit</button>
+          <div class="overlay-actions">
+            <button class="btn-secondary hidden" data-ref="replayBtn">Watch Replay</button>
+            <button class="btn-secondary hidden" data-ref="exportReplayBtn">Export Replay</button>
+            <button class="btn-secondary" data-ref="importReplayBtn">Import Replay</button>
+            <input type="file" accept="application/json,.json" hidden data-ref="replayFile">
+          </div>
+          <div class="overlay-actions">
+            <button class="btn-secondary" data-ref="clearScoresBtn">Clear Scores</button>
+            <button class="btn-secondary" data-ref="exportScoresBtn">Export Scores</button>
+            <button class="btn-secondary" data-ref="importScoresBtn">Import Scores</button>
+            <input type="file" accept="application/json,.json" hidden data-ref="scoresFile">
+          </div>
+        </div>
+      </div>
+    </div> <!-- <- giờ mới đóng game-wrapper -->
+
+    <div class="game-info">
+      <div class="info-item">
+        <span class="label">Time Left:</span>
+        <span class="value" data-ref="timer">44</span>s
+      </div>
+      <div class="info-item">
+        <span class="label">Score:</span>
+        <span class="value" data-ref="score">0</span>
+      </div>
+      <div class="info-item">
+        <span class="label">Status:</span>
+        <span class="value game-status" data-ref="status" style="color: #FFE100;">Survive</span>
+      </div>
+      <div class="info-item hidden" data-ref="livesItem">
+        <span class="label">Lives:</span>
+        <span class="value" data-ref="lives"></span>
+      </div>
+      <div class="info-item">
+        <span class="label">Power-ups:</span>
+        <span class="value power-ups" data-ref="powerUps"></span>
+      </div>
+    </div>
+
+    <div class="game-achievements" data-ref="achievementsPanel" aria-labelledby="${uid}-achievements">
+      <h2 id="${uid}-achievements">Stats &amp; Achievements</h2>
+      <dl class="lifetime-stats" data-ref="lifetimeStats"></dl>
+      <ul class="achievement-list" data-ref="achievementList"></ul>
+      <button type="button" class="btn-secondary" data-ref="resetAchievementsBtn">Reset Progress</button>
+    </div>
+  `;
 }
 
 // ====================================
-// GAME INITIALIZATION
+// GAME INSTANCE
+// Rendering + input only; rules live in avoid-game-sim.js
 // ====================================
 
-document.addEventListener('DOMContentLoaded', () => {
+let gameInstanceCount = 0;
+
+const DEFAULT_GAME_OPTIONS = {
+  level: null,                // preset id ('easy', ...) or a level object; null = Normal
+  sound: true,                // false: no AudioContext at all
+  controls: { keyboard: true, touch: true, gamepad: true },
+  keyboardScope: 'container', // 'container' (keys while focused) or 'document'
+  theme: null,                // 'dark', or CSS variables like { primary: '#0A7' }
+  achievements: true,         // show the stats/achievements panel
+  levelFromQuery: false,      // apply ?level= / ?levelData= from the page URL
+  telemetry: true,            // offer the opt-in run telemetry (AvoidGameTelemetry)
+  telemetrySink: null,        // custom upload sink { send(runs) } instead of the saved endpoint
+  storage: null,              // defaults to localStorage (settings, scores, stats, leaderboard, controls)
+};
+
+/**
+ * Build a game into `container` and run it until destroy()
+ * @param {HTMLElement} container
+ * @param {object} [options] - see DEFAULT_GAME_OPTIONS
+ * @returns {{start: function, pause: function, resume: function, destroy: function,
+ *   onScore: function, onGameOver: function, onVictory: function}}
+ *   on* take a callback and return an unsubscribe function
+ */
+function mountAvoidGame(container, options = {}) {
+  const settings = Object.assign({}, DEFAULT_GAME_OPTIONS, options);
+  const controls = Object.assign({}, DEFAULT_GAME_OPTIONS.controls, options.controls);
+  const storage = settings.storage || localStorage;
+  const uid = `avoid-game-${++gameInstanceCount}`;
+
+  container.classList.add('avoid-game');
+  container.innerHTML = gameMarkup(uid);
+  const ref = name => container.querySelector(`[data-ref="${name}"]`);
+
+  // Listeners outside the container and pending timers, undone by destroy()
+  const cleanups = [];
+  const timers = new Set();
+  function listen(target, type, handler, listenerOptions) {
+    target.addEventListener(type, handler, listenerOptions);
+    cleanups.push(() => target.removeEventListener(type, handler, listenerOptions));
+  }
+  function later(callback, delay) {
+    const timer = setTimeout(() => {
+      timers.delete(timer);
+      callback();
+    }, delay);
+    timers.add(timer);
+  }
+  let destroyed = false;
+
+  // Subscribers for the handle's onScore / onGameOver / onVictory
+  const subscribers = { score: [], gameOver: [], victory: [] };
+  function emit(type, detail) {
+    subscribers[type].slice().forEach(callback => {
+      try {
+        callback(detail);
+      } catch (error) {
+        console.warn(`Avoid game ${type} listener failed:`, error);
+      }
+    });
+  }
+  function subscribe(type, callback) {
+    subscribers[type].push(callback);
+    return () => {
+      subscribers[type] = subscribers[type].filter(other => other !== callback);
+    };
+  }
+
   // Initialize Audio Manager
-  const audioManager = new AudioManager();
+  const audioManager = new AudioManager(storage, { enabled: settings.sound !== false });
   // DOM Elements
-  const gameBoard = document.getElementById('gameBoard');
-  const timerDisplay = document.getElementById('timer');
-  const scoreDisplay = document.getElementById('score');
-  const overlay = document.getElementById('gameOverlay');
-  const overlayTitle = document.getElementById('overlayTitle');
-  const overlayMessage = document.getElementById('overlayMessage');
-  const startBtn = document.getElementById('startBtn');
-  const restartBtn = document.getElementById('restartBtn');
+  const gameWrapper = ref('gameWrapper');
+  const gameBoard = ref('gameBoard');
+  const rivalBoard = ref('gameBoard2');
+  const timerDisplay = ref('timer');
+  const scoreDisplay = ref('score');
+  const overlay = ref('gameOverlay');
+  const overlayTitle = ref('overlayTitle');
+  const overlayMessage = ref('overlayMessage');
+  const startBtn = ref('startBtn');
+  const restartBtn = ref('restartBtn');
+  const resumeBtn = ref('resumeBtn');
+  const quitBtn = ref('quitBtn');
+  const statusDisplay = ref('status');
+  const replayBtn = ref('replayBtn');
+  const exportReplayBtn = ref('exportReplayBtn');
+  const importReplayBtn = ref('importReplayBtn');
+  const replayFileInput = ref('replayFile');
+  const initialsForm = ref('initialsForm');
+  const initialsLabel = ref('initialsLabel');
+  const initialsSubmit = ref('initialsSubmit');
+  const initialsInput = ref('initialsInput');
+  const highScoresPanel = ref('highScores');
+  const leaderboardPanel = ref('leaderboard');
+  const clearScoresBtn = ref('clearScoresBtn');
+  const exportScoresBtn = ref('exportScoresBtn');
+  const importScoresBtn = ref('importScoresBtn');
+  const scoresFileInput = ref('scoresFile');
+  const levelPicker = ref('levelPicker');
+  const levelSelect = ref('levelSelect');
+  const loadLevelBtn = ref('loadLevelBtn');
+  const levelFileInput = ref('levelFile');
+  const livesToggle = ref('livesToggle');
+  const modeSelect = ref('modeSelect');
+  const rendererSelect = ref('rendererSelect');
+  const controlsBtn = ref('controlsBtn');
+  const announcerPolite = ref('gameAnnouncer');
+  const announcerUrgent = ref('gameAlert');
+  const a11yInputs = container.querySelectorAll('[data-a11y-setting]');
+  const touchSchemeSelect = ref('touchScheme');
+  const controlsPanel = ref('controlsPanel');
+  const audioSettingsPanel = ref('audioSettings');
+  const muteToggle = ref('muteToggle');
+  const musicVolumeInput = ref('musicVolume');
+  const sfxVolumeInput = ref('sfxVolume');
+  const livesItem = ref('livesItem');
+  const livesDisplay = ref('lives');
+  const powerUpsDisplay = ref('powerUps');
+  const achievementToasts = ref('achievementToasts');
+  const achievementsPanel = ref('achievementsPanel');
+  const lifetimeStats = ref('lifetimeStats');
+  const achievementList = ref('achievementList');
+  const resetAchievementsBtn = ref('resetAchievementsBtn');
+  const telemetrySettings = ref('telemetrySettings');
+  const telemetryToggle = ref('telemetryToggle');
+  // Pause/movement keys: the whole page, or only while this game has focus
+  const keyTarget = settings.keyboardScope === 'document' ? document : container;
 
   // ==========================================
   // GAME CONFIGURATION
   // ==========================================
-  const GAME_WIDTH = gameBoard.offsetWidth;
-  const GAME_HEIGHT = gameBoard.offsetHeight;
-  const GAME_DURATION = 44; // seconds - total game length
-  const CHARACTER_WIDTH = 60;
-  const CHARACTER_HEIGHT = 70;
-  const FALLING_OBJECT_SIZE = 50;
-  const MOVE_SPEED = 8; // pixels per frame
-
-  // Difficulty curve configuration
-  // Objects start slow and gradually increase speed
-  const DIFFICULTY_CURVE = {
-    baseSpeed: 2.5, // Minimum speed (0-5 seconds, very easy)
-    maxSpeed: 6.5,  // Maximum speed (reached around 40s)
-    difficultyCheckpoints: [
-      { time: 0, speedMultiplier: 1.0 },      // 0-5s: x1.0 speed (very easy)
-      { time: 5, speedMultiplier: 1.15 },     // 5-10s: x1.15 speed
-      { time: 10, speedMultiplier: 1.35 },    // 10-15s: x1.35 speed
-      { time: 15, speedMultiplier: 1.60 },    // 15-20s: x1.60 speed (moderate)
-      { time: 20, speedMultiplier: 1.90 },    // 20-30s: x1.90 speed
-      { time: 30, speedMultiplier: 2.25 },    // 30-35s: x2.25 speed
-      { time: 35, speedMultiplier: 3.20 },    // 35-40s: x3.20 speed (hard)
-      { time: 40, speedMultiplier: 3.80 },    // 40-44s: x3.80 speed (very hard)
-    ],
-    spawnRateCheckpoints: [
-      { time: 0, spawnRate: 90 },              // 0-5s: Spawn every 90 frames
-      { time: 5, spawnRate: 80 },              // 5-10s: Spawn every 80 frames
-      { time: 10, spawnRate: 70 },             // 10-15s: Spawn every 70 frames
-      { time: 15, spawnRate: 60 },             // 15-20s: Spawn every 60 frames
-      { time: 20, spawnRate: 50 },             // 20-25s: Spawn every 50 frames
-      { time: 25, spawnRate: 45 },             // 25-30s: Spawn every 45 frames
-      { time: 30, spawnRate: 40 },             // 30-35s: Spawn every 40 frames
-      { time: 35, spawnRate: 40 },             // 35-40s: Spawn every 40 frames
-      { time: 40, spawnRate: 30 },             // 40-44s: Spawn every 30 frames
-    ],
-  };
-
-  // Stress objects (emoji and text descriptions)
-  const stressObjects = [
-    { emoji: '📚', label: 'exam' },
-    { emoji: '☕', label: 'coffee' },
-    { emoji: '✏️', label: 'pencil' },
-    { emoji: '👨‍🏫', label: 'teacher' },
-    { emoji: '⏰', label: 'deadline' },
-    { emoji: '😰', label: 'stress' },
-    { emoji: '⏲️', label: 'alarm' },
-    { emoji: '💻', label: 'computer' },
-    { emoji: '🌭', label: 'hotdog' },
-    { emoji: '🪑', label: 'desk' },
-  ];
+  // The simulation runs in a logical space LOGICAL_WIDTH units wide; its
+  // height follows the board's aspect ratio and renderers scale it to pixels
+  const LOGICAL_WIDTH = AvoidGameSim.BOARD.width;
+  const MIN_LOGICAL_HEIGHT = AvoidGameSim.BOARD.minHeight;
+  const MAX_LOGICAL_HEIGHT = AvoidGameSim.BOARD.maxHeight;
+  let board = measureBoard();
+  const TIMESTEP = AvoidGameSim.TIMESTEP;
+  // Longest frame we simulate in one go; bigger gaps (tab switch, debugger,
+  // a stalled device) are dropped instead of fast-forwarding the board
+  const MAX_FRAME_TIME = 0.25;
 
   // ==========================================
   // GAME STATE
   // ==========================================
-  let gameState = 'idle'; // 'idle', 'playing', 'gameOver', 'victory'
-  let score = 0;
-  let timeLeft = GAME_DURATION;
-  let elapsedTime = 0; // Track how much time has passed
+  let gameState = 'idle'; // 'idle', 'playing', 'paused', 'gameOver', 'victory'
+  // Level: a built-in preset or a custom level loaded from file/URL
+  let currentLevel = AvoidGameLevels.getPreset(AvoidGameLevels.DEFAULT_LEVEL_ID);
+  // Lives mode: a few hits allowed, practice only (kept off the leaderboard)
+  const LIVES_MODE_KEY = 'avoidGame.livesMode';
+  const LIVES = 3;
+  let livesMode = storage.getItem(LIVES_MODE_KEY) === 'true';
+  // Versus: two bulldogs on side-by-side boards, same seed (see AvoidGameVersus)
+  const PLAY_MODE_KEY = 'avoidGame.playMode';
+  let playMode = storage.getItem(PLAY_MODE_KEY) === 'versus' ? 'versus' : 'solo';
+  let match = null;         // the running/finished VersusMatch
+  let rivalRenderer = null; // draws player 2 on the second board
+  // Which side of the stereo field each versus player is heard from
+  const VERSUS_PAN = [-0.6, 0.6];
+  // Accessibility: announcements, stereo cues, contrast, motion, assist speed
+  let a11y = AvoidGameA11y.loadSettings(storage);
+  const announcer = new AvoidGameA11y.Announcer(announcerPolite, announcerUrgent);
+  const narrator = new AvoidGameA11y.GameNarrator(announcer);
+  // Lifetime stats and achievements (live runs only, never replays)
+  const achievements = new AvoidGameAchievements.AchievementTracker(storage);
+  // Balancing telemetry, recorded only once the player opts in (live solo runs)
+  const telemetry = settings.telemetry
+    ? new AvoidGameTelemetry.Telemetry({ storage, sink: settings.telemetrySink })
+    : null;
+  let dangerUntil = 0; // status shows a warning until this timestamp (ms)
+  let customLevel = null;
+  let sim = AvoidGameSim.createState(levelConfig());
+  let previousSim = sim; // state one tick earlier, for interpolated rendering
   let gameLoopId = null;
-  let spawnCounter = 0;
-  let currentSpawnRate = 90; // Start with easy spawn rate
-  let currentSpeedMultiplier = 1.0; // Start with easy speed
   let lastTime = 0;
-  // Character state
-  const character = {
-    x: GAME_WIDTH / 2,
-    y: GAME_HEIGHT - 100,
-    width: CHARACTER_WIDTH,
-    height: CHARACTER_HEIGHT,
-    moving: 'none', // 'left', 'right', 'none'
-    element: null,
-  };
-
-  // Falling objects array
-  let fallingObjects = [];
-
-  // ==========================================
-  // DIFFICULTY CURVE FUNCTIONS
-  // ==========================================
+  let accumulator = 0; // real time not yet consumed by fixed ticks (seconds)
+  // Replays: recorder for the live run, player while watching one back
+  let recorder = null;
+  let replayPlayer = null;
+  let lastReplay = null;
+  // High scores (one table per level): the finished run waiting for initials
+  let highScores = highScoresFor(currentLevel);
+  const INITIALS_KEY = 'avoidGame.lastInitials';
+  let pendingRun = null;
+  // Shared leaderboard (storage by default, ?leaderboard=URL for HTTP)
+  const leaderboard = AvoidGameLeaderboard.createLeaderboardClient(window.location.search, storage);
+  // Player input - the only thing the DOM layer feeds into the simulation.
+  // Keys and gamepads go through the InputManager, pointers through
+  // TouchControls, which apply while no key or pad is used
+  const input = new AvoidGameInput.InputManager(storage, controls.keyboard ? keyTarget : null, {
+    gamepad: controls.gamepad,
+    isActive: () => gameState === 'playing',
+  });
+  const touch = controls.touch && new AvoidGameInput.TouchControls(gameBoard, {
+    toLogicalX: clientX => (clientX - gameBoard.getBoundingClientRect().left - gameBoard.clientLeft) / board.scale,
+    onEvent: (type, detail) => {
+      if (recorder) recorder.recordEvent(type, detail);
+    },
+    isActive: () => gameState === 'playing' && !replayPlayer && !match,
+    storage,
+  });
 
   /**
-   * Get the current speed multiplier based on elapsed time
-   * Provides smooth progression from easy to hard
-   */
-  function getSpeedMultiplier(elapsed) {
-    // Find the appropriate checkpoint for this time
-    let multiplier = 1.0;
-    for (let i = 0; i < DIFFICULTY_CURVE.difficultyCheckpoints.length; i++) {
-      const checkpoint = DIFFICULTY_CURVE.difficultyCheckpoints[i];
-      const nextCheckpoint = DIFFICULTY_CURVE.difficultyCheckpoints[i + 1];
-
-      if (elapsed >= checkpoint.time) {
-        if (nextCheckpoint && elapsed < nextCheckpoint.time) {
-          // Linear interpolation between checkpoints for smooth progression
-          const timeInRange = elapsed - checkpoint.time;
-          const rangeDuration = nextCheckpoint.time - checkpoint.time;
-          const progress = timeInRange / rangeDuration;
-          const multiplierDiff = nextCheckpoint.speedMultiplier - checkpoint.speedMultiplier;
-          multiplier = checkpoint.speedMultiplier + (multiplierDiff * progress);
-          break;
-        } else if (!nextCheckpoint) {
-          // At the last checkpoint
-          multiplier = checkpoint.speedMultiplier;
-        }
+   * This tick's input: keyboard/gamepad first, then touch/pen/mouse
+   */
+  function readInput() {
+    const mapped = input.read();
+    if (mapped.moving !== 'none') return mapped;
+    return (touch && touch.read(sim.character, sim.config.moveSpeed * TIMESTEP)) || mapped;
+  }
+
+  // Haptic feedback on phones that support it (ignored elsewhere)
+  function vibrate(pattern) {
+    if (navigator.vibrate) {
+      try {
+        navigator.vibrate(pattern);
+      } catch (error) {
+        // Blocked until the user interacts with the page
       }
     }
-    return multiplier;
   }
 
   /**
-   * Get the current spawn rate based on elapsed time
-   * Objects spawn more frequently as difficulty increases
+   * Logical size of the board and how many CSS px one unit takes
    */
-  function getSpawnRate(elapsed) {
-    let spawnRate = 90;
-    for (let i = 0; i < DIFFICULTY_CURVE.spawnRateCheckpoints.length; i++) {
-      const checkpoint = DIFFICULTY_CURVE.spawnRateCheckpoints[i];
-      const nextCheckpoint = DIFFICULTY_CURVE.spawnRateCheckpoints[i + 1];
+  function measureBoard() {
+    const pixelWidth = gameBoard.clientWidth || LOGICAL_WIDTH;
+    const pixelHeight = gameBoard.clientHeight || LOGICAL_WIDTH * 1.2;
+    const scale = pixelWidth / LOGICAL_WIDTH;
+    const height = Math.round(Math.max(MIN_LOGICAL_HEIGHT, Math.min(MAX_LOGICAL_HEIGHT, pixelHeight / scale)));
+    return { width: LOGICAL_WIDTH, height, scale };
+  }
 
-      if (elapsed >= checkpoint.time) {
-        if (nextCheckpoint && elapsed < nextCheckpoint.time) {
-          // Linear interpolation between checkpoints
-          const timeInRange = elapsed - checkpoint.time;
-          const rangeDuration = nextCheckpoint.time - checkpoint.time;
-          const progress = timeInRange / rangeDuration;
-          const rateDiff = nextCheckpoint.spawnRate - checkpoint.spawnRate;
-          spawnRate = checkpoint.spawnRate + (rateDiff * progress);
-          break;
-        } else if (!nextCheckpoint) {
-          spawnRate = checkpoint.spawnRate;
-        }
-      }
-    }
-    return Math.round(spawnRate);
+  /**
+   * Simulation overrides for the current level on this board
+   */
+  function levelConfig() {
+    return Object.assign(
+      { width: board.width, height: board.height, lives: livesMode ? LIVES : null, assist: a11y.assist },
+      AvoidGameLevels.levelToConfig(currentLevel)
+    );
   }
 
-  // Initialize character element
-  function initCharacter() {
-  character.element = document.createElement('div');
-  character.element.className = 'character';
-  character.element.style.backgroundImage = "url('bulldog.png')";
-    character.element.style.left = character.x + 'px';
-    gameBoard.appendChild(character.element);
+  // Normal keeps the original storage key so existing scores survive
+  function highScoresFor(level) {
+    let key = level.id === AvoidGameLevels.DEFAULT_LEVEL_ID
+      ? AvoidGameScores.STORAGE_KEY
+      : `${AvoidGameScores.STORAGE_KEY}.${level.id}`;
+    if (livesMode) key += '.lives';
+    if (a11y.assist) key += '.assist';
+    return new AvoidGameScores.HighScoreTable(storage, key);
   }
 
-  // Update character position
-  function updateCharacterPosition() {
-    if (character.moving === 'left' && character.x > 0) {
-      character.x -= MOVE_SPEED;
-    } else if (character.moving === 'right' && character.x + character.width < GAME_WIDTH) {
-      character.x += MOVE_SPEED;
-    }
+  function escapeHTML(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+  }
 
-    // Giới hạn X để không ra khỏi game board
-    character.x = Math.max(0, Math.min(character.x, GAME_WIDTH - character.width));
+  // Drawing goes through a renderer (DOM nodes or one canvas), chosen at runtime
+  let renderer = AvoidGameRenderers.createRenderer(AvoidGameRenderers.preferredRenderer(window.location.search, storage), gameBoard, board.scale);
+  renderer.configure(a11y);
 
-    const drawX = Math.round(character.x);
-    character.element.style.left = drawX + 'px';
+  /**
+   * Draw the current simulation state
+   * @param {number} [alpha] - 0..1 blend between previousSim and sim
+   */
+  function render(alpha = 1) {
+    renderer.render(previousSim, sim, alpha);
+    if (rivalRenderer) {
+      // Between matches the second board mirrors the first
+      const rival = match ? match.players[1] : { previous: previousSim, state: sim };
+      rivalRenderer.render(rival.previous, rival.state, alpha);
+    }
   }
 
-  // Create falling object
-  function createFallingObject() {
-    // Safety check - only create objects during gameplay
-    if (gameState !== 'playing') {
-      return;
+  // Swap renderers mid-run or between runs; the new one draws the same state
+  function setRenderer(kind) {
+    renderer.destroy();
+    renderer = AvoidGameRenderers.createRenderer(kind, gameBoard, board.scale);
+    renderer.configure(a11y);
+    if (rivalRenderer) {
+      rivalRenderer.destroy();
+      rivalRenderer = AvoidGameRenderers.createRenderer(kind, rivalBoard, board.scale);
+      rivalRenderer.configure(a11y);
     }
+    AvoidGameRenderers.saveRendererChoice(kind, storage);
+    render();
+  }
 
-    const stressItem = stressObjects[Math.floor(Math.random() * stressObjects.length)];
-    const obj = {
-      x: Math.random() * (GAME_WIDTH - FALLING_OBJECT_SIZE),
-      y: -FALLING_OBJECT_SIZE,
-      width: FALLING_OBJECT_SIZE,
-      height: FALLING_OBJECT_SIZE,
-      emoji: stressItem.emoji,
-      speedMultiplier: currentSpeedMultiplier, // Use current difficulty level
-      element: null,
-    };
-
-    obj.element = document.createElement('div');
-    obj.element.className = 'falling-object';
-    obj.element.textContent = obj.emoji;
-    obj.element.style.left = obj.x + 'px';
-    obj.element.style.top = obj.y + 'px';
-    
-    // Add to DOM and track
-    if (gameBoard) {
-      gameBoard.appendChild(obj.element);
-      fallingObjects.push(obj);
-      
-      // Play spawn sound for each new object
-      audioManager.playSpawnSound();
-    }
-  }
-
-  // Update falling objects
-  function updateFallingObjects() {
-    for (let i = fallingObjects.length - 1; i >= 0; i--) {
-      const obj = fallingObjects[i];
-      
-      // Safety check - ensure object still exists
-      if (!obj || !obj.element) {
-        fallingObjects.splice(i, 1);
-        continue;
-      }
-
-      // Move down with current difficulty speed
-      // Base speed ranges from 2.5 (easy) to 6.5 (hard)
-      const baseSpeed = DIFFICULTY_CURVE.baseSpeed + 
-        (DIFFICULTY_CURVE.maxSpeed - DIFFICULTY_CURVE.baseSpeed) * (obj.speedMultiplier - 1);
-      obj.y += baseSpeed;
+  /**
+   * Show or hide the second board; both boards share one logical size
+   */
+  function setVersusLayout(on) {
+    gameWrapper.classList.toggle('is-versus', on);
+    rivalBoard.classList.toggle('hidden', !on);
+    if (on && !rivalRenderer) {
+      rivalRenderer = AvoidGameRenderers.createRenderer(AvoidGameRenderers.preferredRenderer(window.location.search, storage), rivalBoard, board.scale);
+      rivalRenderer.configure(a11y);
+    } else if (!on && rivalRenderer) {
+      rivalRenderer.destroy();
+      rivalRenderer = null;
+    }
+    handleBoardResize();
+  }
 
-      // Update position
-      if (obj.element && obj.element.parentNode) {
-        obj.element.style.top = obj.y + 'px';
+  /**
+   * Re-measure the board after a resize/rotation and remap the run onto it
+   * A replay keeps the sizes it was recorded with and is only rescaled
+   */
+  function handleBoardResize() {
+    const measured = measureBoard();
+    const sizeChanged = measured.width !== board.width || measured.height !== board.height;
+    board = measured;
+    renderer.resize(board.scale);
+    if (rivalRenderer) rivalRenderer.resize(board.scale);
+
+    if (sizeChanged && match) {
+      match.resize(board.width, board.height);
+      sim = match.players[0].state;
+      previousSim = match.players[0].previous;
+    } else if (sizeChanged && !replayPlayer) {
+      sim = AvoidGameSim.resizeState(sim, board.width, board.height);
+      previousSim = AvoidGameSim.resizeState(previousSim, board.width, board.height);
+      if (recorder && gameState !== 'gameOver' && gameState !== 'victory') {
+        recorder.recordResize(board.width, board.height);
       }
+    }
+    render();
+  }
 
-      // Check if character is close to falling object (< 70px distance for warning)
-      const characterCenterX = character.x + character.width / 2;
-      const objectCenterX = obj.x + obj.width / 2;
-      const characterCenterY = character.y + character.height / 2;
-      const objectCenterY = obj.y + obj.height / 2;
-      
-      const distanceX = Math.abs(characterCenterX - objectCenterX);
-      const distanceY = Math.abs(characterCenterY - objectCenterY);
-      const distance = Math.sqrt(distanceX * distanceX + distanceY * distanceY);
-
-      // Play warning sound if very close (but not colliding yet)
-      if (distance < 70 && !checkCollision(character, obj)) {
-        audioManager.playWarningSound();
-      }
+  // Stereo position of an object when stereo cues are on, else centered
+  function stereoPan(obj) {
+    return a11y.stereoCues ? AvoidGameA11y.panFor(obj, sim.config.width) : 0;
+  }
 
-      // Check collision with character
-      if (checkCollision(character, obj)) {
-        // Clean up the object before game over
-        if (obj.element && obj.element.parentNode) {
-          obj.element.remove();
-        }
-        fallingObjects.splice(i, 1);
-        
-        // Play collision sound and trigger game over after delay
-        audioManager.playCollisionSound();
-        
-        // Delay game over panel by 500ms to show collision sound
-        setTimeout(() => {
+  // Turn simulation events into sounds and state transitions
+  function handleEvents(events) {
+    narrator.handleEvents(events, sim);
+    events.forEach(event => {
+      switch (event.type) {
+        case 'spawn':
+        case 'split':
+          audioManager.playSpawnSound(stereoPan(event.object));
+          break;
+        case 'nearMiss':
+          audioManager.playWarningSound(stereoPan(event.object));
+          dangerUntil = Date.now() + 600;
+          break;
+        case 'score':
+          emit('score', { score: event.score, points: event.points, object: event.object.label, replay: Boolean(replayPlayer) });
+          break;
+        case 'powerUp':
+          audioManager.playPowerUpSound();
+          break;
+        case 'powerUpEnd':
+          audioManager.playPowerUpEndSound();
+          break;
+        case 'shieldBreak':
+        case 'lifeLost':
+          audioManager.playHitSound();
+          if (!replayPlayer) vibrate(80);
+          break;
+        case 'collision':
+          if (!replayPlayer) vibrate(200);
           gameOver();
-        }, 500);
-        
-        return;
-      }
-
-      // Remove if off screen and award points
-      if (obj.y > GAME_HEIGHT) {
-        if (obj.element && obj.element.parentNode) {
-          obj.element.remove();
-        }
-        fallingObjects.splice(i, 1);
-        score += 10; // Reward for avoiding
+          break;
+        case 'victory':
+          victory();
+          break;
+        case 'timeUp':
+          gameOver();
+          break;
+        default:
+          break;
       }
-    }
-  }
-
-  // Check collision
-  function checkCollision(char, obj) {
-    return (
-      char.x < obj.x + obj.width &&
-      char.x + char.width > obj.x &&
-      char.y < obj.y + obj.height &&
-      char.y + char.height > obj.y
-    );
+    });
   }
 
   // Update game UI
   function updateUI() {
-    timerDisplay.textContent = Math.ceil(timeLeft);
-    scoreDisplay.textContent = score;
-  }
-
-  // Game over function
-  function gameOver() {
-    // Prevent multiple gameOver calls
-    if (gameState === 'gameOver') {
-      return;
+    timerDisplay.textContent = Math.ceil(sim.timeLeft);
+    scoreDisplay.textContent = sim.score;
+    livesItem.classList.toggle('hidden', !sim.config.lives);
+    livesDisplay.textContent = '❤️'.repeat(sim.lives || 0) || '💔';
+    renderPowerUps();
+    if (gameState === 'paused') {
+      statusDisplay.textContent = 'Paused';
+    } else if (gameState === 'gameOver' || gameState === 'victory') {
+      statusDisplay.textContent = gameState === 'victory' ? 'Champion!' : 'Game Over';
+    } else if (gameState === 'playing' && Date.now() < dangerUntil) {
+      statusDisplay.textContent = 'Watch out!';
+    } else if (gameState === 'playing' && sim.effects.shield) {
+      statusDisplay.textContent = 'Shielded';
+    } else {
+      statusDisplay.textContent = replayPlayer ? 'Replay' : 'Survive';
     }
-
-    gameState = 'gameOver';
-    
-    // Stop game loop
-    if (gameLoopId !== null && typeof gameLoopId === 'number') {
-      cancelAnimationFrame(gameLoopId);
-      gameLoopId = null;
+    if (match) {
+      updateVersusUI();
     }
+  }
 
-    // Play collision sound (stops BGM internally, shows YOU LOSE after 0.5s delay)
-    audioManager.playCollisionSound();
+  // Versus HUD: both scores and lives, the clock of whoever is still in
+  function updateVersusUI() {
+    const { players } = match;
+    timerDisplay.textContent = Math.ceil(Math.min(...players.map(player => player.state.timeLeft)));
+    scoreDisplay.textContent = players.map(player => player.state.score).join(' : ');
+    livesDisplay.textContent = players.map(player => '❤️'.repeat(player.state.lives || 0) || '💔').join(' | ');
+    const out = players.filter(player => player.state.status === 'gameOver');
+    if (gameState === 'playing' && out.length) {
+      statusDisplay.textContent = `${out.map(player => player.name).join(', ')} out`;
+    } else if (gameState === 'gameOver') {
+      statusDisplay.textContent = 'Match over';
+    }
+  }
 
-    // Delay showing game over screen by 500ms
-    setTimeout(() => {
-      // Clean up all falling objects
-      fallingObjects.forEach(obj => {
-        if (obj.element && obj.element.parentNode) {
-          obj.element.remove();
-        }
-      });
-      fallingObjects = [];
+  /**
+   * Active power-ups with the seconds they have left
+   */
+  function renderPowerUps() {
+    const { powerUps } = sim.config;
+    const active = Object.keys(sim.effects);
+    powerUpsDisplay.innerHTML = active.length === 0
+      ? '<span class="power-up-none">—</span>'
+      : active.map(key => `
+        <span class="power-up-timer" title="${powerUps[key].label}">
+          ${powerUps[key].emoji} ${sim.effects[key].toFixed(1)}s
+        </span>
+      `).join('');
+  }
 
-      overlayTitle.textContent = '😓 YOU LOSE!';
-      overlayMessage.innerHTML = `
-        <p style="font-size: 1.2rem; margin: 10px 0;">Final Score: <strong style="color: #BA1010;">${score}</strong></p>
-        <p style="font-size: 1rem; margin: 8px 0;">Time Survived: <strong style="color: #F00000;">${(GAME_DURATION - timeLeft).toFixed(1)}s / ${GAME_DURATION}s</strong></p>
-        <p style="font-size: 0.9rem; opacity: 0.8;">You couldn't pass the exam this time</p>
+  /**
+   * Pop a toast over the board for each newly unlocked achievement
+   */
+  function showAchievementToasts(unlocked) {
+    unlocked.forEach(achievement => {
+      const toast = document.createElement('div');
+      toast.className = 'achievement-toast';
+      toast.innerHTML = `
+        <span class="achievement-icon">${achievement.icon}</span>
+        <span><strong>${achievement.title}</strong><br>${achievement.description}</span>
       `;
+      achievementToasts.appendChild(toast);
+      later(() => toast.remove(), 3500);
+      announcer.say(`Achievement unlocked: ${achievement.title}`);
+    });
+    if (unlocked.length) renderAchievements();
+  }
 
-      startBtn.classList.add('hidden');
-      restartBtn.classList.remove('hidden');
-      overlay.classList.remove('hidden');
-    }, 500);
+  /**
+   * Lifetime stats and the achievement grid below the game
+   */
+  function renderAchievements() {
+    const summary = achievements.summary();
+    const rows = [
+      ['Runs played', summary.runs],
+      ['Win rate', `${Math.round(summary.winRate * 100)}%`],
+      ['Average survival', `${summary.averageSurvival.toFixed(1)}s`],
+      ['Objects dodged', summary.dodged],
+      ['Near-misses', summary.nearMisses],
+      ['Most runs ended by', summary.deadliest ? `${summary.deadliest.label} (${summary.deadliest.runs})` : '—'],
+    ];
+    lifetimeStats.innerHTML = rows.map(([label, value]) => `
+      <div class="lifetime-stat">
+        <dt>${label}</dt>
+        <dd>${value}</dd>
+      </div>
+    `).join('');
+
+    achievementList.innerHTML = achievements.list().map(achievement => `
+      <li class="achievement${achievement.unlockedAt ? ' is-unlocked' : ''}">
+        <span class="achievement-icon" aria-hidden="true">${achievement.unlockedAt ? achievement.icon : '🔒'}</span>
+        <span>
+          <strong>${achievement.title}</strong>
+          <span class="achievement-description">${achievement.description}</span>
+          <span class="visually-hidden">${achievement.unlockedAt ? 'Unlocked' : 'Locked'}</span>
+        </span>
+      </li>
+    `).join('');
   }
 
-  // Victory function
-  function victory() {
-    gameState = 'victory';
-    cancelAnimationFrame(gameLoopId);
-    gameLoopId = null;
+  // The overlay text is drawn by a function kept here, so a language
+  // switch can draw it again with the same run data
+  let overlayView = null;
+  function renderOverlay(view) {
+    overlayView = view;
+    view();
+  }
 
-    // Play victory sound (stops BGM internally)
-    audioManager.playVictorySound();
+  // Button whose label changes with the screen; data-i18n keeps it translated
+  function setButtonText(button, key) {
+    button.dataset.i18n = key;
+    button.textContent = gameText(key);
+  }
 
-    // Clean up all falling objects
-    fallingObjects.forEach(obj => {
-      if (obj.element && obj.element.parentNode) {
-        obj.element.remove();
-      }
+  if (window.SiteI18n) {
+    SiteI18n.apply(container);
+    // SiteI18n already refreshed the data-i18n labels by the time this runs
+    cleanups.push(SiteI18n.onChange(() => {
+      if (overlayView && !overlay.classList.contains('hidden')) overlayView();
+    }));
+  }
+
+  /**
+   * Show the overlay with only the given main buttons visible
+   */
+  function showOverlay(...buttons) {
+    [startBtn, restartBtn, resumeBtn, quitBtn, replayBtn, exportReplayBtn].forEach(button => {
+      button.classList.toggle('hidden', !buttons.includes(button));
     });
-    fallingObjects = [];
+    // Difficulty can only change between runs, never from the pause menu
+    levelPicker.classList.toggle('hidden', buttons.includes(resumeBtn));
+    overlay.classList.remove('hidden');
+  }
+
+  /**
+   * Draw the high score table into the overlay
+   * @param {number} [highlightRank] - 0-based row to highlight (the new entry)
+   */
+  function renderHighScores(highlightRank = -1) {
+    highScoresPanel.innerHTML = highScores.entries.length === 0
+      ? '<p class="high-scores-empty">No high scores yet - be the first!</p>'
+      : scoreTableHTML('🏅 High Scores', highScores.entries, highlightRank);
+    highScoresPanel.classList.remove('hidden');
+  }
 
-    overlayTitle.textContent = '🎉 VICTORY!';
-    overlayMessage.innerHTML = `
-      <p style="font-size: 1.2rem; margin: 10px 0;">Final Score: <strong style="color: #BA1010;">${score}</strong></p>
-      <p style="font-size: 1rem; margin: 8px 0;">Time Survived: <strong style="color: #F00000;">44s / 44s</strong></p>
-      <p style="font-size: 0.9rem; opacity: 0.8;">You escaped the finals stress! 🐕</p>
+  /**
+   * Ranked score table markup shared by high scores and the leaderboard
+   * Names are already reduced to [A-Z0-9?] so they are safe to inline
+   */
+  function scoreTableHTML(caption, entries, highlightRank) {
+    const rows = entries.map((entry, i) => `
+      <tr class="${i === highlightRank ? 'is-new' : ''}">
+        <td>${i + 1}</td>
+        <td>${entry.initials || entry.name}</td>
+        <td>${entry.score}</td>
+        <td>${entry.timeSurvived.toFixed(1)}s</td>
+        <td>${entry.result === 'win' ? '🏆' : '😓'}</td>
+        <td>${new Date(entry.date).toLocaleDateString()}</td>
+      </tr>
+    `).join('');
+    return `
+      <table class="high-scores-table">
+        <caption>${caption}</caption>
+        <thead><tr><th>#</th><th>Name</th><th>Score</th><th>Time</th><th></th><th>Date</th></tr></thead>
+        <tbody>${rows}</tbody>
+      </table>
     `;
+  }
 
-    startBtn.classList.add('hidden');
-    restartBtn.classList.remove('hidden');
-    overlay.classList.remove('hidden');
+  // Only plain runs of a built-in preset go on the leaderboard
+  function rankable(replay) {
+    return Boolean(replay && !replay.config.lives && !replay.config.assist &&
+      AvoidGameLevels.getPreset(replay.config.levelId));
   }
 
   /**
- * Main game loop - runs every frame
- * timestamp = milliseconds since page load (from requestAnimationFrame)
- */
-function gameLoop(timestamp) {
-  // Khởi tạo lần đầu
-  if (!lastTime) {
-    lastTime = timestamp;
+   * Send the finished live run to the leaderboard, then show the top 20
+   */
+  function submitToLeaderboard(initials) {
+    if (!rankable(lastReplay)) return;
+
+    const replay = lastReplay;
+    leaderboardPanel.innerHTML = '<p class="high-scores-empty">Submitting to leaderboard…</p>';
+    leaderboardPanel.classList.remove('hidden');
+
+    leaderboard.submitRun(initials, replay)
+      .then(entry => leaderboard.getTopScores(undefined, entry.level).then(entries => {
+        const rank = entries.findIndex(e => e.inputHash === entry.inputHash);
+        leaderboardPanel.innerHTML = scoreTableHTML('🌐 Leaderboard', entries, rank);
+      }))
+      .catch(error => {
+        console.warn('Leaderboard submit failed:', error);
+        leaderboardPanel.innerHTML = `<p class="high-scores-empty">⚠️ Leaderboard: ${escapeHTML(error.message)}</p>`;
+      });
   }
 
-  // Tính thời gian trôi qua giữa 2 frame (giây)
-  const deltaTime = (timestamp - lastTime) / 1000;
-  lastTime = timestamp;
+  // Hide the table and the initials prompt (pause menu, new run)
+  function hideHighScores() {
+    pendingRun = null;
+    initialsForm.classList.add('hidden');
+    highScoresPanel.classList.add('hidden');
+    leaderboardPanel.classList.add('hidden');
+  }
 
-  if (gameState !== 'playing') {
-    gameLoopId = requestAnimationFrame(gameLoop);
-    return;
+  // After a live run: ask for initials if it made the table, else just show it
+  function offerHighScore() {
+    if (replayPlayer) {
+      renderHighScores();
+      return;
+    }
+
+    const run = {
+      score: sim.score,
+      timeSurvived: Math.min(sim.elapsed, sim.config.duration),
+      result: sim.status === 'victory' ? 'win' : 'loss',
+    };
+
+    if (highScores.qualifies(run.score, run.timeSurvived)) {
+      pendingRun = run;
+      highScoresPanel.classList.add('hidden');
+      askInitials('🏅 New high score! Your initials:', 'Save Score');
+    } else {
+      renderHighScores();
+      // Missed the local table: the leaderboard only gets it if the player asks
+      if (rankable(lastReplay)) {
+        pendingRun = Object.assign({ leaderboardOnly: true }, run);
+        askInitials('🌐 Submit this run to the leaderboard? Your initials:', 'Submit');
+      }
+    }
   }
 
-  // Cập nhật thời gian dựa theo deltaTime thật
-  elapsedTime += deltaTime;
-  timeLeft = GAME_DURATION - elapsedTime;
+  function askInitials(label, buttonText) {
+    initialsLabel.textContent = label;
+    initialsSubmit.textContent = buttonText;
+    initialsInput.value = storage.getItem(INITIALS_KEY) || '';
+    initialsForm.classList.remove('hidden');
+    initialsInput.focus();
+  }
 
-  // Check nếu đã sống đủ 44s
-  if (elapsedTime >= GAME_DURATION) {
-    victory();
-    return;
+  // Current movement keys for the instructions, e.g. "← → / A D"
+  function bindingsText() {
+    return [0, 1]
+      .map(slot => AvoidGameInput.ACTIONS.map(action => input.bindings[action][slot]).filter(Boolean))
+      .filter(codes => codes.length > 0)
+      .map(codes => codes.map(AvoidGameInput.keyLabel).join(' '))
+      .join(' / ');
   }
 
-  // Update độ khó theo elapsedTime
-  currentSpeedMultiplier = getSpeedMultiplier(elapsedTime);
-  currentSpawnRate = getSpawnRate(elapsedTime);
+  // Idle screen shown on load and after quitting a run
+  function showStartOverlay() {
+    const { duration } = currentLevel;
+    renderOverlay(() => {
+      const goal = currentLevel.winCondition.type === 'score'
+        ? gameText('avoidGame.intro.goalScore', { target: currentLevel.winCondition.target, duration })
+        : gameText('avoidGame.intro.goalSurvive', { duration });
+      const touchHint = !touch ? '' : gameText(touch.scheme === 'drag' ? 'avoidGame.intro.touchDrag' : 'avoidGame.intro.touchButtons');
+      overlayTitle.textContent = gameText('avoidGame.intro.title');
+      overlayMessage.innerHTML = `
+        <p>${gameText('avoidGame.intro.level', { level: escapeHTML(currentLevel.name) })}</p>
+        <p style="font-size: 0.95rem; margin-top: 12px;">${gameText('avoidGame.intro.move', { keys: escapeHTML(bindingsText()), touch: touchHint })}</p>
+        <p style="font-size: 0.9rem; margin-top: 8px; opacity: 0.8;">${goal}</p>
+        <p style="font-size: 0.85rem; margin-top: 8px; opacity: 0.7;">${gameText('avoidGame.intro.pause')}</p>
+      `;
+    });
+    showOverlay(startBtn);
+    hideHighScores();
+    if (highScores.entries.length > 0) {
+      renderHighScores();
+    }
+  }
 
-  // Spawn falling objects theo spawnRate hiện tại
-  spawnCounter++;
-  if (spawnCounter >= currentSpawnRate) {
-    createFallingObject();
-    spawnCounter = 0;
+  // Close the recording of a live run so it can be watched/exported
+  function finishRecording() {
+    if (recorder) {
+      lastReplay = recorder.finish(sim);
+      recorder = null;
+    }
   }
 
-  // Update game elements
-  updateCharacterPosition();
-  updateFallingObjects();
-  updateUI();
+  // Show the end-of-run buttons (restart + replay controls)
+  function showEndButtons() {
+    setButtonText(restartBtn, 'avoidGame.playAgain');
+    if (lastReplay) {
+      showOverlay(restartBtn, replayBtn, exportReplayBtn);
+    } else {
+      showOverlay(restartBtn);
+    }
+  }
 
-  // Gọi frame tiếp theo
-  gameLoopId = requestAnimationFrame(gameLoop);
-}
+  // Score and time lines shared by the lose and victory screens
+  function endStatsHTML() {
+    return `
+      <p style="font-size: 1.2rem; margin: 10px 0;">${gameText('avoidGame.end.score')}: <strong style="color: #BA1010;">${sim.score}</strong></p>
+      <p style="font-size: 1rem; margin: 8px 0;">${gameText('avoidGame.end.time')}: <strong style="color: #F00000;">${Math.min(sim.elapsed, sim.config.duration).toFixed(1)}s / ${sim.config.duration}s</strong></p>
+    `;
+  }
 
+  // Extra overlay line when the run that just ended was a replay
+  function replayNote() {
+    return replayPlayer
+      ? `<p style="font-size: 0.85rem; opacity: 0.7;">${gameText('avoidGame.end.replay', { seed: replayPlayer.replay.seed })}</p>`
+      : '';
+  }
 
-  // Start game
-  function startGame() {
-    // Cancel any existing game loop to prevent multiple loops running
-    if (gameLoopId) {
+  // Stop the requestAnimationFrame loop
+  function stopLoop() {
+    if (gameLoopId !== null) {
       cancelAnimationFrame(gameLoopId);
       gameLoopId = null;
     }
+  }
+
+  // Game over function
+  function gameOver() {
+    // Prevent multiple gameOver calls
+    if (gameState === 'gameOver') {
+      return;
+    }
+
+    gameState = 'gameOver';
+    stopLoop();
+    finishRecording();
+    narrator.finish(sim);
+    finishAchievementRun();
+    if (telemetry && !replayPlayer) telemetry.finishRun(sim);
+    updateUI();
+    emit('gameOver', runSummary());
+
+    // Play collision sound (stops BGM internally)
+    audioManager.playCollisionSound();
+
+    // Delay showing game over screen by 500ms so the hit registers
+    later(() => {
+      renderer.clear();
+
+      const note = replayNote();
+      renderOverlay(() => {
+        overlayTitle.textContent = gameText('avoidGame.lose.title');
+        overlayMessage.innerHTML = `
+          ${endStatsHTML()}
+          <p style="font-size: 0.9rem; opacity: 0.8;">${sim.config.winScore ? gameText('avoidGame.lose.target', { target: sim.config.winScore }) : gameText('avoidGame.lose.message')}</p>
+          ${note}
+        `;
+      });
+
+      showEndButtons();
+      offerHighScore();
+    }, 500);
+  }
+
+  // What onGameOver / onVictory subscribers get
+  function runSummary() {
+    return {
+      score: sim.score,
+      timeSurvived: Math.min(sim.elapsed, sim.config.duration),
+      level: currentLevel.id,
+      replay: Boolean(replayPlayer),
+    };
+  }
+
+  // Fold a finished live run into the lifetime stats
+  function finishAchievementRun() {
+    if (replayPlayer) return;
+    showAchievementToasts(achievements.finishRun(sim));
+    renderAchievements();
+  }
+
+  // Victory function
+  function victory() {
+    gameState = 'victory';
+    stopLoop();
+    finishRecording();
+    narrator.finish(sim);
+    finishAchievementRun();
+    if (telemetry && !replayPlayer) telemetry.finishRun(sim);
+    updateUI();
+    emit('victory', runSummary());
+
+    // Play victory sound (stops BGM internally)
+    audioManager.playVictorySound();
+
+    renderer.clear();
+
+    const note = replayNote();
+    renderOverlay(() => {
+      overlayTitle.textContent = gameText('avoidGame.victory.title');
+      overlayMessage.innerHTML = `
+        ${endStatsHTML()}
+        <p style="font-size: 0.9rem; opacity: 0.8;">${gameText('avoidGame.victory.message')}</p>
+        ${note}
+      `;
+    });
+
+    showEndButtons();
+    offerHighScore();
+  }
+
+  /**
+   * Advance the simulation one fixed step (live input or replay frame)
+   */
+  function tick() {
+    if (match) {
+      tickVersus();
+      return;
+    }
+    previousSim = sim;
+
+    let result;
+    if (replayPlayer) {
+      result = replayPlayer.next();
+    } else {
+      const frame = readInput();
+      recorder.recordTick(frame);
+      result = AvoidGameSim.step(sim, frame);
+      // Before handleEvents, which may end the run
+      showAchievementToasts(achievements.record(frame, result.events, result.state));
+      if (telemetry) telemetry.record(frame, result.events, result.state);
+    }
+    sim = result.state;
+    handleEvents(result.events);
+
+    // Recording ran out before the run ended (truncated or hand-edited file)
+    if (replayPlayer && replayPlayer.done && gameState === 'playing') {
+      gameOver();
+    }
+  }
+
+  /**
+   * Versus: step both bulldogs with their own keys; the match ends once
+   * neither is still playing
+   */
+  function tickVersus() {
+    const results = match.step(match.players.map((player, index) => input.readPlayer(index)));
+    previousSim = match.players[0].previous;
+    sim = match.players[0].state;
+    handleVersusEvents(results);
+    if (match.over) {
+      versusOver();
+    }
+  }
+
+  // Versus sounds come from each player's side; the shared spawn stream plays once
+  function handleVersusEvents(results) {
+    results.forEach(({ player, events }, i) => {
+      const pan = VERSUS_PAN[player];
+      events.forEach(event => {
+        switch (event.type) {
+          case 'spawn':
+          case 'split':
+            if (i === 0) audioManager.playSpawnSound();
+            break;
+          case 'score':
+            emit('score', { score: event.score, points: event.points, object: event.object.label, player });
+            break;
+          case 'nearMiss':
+            audioManager.playWarningSound(pan);
+            dangerUntil = Date.now() + 600;
+            break;
+          case 'powerUp':
+            audioManager.playPowerUpSound(pan);
+            break;
+          case 'shieldBreak':
+          case 'lifeLost':
+            audioManager.playHitSound(pan);
+            break;
+          case 'collision':
+          case 'timeUp':
+            audioManager.playHitSound(pan);
+            vibrate(200);
+            if (!match.over) {
+              announcer.say(`${match.players[player].name} is out!`, { urgent: true });
+            }
+            break;
+          default:
+            break;
+        }
+      });
+    });
+  }
+
+  // Both bulldogs are done: per-player breakdown, best first
+  function versusOver() {
+    gameState = 'gameOver';
+    stopLoop();
+    input.reset();
+    updateUI();
+
+    const results = match.results();
+    const draw = results.length > 1 && results[1].rank === results[0].rank;
+    emit('gameOver', { level: currentLevel.id, versus: results });
+    if (draw) {
+      audioManager.playCollisionSound();
+    } else {
+      audioManager.playVictorySound();
+    }
+    announcer.say(draw
+      ? `Draw! Both scored ${results[0].score}.`
+      : `${results[0].name} wins with ${results[0].score} points after ${results[0].timeSurvived.toFixed(1)} seconds.`, { urgent: true });
+
+    const rows = results.map(row => `
+      <tr class="${row.rank === 1 && !draw ? 'is-new' : ''}">
+        <td>${row.rank}</td>
+        <td>${row.name}</td>
+        <td>${row.score}</td>
+        <td>${row.timeSurvived.toFixed(1)}s</td>
+        <td>${row.result === 'win' ? '🏁' : '💥'}</td>
+        <td>${row.nearMisses}</td>
+        <td>${row.hits}</td>
+      </tr>
+    `).join('');
+    const { seed } = match;
+    renderOverlay(() => {
+      overlayTitle.textContent = draw
+        ? gameText('avoidGame.versus.draw')
+        : gameText('avoidGame.versus.wins', { name: results[0].name.toUpperCase() });
+      overlayMessage.innerHTML = `
+        <table class="high-scores-table versus-results">
+          <caption>${gameText('avoidGame.versus.caption', { level: escapeHTML(currentLevel.name) })}</caption>
+          <thead><tr>${gameText('avoidGame.versus.columns')}</tr></thead>
+          <tbody>${rows}</tbody>
+        </table>
+        <p style="font-size: 0.85rem; opacity: 0.7;">${gameText('avoidGame.versus.seed', { seed })}</p>
+      `;
+    });
+    setButtonText(restartBtn, 'avoidGame.rematch');
+    showOverlay(restartBtn);
+    hideHighScores();
+  }
+
+  /**
+   * Main game loop - runs every frame
+   * timestamp = milliseconds since page load (from requestAnimationFrame)
+   */
+  function gameLoop(timestamp) {
+    // Khởi tạo lần đầu
+    if (!lastTime) {
+      lastTime = timestamp;
+    }
+
+    // Tính thời gian trôi qua giữa 2 frame (giây), có giới hạn trên
+    const frameTime = Math.min((timestamp - lastTime) / 1000, MAX_FRAME_TIME);
+    lastTime = timestamp;
+
+    if (gameState !== 'playing') {
+      return;
+    }
+
+    // Chạy đủ số bước cố định cho khoảng thời gian thật vừa trôi qua
+    // (assist mode feeds the simulation less time, so everything is slower)
+    accumulator += frameTime * (sim.config.assist ? AvoidGameA11y.ASSIST_SPEED : 1);
+    while (accumulator >= TIMESTEP && gameState === 'playing') {
+      accumulator -= TIMESTEP;
+      tick();
+    }
+    if (gameState === 'playing' && !match) {
+      narrator.update(sim);
+    }
+
+    render(accumulator / TIMESTEP);
+    updateUI();
+
+    // Gọi frame tiếp theo
+    if (gameState === 'playing') {
+      gameLoopId = requestAnimationFrame(gameLoop);
+    }
+  }
+
+  /**
+   * Start game
+   * @param {object} [replay] - play this recorded run back instead of a live one
+   */
+  function startGame(replay = null) {
+    // Cancel any existing game loop to prevent multiple loops running
+    stopLoop();
 
     // Reset state
     gameState = 'playing';
-    score = 0;
-    elapsedTime = 0; // Reset elapsed time counter
-    timeLeft = GAME_DURATION;
-    spawnCounter = 0;
-    currentSpeedMultiplier = 1.0; // Start at easiest difficulty
-    currentSpawnRate = 90; // Start with easiest spawn rate
-    character.x = GAME_WIDTH / 2;
-    character.moving = 'none';
+    match = null;
+    input.setPlayerBindings(null);
+    if (replay) {
+      replayPlayer = new AvoidGameReplay.ReplayPlayer(replay);
+      recorder = null;
+      sim = replayPlayer.state;
+    } else if (playMode === 'versus') {
+      replayPlayer = null;
+      recorder = null;
+      match = new AvoidGameVersus.VersusMatch(levelConfig());
+      input.setPlayerBindings(AvoidGameInput.VERSUS_BINDINGS);
+      sim = match.players[0].state;
+    } else {
+      const config = levelConfig();
+      replayPlayer = null;
+      highScores = highScoresFor(currentLevel); // lives/assist pick their own table
+      sim = AvoidGameSim.createState(config);
+      recorder = new AvoidGameReplay.ReplayRecorder(sim.seed, config);
+      achievements.startRun();
+      if (telemetry) {
+        telemetry.startRun(sim, { level: currentLevel.id, levelName: currentLevel.name, assist: a11y.assist, lives: livesMode });
+      }
+    }
+    previousSim = sim;
     lastTime = 0; // <-- reset timestamp cho vòng lặp mới
+    accumulator = 0;
 
     // Play background music
     audioManager.playBGM();
+    if (match) {
+      announcer.say(`Versus, ${currentLevel.name}. ${match.players.map(p => `${p.name} uses ${p.keys}`).join('. ')}. Go!`, { urgent: true });
+    } else {
+      narrator.start(sim, replayPlayer ? `Replay of ${currentLevel.name}` : currentLevel.name);
+    }
 
     // Clear falling objects and remove from DOM
-    fallingObjects.forEach(obj => {
-      if (obj.element && obj.element.parentNode) {
-        obj.element.remove();
-      }
-    });
-    fallingObjects = [];
+    renderer.clear();
 
     // Reset UI
+    render();
     updateUI();
 
     // Hide overlay
     overlay.classList.add('hidden');
-    startBtn.classList.remove('hidden');
-    restartBtn.classList.add('hidden');
+    hideHighScores();
+    focusBoard();
 
     // Start game loop
     gameLoopId = requestAnimationFrame(gameLoop);
   }
 
+  // Keys scoped to the container only arrive while focus is inside it;
+  // the overlay button that was clicked is hidden now, so take focus back
+  function focusBoard() {
+    if (keyTarget === container) {
+      gameBoard.focus({ preventScroll: true });
+    }
+  }
+
   // Reset game
   function resetGame() {
     startGame();
   }
 
-  // Event listeners for keyboard controls
-  document.addEventListener('keydown', (e) => {
-    if (gameState === 'playing') {
-      if (e.key === 'ArrowLeft') {
-        character.moving = 'left';
+  // Freeze the run and open the pause menu
+  function pauseGame() {
+    if (gameState !== 'playing') {
+      return;
+    }
+
+    gameState = 'paused';
+    stopLoop();
+    input.reset();
+    if (touch) touch.reset();
+    audioManager.pauseBGM();
+    updateUI();
+
+    renderOverlay(() => {
+      overlayTitle.textContent = gameText('avoidGame.pause.title');
+      overlayMessage.innerHTML = `
+        <p style="font-size: 1rem; margin: 8px 0;">${gameText('avoidGame.pause.time')}: <strong style="color: #F00000;">${Math.ceil(sim.timeLeft)}s</strong> · ${gameText('avoidGame.pause.score')}: <strong style="color: #BA1010;">${sim.score}</strong></p>
+        <p style="font-size: 0.9rem; opacity: 0.8;">${gameText('avoidGame.pause.resume')}</p>
+      `;
+    });
+    setButtonText(restartBtn, 'avoidGame.restart');
+    showOverlay(resumeBtn, restartBtn, quitBtn);
+    hideHighScores();
+  }
+
+  // Close the pause menu and continue exactly where the run stopped
+  function resumeGame() {
+    if (gameState !== 'paused') {
+      return;
+    }
+
+    gameState = 'playing';
+    overlay.classList.add('hidden');
+    audioManager.resumeBGM();
+    updateUI();
+    focusBoard();
+
+    lastTime = 0; // thời gian dừng không được tính vào game
+    gameLoopId = requestAnimationFrame(gameLoop);
+  }
+
+  // Abandon the current run and go back to the start screen
+  function quitGame() {
+    stopLoop();
+    gameState = 'idle';
+    recorder = null;
+    replayPlayer = null;
+    match = null;
+    input.setPlayerBindings(null);
+    input.reset();
+    if (touch) touch.reset();
+    audioManager.reset();
+
+    renderer.clear();
+    sim = AvoidGameSim.createState(levelConfig());
+    previousSim = sim;
+    render();
+    updateUI();
+
+    showStartOverlay();
+  }
+
+  // Pause keys (movement keys are read by the InputManager)
+  listen(keyTarget, 'keydown', (e) => {
+    if (AvoidGameInput.isEditable(e.target)) return;
+    if (e.key === 'Escape' || e.key === 'p' || e.key === 'P') {
+      if (gameState === 'playing') {
+        pauseGame();
         e.preventDefault();
-      } else if (e.key === 'ArrowRight') {
-        character.moving = 'right';
+      } else if (gameState === 'paused') {
+        resumeGame();
         e.preventDefault();
       }
     }
   });
 
-  document.addEventListener('keyup', (e) => {
-    if (e.key === 'ArrowLeft' || e.key === 'ArrowRight') {
-      character.moving = 'none';
-      e.preventDefault();
+  // Auto-pause when the tab is hidden or the window loses focus
+  listen(document, 'visibilitychange', () => {
+    if (document.hidden) {
+      pauseGame();
     }
   });
+  listen(window, 'blur', pauseGame);
 
   // Start button listener
   startBtn.addEventListener('click', () => {
@@ -705,63 +1819,483 @@ function gameLoop(timestamp) {
     audioManager.playButtonSound();
     resetGame();
   });
+  resumeBtn.addEventListener('click', () => {
+    audioManager.playButtonSound();
+    resumeGame();
+  });
+  quitBtn.addEventListener('click', () => {
+    audioManager.playButtonSound();
+    quitGame();
+  });
+
+  // Save a JSON string as a file download
+  function downloadJSON(filename, json) {
+    const blob = new Blob([json], { type: 'application/json' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = filename;
+    link.click();
+    URL.revokeObjectURL(link.href);
+  }
 
-  // Touch controls for mobile
-  let touchStartX = 0;
-  gameBoard.addEventListener('touchstart', (e) => {
-    touchStartX = e.touches[0].clientX;
+  // Replay controls
+  replayBtn.addEventListener('click', () => {
+    audioManager.playButtonSound();
+    if (lastReplay) {
+      startGame(lastReplay);
+    }
   });
 
-  gameBoard.addEventListener('touchmove', (e) => {
-    if (gameState !== 'playing') return;
+  exportReplayBtn.addEventListener('click', () => {
+    audioManager.playButtonSound();
+    if (!lastReplay) return;
 
-    const touchX = e.touches[0].clientX;
-    const diff = touchX - touchStartX;
+    downloadJSON(`avoid-game-replay-${lastReplay.seed}.json`, AvoidGameReplay.exportReplay(lastReplay));
+  });
 
-    if (Math.abs(diff) > 5) {
-      character.moving = diff > 0 ? 'right' : 'left';
-    }
+  importReplayBtn.addEventListener('click', () => {
+    audioManager.playButtonSound();
+    replayFileInput.click();
+  });
 
+  replayFileInput.addEventListener('change', () => {
+    const file = replayFileInput.files[0];
+    replayFileInput.value = '';
+    if (!file) return;
+
+    file.text()
+      .then(text => {
+        lastReplay = AvoidGameReplay.importReplay(text);
+        startGame(lastReplay);
+      })
+      .catch(error => {
+        console.warn('Replay import failed:', error);
+        renderOverlay(() => {
+          overlayTitle.textContent = gameText('avoidGame.replayError');
+          overlayMessage.innerHTML = `<p style="font-size: 0.95rem;">${escapeHTML(error.message)}</p>`;
+        });
+        overlay.classList.remove('hidden');
+      });
+  });
+
+  // High score controls
+  initialsForm.addEventListener('submit', (e) => {
     e.preventDefault();
+    if (!pendingRun) return;
+
+    const initials = AvoidGameScores.normalizeInitials(initialsInput.value);
+    storage.setItem(INITIALS_KEY, initials);
+    const { leaderboardOnly } = pendingRun;
+    if (!leaderboardOnly) {
+      renderHighScores(highScores.add(Object.assign({ initials }, pendingRun)));
+    }
+    pendingRun = null;
+
+    audioManager.playButtonSound();
+    initialsForm.classList.add('hidden');
+    submitToLeaderboard(initials);
   });
 
-  gameBoard.addEventListener('touchend', () => {
-    character.moving = 'none';
+  clearScoresBtn.addEventListener('click', () => {
+    audioManager.playButtonSound();
+    if (!window.confirm('Clear all high scores?')) return;
+
+    highScores.clear();
+    if (!pendingRun || pendingRun.leaderboardOnly) {
+      renderHighScores();
+    }
+  });
+
+  resetAchievementsBtn.addEventListener('click', () => {
+    audioManager.playButtonSound();
+    if (!window.confirm('Reset all lifetime stats and achievements?')) return;
+
+    achievements.reset();
+    renderAchievements();
+  });
+
+  exportScoresBtn.addEventListener('click', () => {
+    audioManager.playButtonSound();
+    downloadJSON('avoid-game-high-scores.json', highScores.exportJSON());
+  });
+
+  importScoresBtn.addEventListener('click', () => {
+    audioManager.playButtonSound();
+    scoresFileInput.click();
+  });
+
+  scoresFileInput.addEventListener('change', () => {
+    const file = scoresFileInput.files[0];
+    scoresFileInput.value = '';
+    if (!file) return;
+
+    file.text()
+      .then(text => {
+        highScores.importJSON(text);
+        if (!pendingRun || pendingRun.leaderboardOnly) {
+          renderHighScores();
+        }
+      })
+      .catch(error => {
+        console.warn('High score import failed:', error);
+        highScoresPanel.innerHTML = `<p class="high-scores-empty">⚠️ ${escapeHTML(error.message)}</p>`;
+        highScoresPanel.classList.remove('hidden');
+      });
   });
 
-  // Click controls for desktop (left/right areas)
-  gameBoard.addEventListener('click', (e) => {
-    if (gameState !== 'playing') return;
+  // ==========================================
+  // LEVEL SELECTION
+  // ==========================================
 
-    const rect = gameBoard.getBoundingClientRect();
-    const clickX = e.clientX - rect.left;
-    const centerX = rect.width / 2;
+  function isPreset(level) {
+    return AvoidGameLevels.getPreset(level.id) === level;
+  }
 
-    if (clickX < centerX) {
-      character.moving = 'left';
-      setTimeout(() => {
-        character.moving = 'none';
-      }, 100);
+  // Picker value for a level: preset id or custom:<id>
+  function levelOptionValue(level) {
+    return isPreset(level) ? level.id : `custom:${level.id}`;
+  }
+
+  /**
+   * Switch level between runs and go back to the start screen
+   * Custom levels get their own picker entry
+   */
+  function setLevel(level) {
+    currentLevel = level;
+    highScores = highScoresFor(level);
+
+    if (!isPreset(level)) {
+      customLevel = level;
+      let option = levelSelect.querySelector('option[data-custom]');
+      if (!option) {
+        option = document.createElement('option');
+        option.dataset.custom = 'true';
+        levelSelect.appendChild(option);
+      }
+      option.value = levelOptionValue(level);
+      option.textContent = `${level.name} (custom)`;
+    }
+    levelSelect.value = levelOptionValue(level);
+
+    resetIdleBoard();
+  }
+
+  // Show level loading problems on the overlay, one line per validation error
+  function showLevelError(error) {
+    console.warn('Level load failed:', error);
+    const lines = error.errors || [error.message];
+    renderOverlay(() => {
+      overlayTitle.textContent = gameText('avoidGame.levelError');
+      overlayMessage.innerHTML = `
+        <ul style="text-align: left; font-size: 0.85rem; margin: 0 0 16px 18px;">
+          ${lines.map(line => `<li>${escapeHTML(line)}</li>`).join('')}
+        </ul>
+      `;
+    });
+    levelSelect.value = levelOptionValue(currentLevel);
+    overlay.classList.remove('hidden');
+  }
+
+  // Rebuild the idle board after the level or mode changed
+  function resetIdleBoard() {
+    gameState = 'idle';
+    match = null;
+    sim = AvoidGameSim.createState(levelConfig());
+    previousSim = sim;
+    render();
+    updateUI();
+    showStartOverlay();
+  }
+
+  // ==========================================
+  // CONTROLS SCREEN (key rebinding)
+  // ==========================================
+
+  function renderControls() {
+    const rows = AvoidGameInput.ACTIONS.map(action => `
+      <tr>
+        <th scope="row">${action === 'left' ? '⬅️ Move left' : '➡️ Move right'}</th>
+        ${[0, 1].map(slot => `
+          <td><button type="button" class="btn-secondary key-binding" data-action="${action}" data-slot="${slot}">
+            ${escapeHTML(AvoidGameInput.keyLabel(input.bindings[action][slot]))}
+          </button></td>
+        `).join('')}
+      </tr>
+    `).join('');
+    controlsPanel.innerHTML = `
+      <table class="controls-table">
+        <caption>Click a key, then press the new one (Esc cancels)</caption>
+        <tbody>${rows}</tbody>
+      </table>
+      <p class="controls-note">🎮 Gamepads: d-pad or left stick (push further to go faster). <strong>Esc</strong>/<strong>P</strong> always pause.</p>
+      <button type="button" class="btn-secondary" data-reset-bindings>Reset to defaults</button>
+    `;
+  }
+
+  if (touch) {
+    touchSchemeSelect.value = touch.scheme;
+    touchSchemeSelect.addEventListener('change', () => {
+      audioManager.playButtonSound();
+      touch.setScheme(touchSchemeSelect.value);
+    });
+  } else {
+    touchSchemeSelect.hidden = true;
+    ref('touchSchemeLabel').hidden = true;
+  }
+
+  controlsBtn.addEventListener('click', () => {
+    audioManager.playButtonSound();
+    const open = controlsPanel.classList.toggle('hidden') === false;
+    controlsBtn.setAttribute('aria-expanded', String(open));
+    if (open) {
+      renderControls();
     } else {
-      character.moving = 'right';
-      setTimeout(() => {
-        character.moving = 'none';
-      }, 100);
+      input.cancelRebind();
+    }
+  });
+
+  controlsPanel.addEventListener('click', (e) => {
+    if (e.target.closest('[data-reset-bindings]')) {
+      audioManager.playButtonSound();
+      input.cancelRebind();
+      input.resetBindings();
+      renderControls();
+      return;
+    }
+
+    const button = e.target.closest('.key-binding');
+    if (!button) return;
+    audioManager.playButtonSound();
+    input.cancelRebind();
+    renderControls();
+    const waiting = controlsPanel.querySelector(`.key-binding[data-action="${button.dataset.action}"][data-slot="${button.dataset.slot}"]`);
+    waiting.textContent = 'Press a key…';
+    waiting.classList.add('is-waiting');
+    input.startRebind(button.dataset.action, Number(button.dataset.slot), renderControls);
+  });
+
+  // ==========================================
+  // ACCESSIBILITY SETTINGS
+  // ==========================================
+
+  function applyA11y() {
+    container.classList.toggle('a11y-high-contrast', a11y.highContrast);
+    container.classList.toggle('a11y-reduced-motion', a11y.reducedMotion);
+    announcer.enabled = a11y.announcements;
+    if (!a11y.announcements) announcer.clear();
+    renderer.configure(a11y);
+    if (rivalRenderer) rivalRenderer.configure(a11y);
+    render();
+  }
+
+  a11yInputs.forEach(checkbox => {
+    checkbox.checked = a11y[checkbox.dataset.a11ySetting];
+    checkbox.addEventListener('change', () => {
+      audioManager.playButtonSound();
+      a11y = Object.assign({}, a11y, { [checkbox.dataset.a11ySetting]: checkbox.checked });
+      AvoidGameA11y.saveSettings(a11y, storage);
+      applyA11y();
+      // Assist runs keep their own high scores; show that table when idle
+      if (checkbox.dataset.a11ySetting === 'assist' && gameState === 'idle') {
+        highScores = highScoresFor(currentLevel);
+        resetIdleBoard();
+      }
+    });
+  });
+
+  // Telemetry opt-in (saved by AvoidGameTelemetry)
+  if (telemetry) {
+    telemetryToggle.checked = telemetry.enabled;
+    telemetryToggle.addEventListener('change', () => {
+      audioManager.playButtonSound();
+      telemetry.setEnabled(telemetryToggle.checked);
+    });
+  }
+
+  // Audio settings (saved by the AudioManager)
+  muteToggle.checked = audioManager.settings.muted;
+  musicVolumeInput.value = Math.round(audioManager.settings.musicVolume * 100);
+  sfxVolumeInput.value = Math.round(audioManager.settings.sfxVolume * 100);
+  muteToggle.addEventListener('change', () => {
+    audioManager.updateSettings({ muted: muteToggle.checked });
+  });
+  musicVolumeInput.addEventListener('input', () => {
+    audioManager.updateSettings({ musicVolume: musicVolumeInput.value / 100 });
+  });
+  sfxVolumeInput.addEventListener('input', () => {
+    audioManager.updateSettings({ sfxVolume: sfxVolumeInput.value / 100 });
+  });
+  // Preview the new SFX level once the slider is released
+  sfxVolumeInput.addEventListener('change', () => audioManager.playButtonSound());
+
+  rendererSelect.addEventListener('change', () => {
+    audioManager.playButtonSound();
+    setRenderer(rendererSelect.value);
+  });
+
+  livesToggle.checked = livesMode;
+  livesToggle.addEventListener('change', () => {
+    audioManager.playButtonSound();
+    livesMode = livesToggle.checked;
+    storage.setItem(LIVES_MODE_KEY, String(livesMode));
+    highScores = highScoresFor(currentLevel);
+    resetIdleBoard();
+  });
+
+  modeSelect.addEventListener('change', () => {
+    audioManager.playButtonSound();
+    playMode = modeSelect.value === 'versus' ? 'versus' : 'solo';
+    storage.setItem(PLAY_MODE_KEY, playMode);
+    resetIdleBoard();
+    setVersusLayout(playMode === 'versus');
+  });
+
+  levelSelect.addEventListener('change', () => {
+    audioManager.playButtonSound();
+    const preset = AvoidGameLevels.getPreset(levelSelect.value);
+    const level = preset || customLevel;
+    if (level) {
+      setLevel(level);
     }
   });
 
+  loadLevelBtn.addEventListener('click', () => {
+    audioManager.playButtonSound();
+    levelFileInput.click();
+  });
+
+  levelFileInput.addEventListener('change', () => {
+    const file = levelFileInput.files[0];
+    levelFileInput.value = '';
+    if (!file) return;
+
+    AvoidGameLevels.loadLevelFromFile(file)
+      .then(setLevel)
+      .catch(showLevelError);
+  });
+
+  // Keep the logical board in step with the element's real size
+  if (typeof ResizeObserver !== 'undefined') {
+    const observer = new ResizeObserver(handleBoardResize);
+    observer.observe(gameBoard);
+    cleanups.push(() => observer.disconnect());
+  } else {
+    listen(window, 'resize', handleBoardResize);
+  }
+  listen(window, 'orientationchange', handleBoardResize);
+  // Zoom / moving to another screen changes devicePixelRatio but not the box size
+  listen(window, 'resize', () => renderer.resize(board.scale));
+
+  // ==========================================
+  // OPTIONS
+  // ==========================================
+
+  // 'dark' adds a theme class; an object overrides the CSS variables
+  if (typeof settings.theme === 'string') {
+    container.classList.add(`theme-${settings.theme}`);
+  } else if (settings.theme) {
+    Object.keys(settings.theme).forEach(name => {
+      container.style.setProperty(`--${name}`, settings.theme[name]);
+    });
+  }
+  audioSettingsPanel.hidden = settings.sound === false;
+  achievementsPanel.hidden = !settings.achievements;
+  telemetrySettings.hidden = !telemetry;
+
   // Initialize
-  initCharacter();
+  applyA11y();
+  rendererSelect.value = AvoidGameRenderers.preferredRenderer(window.location.search, storage);
+  modeSelect.value = playMode;
+  setVersusLayout(playMode === 'versus');
+  render();
   updateUI();
+  renderAchievements();
+  showStartOverlay();
 
-  // Show initial overlay
-  overlayTitle.textContent = '🐕 Avoid the Finals Stress';
-  overlayMessage.innerHTML = `
-    <p><strong>Get Ready!</strong></p>
-    <p style="font-size: 0.95rem; margin-top: 12px;">Use <strong>← →</strong> or click left/right to move your bulldog.</p>
-    <p style="font-size: 0.9rem; margin-top: 8px; opacity: 0.8;">Survive 44 seconds to become a CHAMPION! 🏆</p>
-  `;
-  startBtn.classList.remove('hidden');
-  restartBtn.classList.add('hidden');
-  overlay.classList.remove('hidden');
-});
+  // Starting level: the option, then ?level=easy, ?level=<url of a level JSON>
+  // or ?levelData=<encoded level> (editor share links)
+  if (settings.level) {
+    try {
+      const level = typeof settings.level === 'string'
+        ? AvoidGameLevels.getPreset(settings.level)
+        : AvoidGameLevels.validateLevel(settings.level);
+      if (!level) throw new Error(`Unknown level "${settings.level}"`);
+      setLevel(level);
+    } catch (error) {
+      showLevelError(error);
+    }
+  }
+  if (settings.levelFromQuery) {
+    AvoidGameLevels.loadLevelFromQuery()
+      .then(level => {
+        if (level && !destroyed) {
+          setLevel(level);
+        }
+      })
+      .catch(showLevelError);
+  }
+
+  /**
+   * Stop the run and remove every listener, timer, sound and element
+   */
+  function destroy() {
+    if (destroyed) return;
+    destroyed = true;
+    stopLoop();
+    gameState = 'idle';
+    timers.forEach(clearTimeout);
+    timers.clear();
+    cleanups.forEach(cleanup => cleanup());
+    cleanups.length = 0;
+    input.destroy();
+    if (touch) touch.destroy();
+    renderer.destroy();
+    if (rivalRenderer) rivalRenderer.destroy();
+    announcer.clear();
+    audioManager.destroy();
+    Object.keys(subscribers).forEach(type => {
+      subscribers[type] = [];
+    });
+    container.innerHTML = '';
+    container.classList.remove('avoid-game', 'a11y-high-contrast', 'a11y-reduced-motion');
+    if (typeof settings.theme === 'string') {
+      container.classList.remove(`theme-${settings.theme}`);
+    } else if (settings.theme) {
+      Object.keys(settings.theme).forEach(name => container.style.removeProperty(`--${name}`));
+    }
+  }
+
+  // Calls after destroy() are ignored
+  const unlessDestroyed = action => (...args) => (destroyed ? undefined : action(...args));
+
+  return {
+    container,
+    start: unlessDestroyed(() => startGame()),
+    pause: unlessDestroyed(pauseGame),
+    resume: unlessDestroyed(resumeGame),
+    destroy,
+    onScore: callback => subscribe('score', callback),
+    onGameOver: callback => subscribe('gameOver', callback),
+    onVictory: callback => subscribe('victory', callback),
+    get state() {
+      return gameState;
+    },
+  };
+}
+
+// game.html: mount into [data-avoid-game] (page-wide keys, ?level= / ?levelData= apply).
+// With script.js this goes through its page initializers, so the site router
+// mounts the game when it swaps game.html in and destroys it on the way out
+function mountPageGames(scope) {
+  const games = Array.from(scope.querySelectorAll('[data-avoid-game]'))
+    .map(element => mountAvoidGame(element, { keyboardScope: 'document', levelFromQuery: true }));
+  return () => games.forEach(game => game.destroy());
+}
+
+if (typeof onPageReady === 'function') {
+  onPageReady(mountPageGames);
+} else {
+  document.addEventListener('DOMContentLoaded', () => mountPageGames(document));
+}
+
+window.AvoidGame = { mount: mountAvoidGame, AudioManager };
@@ -0,0 +1,149 @@
+// ====================================
+// LOCAL CONTACT SERVER
+// Stub endpoint for the contact form in script.js - plain Node, no dependencies.
+//
+//   node contact-server.js [port] [messages.json] [--flaky]
+//
+// Then open index.html?contact=http://localhost:8788/contact
+//   POST /contact   store a message (same limits as the form)
+//   GET  /contact   every message received so far
+// --flaky answers every other POST with 503, to watch the offline queue retry.
+// ====================================
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+const args = process.argv.slice(2).filter(arg => arg !== '--flaky');
+const FLAKY = process.argv.includes('--flaky');
+const PORT = Number(args[0]) || 8788;
+const STORE_FILE = args[1] ? path.resolve(args[1]) : null;
+const MAX_BODY_BYTES = 16 * 1024;
+
+let messages = [];
+let postCount = 0;
+
+function loadStore() {
+  if (!STORE_FILE || !fs.existsSync(STORE_FILE)) return;
+  try {
+    const data = JSON.parse(fs.readFileSync(STORE_FILE, 'utf8'));
+    messages = Array.isArray(data) ? data : [];
+  } catch (error) {
+    console.warn('Could not read message store, starting empty:', error.message);
+  }
+}
+
+function saveStore() {
+  if (!STORE_FILE) return;
+  fs.writeFile(STORE_FILE, JSON.stringify(messages, null, 2), error => {
+    if (error) console.warn('Could not write message store:', error.message);
+  });
+}
+
+// The site is usually opened from another origin (file:// or a dev server)
+const CORS_HEADERS = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+  'Access-Control-Allow-Headers': 'Content-Type',
+};
+
+function sendJSON(res, status, body) {
+  res.writeHead(status, Object.assign({ 'Content-Type': 'application/json' }, CORS_HEADERS));
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * Request body as text. A message is at most a few KB, so past `maxBytes`
+ * this rejects with a 413 and drains the rest unread - the form still gets
+ * its error response instead of a reset connection.
+ * Same helper as in leaderboard-server.js; keep the two in step.
+ */
+function readBody(req, maxBytes) {
+  return new Promise((resolve, reject) => {
+    let size = 0;
+    let chunks = [];
+    req.on('data', chunk => {
+      if (!chunks) return;
+      size += chunk.length;
+      if (size > maxBytes) {
+        chunks = null;
+        const error = new Error('Request body too large');
+        error.status = 413;
+        reject(error);
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => {
+      if (chunks) resolve(Buffer.concat(chunks).toString('utf8'));
+    });
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Server-side copy of the form's limits (never trust the browser)
+ */
+function validateMessage(data) {
+  if (!data || typeof data !== 'object') throw new Error('Body must be a JSON object');
+  const text = key => (typeof data[key] === 'string' ? data[key].trim() : '');
+  const fullName = text('fullName');
+  const mobile = text('mobile');
+  const email = text('email');
+  const message = text('message');
+
+  if (fullName.length < 2 || fullName.length > 80) throw new Error('fullName must be 2-80 characters');
+  if (!/^\+?\d{7,15}$/.test(mobile.replace(/[\s().-]/g, ''))) throw new Error('mobile must be a phone number of 7-15 digits');
+  if (email.length > 254 || !/^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/.test(email)) throw new Error('email is not a valid address');
+  if (message.length > 2000) throw new Error('message must be at most 2000 characters');
+
+  return { fullName, mobile, email, message, page: text('page'), sentAt: text('sentAt'), receivedAt: new Date().toISOString() };
+}
+
+function handleSubmit(req, res) {
+  postCount++;
+  if (FLAKY && postCount % 2 === 1) {
+    console.log('~ flaky: answering 503');
+    sendJSON(res, 503, { error: 'Temporarily unavailable (flaky mode)' });
+    return;
+  }
+
+  readBody(req, MAX_BODY_BYTES)
+    .then(text => {
+      let data;
+      try {
+        data = JSON.parse(text);
+      } catch (error) {
+        throw new Error('Body must be JSON');
+      }
+      const entry = validateMessage(data);
+      messages.push(entry);
+      saveStore();
+      console.log(`+ ${entry.fullName} <${entry.email}>: ${entry.message.slice(0, 60)}`);
+      sendJSON(res, 201, { received: true });
+    })
+    .catch(error => {
+      console.log(`x rejected: ${error.message}`);
+      sendJSON(res, error.status || 400, { error: error.message });
+    });
+}
+
+const server = http.createServer((req, res) => {
+  const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+
+  if (req.method === 'OPTIONS') {
+    res.writeHead(204, CORS_HEADERS);
+    res.end();
+  } else if (url.pathname === '/contact' && req.method === 'POST') {
+    handleSubmit(req, res);
+  } else if (url.pathname === '/contact' && req.method === 'GET') {
+    sendJSON(res, 200, { messages });
+  } else {
+    sendJSON(res, 404, { error: 'Not found' });
+  }
+});
+
+loadStore();
+server.listen(PORT, () => {
+  console.log(`Contact server on http://localhost:${PORT}/contact${FLAKY ? ' (flaky)' : ''}`);
+});
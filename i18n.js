@@ -0,0 +1,353 @@
+// ====================================
+// SITE I18N
+// English / Vietnamese text for the whole site. Elements name their text
+// with data-i18n="key" (textContent) or data-i18n-placeholder,
+// data-i18n-aria-label and data-i18n-title (attributes); apply() fills them
+// from the dictionary of the current language. Scripts that build text
+// themselves call t(key, params) and listen with onChange().
+//
+// Language: saved choice (localStorage), else the first of
+// navigator.languages we have, else English. Keys missing from a
+// dictionary fall back to English. Other scripts add their own strings
+// with register() (avoid-game.js does this for the game overlay).
+// Works as a browser <script> (window.SiteI18n) or a Node module.
+// Load it before script.js.
+// ====================================
+
+(function (root) {
+  const LANGUAGE_KEY = 'site.language';
+  const DEFAULT_LANGUAGE = 'en';
+  // Names are shown in their own language in the switcher
+  const LANGUAGES = { en: 'English', vi: 'Tiếng Việt' };
+  const ATTRIBUTES = ['placeholder', 'aria-label', 'title'];
+
+  const DICTIONARIES = {
+    en: {
+      // Header
+      'nav.home': 'HOME',
+      'nav.hobbies': 'HOBBIES',
+      'nav.discover': 'DISCOVER',
+      'nav.resume': 'RESUME',
+      'nav.career': 'CAREER',
+      'nav.game': 'GAME',
+      'header.toggleNav': 'Toggle navigation',
+      'header.language': 'Language',
+      'header.chat': "LET'S CHAT",
+      'toc.label': 'On this page',
+
+      // Contact section
+      'contact.title': 'Connect With Me',
+      'contact.subtitle': 'Have a question? Feel free to reach out!',
+      'contact.fullName': 'Full Name',
+      'contact.fullNamePlaceholder': 'Enter your full name',
+      'contact.mobile': 'Mobile',
+      'contact.mobilePlaceholder': 'Enter your mobile number',
+      'contact.email': 'Email',
+      'contact.emailPlaceholder': 'Enter your email address',
+      'contact.message': 'Message',
+      'contact.messagePlaceholder': 'What would you like to ask?',
+      'contact.submit': 'Send Message',
+      'contact.social': 'Or connect with me on social media',
+
+      // Contact form feedback (script.js)
+      'contact.field.fullName': 'name',
+      'contact.field.mobile': 'mobile number',
+      'contact.field.email': 'email address',
+      'contact.field.message': 'message',
+      'contact.error.required': 'Please enter your {field}.',
+      'contact.error.min': 'Your {field} must be at least {min} characters.',
+      'contact.error.max': 'Your {field} must be {max} characters or fewer (now {length}).',
+      'contact.error.name': 'Your name can only use letters, spaces, hyphens, apostrophes and periods.',
+      'contact.error.mobile': 'Enter a valid phone number: 7-15 digits, with + and the country code if outside the US.',
+      'contact.error.email': 'Enter a valid email address, like name@example.com.',
+      'contact.error.network': 'Could not reach the server.',
+      'contact.error.status': 'The server answered {status}.',
+      'contact.status.fixOne': 'Please fix the highlighted field.',
+      'contact.status.fixMany': 'Please fix the {count} highlighted fields.',
+      'contact.status.sending': 'Sending…',
+      'contact.status.sent': 'Thanks! Your message was sent.',
+      'contact.status.mailto': 'Your email app should open with the message ready - just press send there.',
+      'contact.status.offline': "You're offline - your message is saved and will be sent when you're back online.",
+      'contact.status.queued': '{error} Your message is saved and will be sent automatically.',
+      'contact.status.failed': 'Sorry, your message could not be sent: {error}',
+      'contact.status.queuedSent': 'Your saved message has now been sent. Thanks!',
+
+      'footer.copyright': '© 2025 Nancy Luong. All rights reserved.',
+
+      // Page headings
+      'home.title': 'Undergraduate Accounting\u00a0Student',
+      'hobbies.title': 'My Hobbies & Achievements',
+      'hobbies.haveFun': 'Have fun',
+      'hobbies.travel': 'Travel Adventures',
+      'hobbies.cleanups': 'Environmental Clean-ups',
+      'hobbies.motorbike': 'Motorbike Adventures',
+      'hobbies.stem': 'First STEM Achievements',
+      'hobbies.magnetic': 'Magnetic vehicle project',
+      'hobbies.finalStem': 'My final STEM project',
+      'hobbies.contests': 'Second Place in city-level contests',
+      'hobbies.thanks': 'Thank you for reading all',
+      'discover.title': 'Discover me',
+      'discover.heading': 'Discover UMD & Duluth',
+      'discover.whyUmd': 'Why UMD?',
+      'discover.duluth': 'Duluth: A Perfect College Town',
+      'discover.video': 'UMD Marketing Video',
+      'discover.highlights': 'Campus Highlights',
+      'discover.academic': 'Academic Excellence',
+      'discover.studentLife': 'Student Life',
+      'discover.community': 'Campus Community',
+      'discover.location': 'Location Benefits',
+      'resume.title': 'Resume',
+      'resume.haveLook': 'Have a look',
+      'career.title': 'Career',
+      'career.heading': 'Career Interests',
+      'career.whyDeloitte': 'Why Deloitte?',
+      'career.whyPwc': 'Why PwC?',
+      'game.title': 'STAY AWAY FROM STRESS',
+      'game.howToPlay': 'How to Play',
+      'game.controls': 'Controls',
+      'game.versus': 'Versus',
+      'game.accessibility': 'Accessibility',
+      'game.survival': 'Survival Challenge',
+      'game.difficulty': 'Progressive Difficulty',
+      'game.scoring': 'Scoring System',
+      'game.icons': 'Stress Icons',
+      'game.powerUps': 'Power-ups',
+      'game.makeLevel': 'Make Your Own Level',
+      'game.victoryAnimation': 'Victory Animation',
+      'editor.title': 'LEVEL EDITOR',
+      'editor.preview': 'Preview',
+      'report.title': 'BALANCING REPORT',
+      'report.whenRunsEnd': 'When runs end',
+      'report.whatEndsThem': 'What ends them',
+      'report.data': 'Data',
+    },
+
+    vi: {
+      'nav.home': 'TRANG CHỦ',
+      'nav.hobbies': 'SỞ THÍCH',
+      'nav.discover': 'KHÁM PHÁ',
+      'nav.resume': 'HỒ SƠ',
+      'nav.career': 'SỰ NGHIỆP',
+      'nav.game': 'TRÒ CHƠI',
+      'header.toggleNav': 'Mở/đóng menu',
+      'header.language': 'Ngôn ngữ',
+      'header.chat': 'TRÒ CHUYỆN NHÉ',
+      'toc.label': 'Trên trang này',
+
+      'contact.title': 'Kết nối với tôi',
+      'contact.subtitle': 'Bạn có câu hỏi? Đừng ngại liên hệ nhé!',
+      'contact.fullName': 'Họ và tên',
+      'contact.fullNamePlaceholder': 'Nhập họ và tên của bạn',
+      'contact.mobile': 'Số điện thoại',
+      'contact.mobilePlaceholder': 'Nhập số điện thoại của bạn',
+      'contact.email': 'Email',
+      'contact.emailPlaceholder': 'Nhập địa chỉ email của bạn',
+      'contact.message': 'Lời nhắn',
+      'contact.messagePlaceholder': 'Bạn muốn hỏi điều gì?',
+      'contact.submit': 'Gửi tin nhắn',
+      'contact.social': 'Hoặc kết nối với tôi qua mạng xã hội',
+
+      'contact.field.fullName': 'họ tên',
+      'contact.field.mobile': 'số điện thoại',
+      'contact.field.email': 'địa chỉ email',
+      'contact.field.message': 'lời nhắn',
+      'contact.error.required': 'Vui lòng nhập {field}.',
+      'contact.error.min': 'Phần {field} cần ít nhất {min} ký tự.',
+      'contact.error.max': 'Phần {field} tối đa {max} ký tự (hiện có {length}).',
+      'contact.error.name': 'Họ tên chỉ được dùng chữ cái, khoảng trắng, dấu gạch nối, dấu nháy đơn và dấu chấm.',
+      'contact.error.mobile': 'Nhập số điện thoại hợp lệ: 7-15 chữ số, thêm + và mã quốc gia nếu ở ngoài Hoa Kỳ.',
+      'contact.error.email': 'Nhập địa chỉ email hợp lệ, ví dụ name@example.com.',
+      'contact.error.network': 'Không kết nối được với máy chủ.',
+      'contact.error.status': 'Máy chủ trả về mã {status}.',
+      'contact.status.fixOne': 'Vui lòng sửa ô được đánh dấu.',
+      'contact.status.fixMany': 'Vui lòng sửa {count} ô được đánh dấu.',
+      'contact.status.sending': 'Đang gửi…',
+      'contact.status.sent': 'Cảm ơn bạn! Tin nhắn đã được gửi.',
+      'contact.status.mailto': 'Ứng dụng email của bạn sẽ mở với tin nhắn soạn sẵn - chỉ cần bấm gửi.',
+      'contact.status.offline': 'Bạn đang ngoại tuyến - tin nhắn đã được lưu và sẽ tự gửi khi có mạng trở lại.',
+      'contact.status.queued': '{error} Tin nhắn đã được lưu và sẽ tự động gửi lại.',
+      'contact.status.failed': 'Rất tiếc, không gửi được tin nhắn: {error}',
+      'contact.status.queuedSent': 'Tin nhắn đã lưu của bạn vừa được gửi. Cảm ơn bạn!',
+
+      'footer.copyright': '© 2025 Nancy Luong. Bảo lưu mọi quyền.',
+
+      'home.title': 'Sinh viên ngành Kế\u00a0toán',
+      'hobbies.title': 'Sở thích & Thành tích của tôi',
+      'hobbies.haveFun': 'Cùng vui nhé',
+      'hobbies.travel': 'Những chuyến du lịch',
+      'hobbies.cleanups': 'Dọn dẹp môi trường',
+      'hobbies.motorbike': 'Phượt bằng xe máy',
+      'hobbies.stem': 'Những thành tích STEM đầu tiên',
+      'hobbies.magnetic': 'Dự án xe chạy bằng nam châm',
+      'hobbies.finalStem': 'Dự án STEM cuối cùng của tôi',
+      'hobbies.contests': 'Giải Nhì các cuộc thi cấp thành phố',
+      'hobbies.thanks': 'Cảm ơn bạn đã đọc hết',
+      'discover.title': 'Khám phá về tôi',
+      'discover.heading': 'Khám phá UMD & Duluth',
+      'discover.whyUmd': 'Vì sao chọn UMD?',
+      'discover.duluth': 'Duluth: Thành phố đại học lý tưởng',
+      'discover.video': 'Video giới thiệu UMD',
+      'discover.highlights': 'Điểm nổi bật của trường',
+      'discover.academic': 'Chất lượng học thuật',
+      'discover.studentLife': 'Đời sống sinh viên',
+      'discover.community': 'Cộng đồng trong trường',
+      'discover.location': 'Lợi thế về vị trí',
+      'resume.title': 'Hồ sơ',
+      'resume.haveLook': 'Mời bạn xem qua',
+      'career.title': 'Sự nghiệp',
+      'career.heading': 'Định hướng nghề nghiệp',
+      'career.whyDeloitte': 'Vì sao chọn Deloitte?',
+      'career.whyPwc': 'Vì sao chọn PwC?',
+      'game.title': 'TRÁNH XA CĂNG THẲNG',
+      'game.howToPlay': 'Cách chơi',
+      'game.controls': 'Điều khiển',
+      'game.versus': 'Đối kháng',
+      'game.accessibility': 'Trợ năng',
+      'game.survival': 'Thử thách sinh tồn',
+      'game.difficulty': 'Độ khó tăng dần',
+      'game.scoring': 'Cách tính điểm',
+      'game.icons': 'Biểu tượng căng thẳng',
+      'game.powerUps': 'Vật phẩm hỗ trợ',
+      'game.makeLevel': 'Tự tạo màn chơi',
+      'game.victoryAnimation': 'Hiệu ứng chiến thắng',
+      'editor.title': 'TRÌNH TẠO MÀN CHƠI',
+      'editor.preview': 'Xem trước',
+      'report.title': 'BÁO CÁO CÂN BẰNG',
+      'report.whenRunsEnd': 'Lượt chơi kết thúc khi nào',
+      'report.whatEndsThem': 'Điều gì kết thúc lượt chơi',
+      'report.data': 'Dữ liệu',
+    },
+  };
+
+  let current = DEFAULT_LANGUAGE;
+  let listeners = [];
+
+  /**
+   * Add strings: { en: { key: text }, vi: { ... } } (later keys win)
+   */
+  function register(dictionaries) {
+    Object.keys(dictionaries).forEach(language => {
+      DICTIONARIES[language] = Object.assign(DICTIONARIES[language] || {}, dictionaries[language]);
+    });
+  }
+
+  // Text for a key in the current language, then English; undefined if unknown
+  function lookup(key) {
+    const own = DICTIONARIES[current] && DICTIONARIES[current][key];
+    return own !== undefined ? own : DICTIONARIES[DEFAULT_LANGUAGE][key];
+  }
+
+  /**
+   * Translate a key, filling {name} placeholders from `params`
+   * (unknown keys come back as the key itself, so gaps are visible)
+   */
+  function t(key, params = {}) {
+    const text = lookup(key);
+    if (text === undefined) return key;
+    return text.replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match));
+  }
+
+  /**
+   * Language to start with: saved choice, then the browser's list, then English
+   */
+  function detectLanguage(storage = root.localStorage, languages = root.navigator && root.navigator.languages) {
+    try {
+      const saved = storage && storage.getItem(LANGUAGE_KEY);
+      if (saved && LANGUAGES[saved]) return saved;
+    } catch (error) {
+      console.warn('Saved language unreadable:', error);
+    }
+    // 'vi-VN' -> 'vi'
+    const preferred = (languages || [])
+      .map(tag => String(tag).toLowerCase().split('-')[0])
+      .find(language => LANGUAGES[language]);
+    return preferred || DEFAULT_LANGUAGE;
+  }
+
+  /**
+   * Fill every data-i18n* element inside `scope` from the current language.
+   * Elements whose key is unknown keep the text they were written with
+   */
+  function apply(scope = root.document) {
+    if (!scope) return;
+    scope.querySelectorAll('[data-i18n]').forEach(element => {
+      const text = lookup(element.dataset.i18n);
+      if (text !== undefined) element.textContent = text;
+    });
+    ATTRIBUTES.forEach(attribute => {
+      const dataName = `data-i18n-${attribute}`;
+      scope.querySelectorAll(`[${dataName}]`).forEach(element => {
+        const text = lookup(element.getAttribute(dataName));
+        if (text !== undefined) element.setAttribute(attribute, text);
+      });
+    });
+  }
+
+  /**
+   * Switch language: <html lang>, every data-i18n element, then listeners
+   * @param {string} language - a key of LANGUAGES
+   * @param {{save?: boolean}} [options] - save: false does not remember the choice
+   */
+  function setLanguage(language, options = {}) {
+    if (!LANGUAGES[language]) {
+      console.warn(`Unsupported language "${language}", keeping ${current}`);
+      return;
+    }
+    current = language;
+    if (options.save !== false) {
+      try {
+        root.localStorage.setItem(LANGUAGE_KEY, language);
+      } catch (error) {
+        console.warn('Failed to save language:', error);
+      }
+    }
+    if (root.document) {
+      root.document.documentElement.lang = language;
+      apply(root.document);
+    }
+    listeners.slice().forEach(callback => {
+      try {
+        callback(language);
+      } catch (error) {
+        console.warn('Language listener failed:', error);
+      }
+    });
+  }
+
+  /**
+   * Call `callback(language)` after every switch; returns an unsubscribe function
+   */
+  function onChange(callback) {
+    listeners.push(callback);
+    return () => {
+      listeners = listeners.filter(other => other !== callback);
+    };
+  }
+
+  // Pick the language as soon as the script loads; the page text follows
+  // when script.js (or a page script) calls apply()
+  if (root.document) {
+    current = detectLanguage();
+    root.document.documentElement.lang = current;
+  }
+
+  const SiteI18n = {
+    LANGUAGE_KEY,
+    LANGUAGES,
+    register,
+    t,
+    apply,
+    detectLanguage,
+    setLanguage,
+    onChange,
+    get language() {
+      return current;
+    },
+  };
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SiteI18n;
+  } else {
+    root.SiteI18n = SiteI18n;
+  }
+})(typeof window !== 'undefined' ? window : globalThis);
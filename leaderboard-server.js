@@ -0,0 +1,162 @@
+// ====================================
+// LOCAL LEADERBOARD SERVER
+// Stand-in for the shared team leaderboard - plain Node, no dependencies.
+//
+//   node leaderboard-server.js [port] [scores.json]
+//
+// Then open game.html?leaderboard=http://localhost:8787
+//   POST /scores            submit a run with its replay (validated + re-simulated)
+//   GET  /scores?limit=20&level=normal   top scores of one preset
+//   POST /telemetry         a batch of opt-in run telemetry (kept in memory)
+//   GET  /telemetry         every batch so far, as a telemetry export
+//                           (set the endpoint on telemetry-report.html)
+// ====================================
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const { validateSubmission, isRanked, compareEntries, TOP_LIMIT } = require('./avoid-game-leaderboard.js');
+const { DEFAULT_LEVEL_ID } = require('./avoid-game-levels.js');
+const { parseExport, exportRuns, BATCH_SIZE } = require('./avoid-game-telemetry.js');
+
+const PORT = Number(process.argv[2]) || 8787;
+const STORE_FILE = process.argv[3] ? path.resolve(process.argv[3]) : null;
+const MAX_BODY_BYTES = 1024 * 1024; // a full 44s replay is well under this
+
+const MAX_TELEMETRY_RUNS = 10000;
+
+let entries = [];
+let telemetryRuns = [];
+
+/**
+ * Load saved scores when a store file was given
+ */
+function loadStore() {
+  if (!STORE_FILE || !fs.existsSync(STORE_FILE)) return;
+  try {
+    const data = JSON.parse(fs.readFileSync(STORE_FILE, 'utf8'));
+    entries = Array.isArray(data) ? data : [];
+  } catch (error) {
+    console.warn('Could not read score store, starting empty:', error.message);
+  }
+}
+
+function saveStore() {
+  if (!STORE_FILE) return;
+  fs.writeFile(STORE_FILE, JSON.stringify(entries, null, 2), error => {
+    if (error) console.warn('Could not write score store:', error.message);
+  });
+}
+
+// game.html is usually opened from another origin (file:// or a dev server)
+const CORS_HEADERS = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+  'Access-Control-Allow-Headers': 'Content-Type',
+};
+
+function sendJSON(res, status, body) {
+  res.writeHead(status, Object.assign({ 'Content-Type': 'application/json' }, CORS_HEADERS));
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * Request body as text. Past `maxBytes` (a replay or telemetry batch far
+ * bigger than any real one) this rejects with a 413 and drains the rest
+ * unread, so the client gets the error instead of a reset connection.
+ * Same helper as in contact-server.js; keep the two in step.
+ */
+function readBody(req, maxBytes) {
+  return new Promise((resolve, reject) => {
+    let size = 0;
+    let chunks = [];
+    req.on('data', chunk => {
+      if (!chunks) return;
+      size += chunk.length;
+      if (size > maxBytes) {
+        chunks = null;
+        const error = new Error('Request body too large');
+        error.status = 413;
+        reject(error);
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => {
+      if (chunks) resolve(Buffer.concat(chunks).toString('utf8'));
+    });
+    req.on('error', reject);
+  });
+}
+
+function handleSubmit(req, res) {
+  readBody(req, MAX_BODY_BYTES)
+    .then(text => {
+      let submission;
+      try {
+        submission = JSON.parse(text);
+      } catch (error) {
+        throw new Error('Body must be JSON');
+      }
+
+      const entry = validateSubmission(submission);
+      if (entries.some(existing => existing.inputHash === entry.inputHash)) {
+        throw new Error('This run was already submitted');
+      }
+
+      entries.push(entry);
+      entries.sort(compareEntries);
+      saveStore();
+      console.log(`+ ${entry.name} ${entry.score} (${entry.timeSurvived}s, ${entry.result})`);
+      sendJSON(res, 201, { entry });
+    })
+    .catch(error => {
+      console.log(`x rejected: ${error.message}`);
+      sendJSON(res, error.status || 400, { error: error.message });
+    });
+}
+
+function handleTelemetry(req, res) {
+  readBody(req, MAX_BODY_BYTES)
+    .then(text => {
+      const runs = parseExport(text);
+      if (runs.length > BATCH_SIZE) {
+        throw new Error(`At most ${BATCH_SIZE} runs per batch`);
+      }
+      telemetryRuns = telemetryRuns.concat(runs).slice(-MAX_TELEMETRY_RUNS);
+      console.log(`+ telemetry: ${runs.length} run(s), ${telemetryRuns.length} total`);
+      sendJSON(res, 201, { received: runs.length });
+    })
+    .catch(error => {
+      console.log(`x telemetry rejected: ${error.message}`);
+      sendJSON(res, error.status || 400, { error: error.message });
+    });
+}
+
+const server = http.createServer((req, res) => {
+  const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+
+  if (req.method === 'OPTIONS') {
+    res.writeHead(204, CORS_HEADERS);
+    res.end();
+  } else if (url.pathname === '/scores' && req.method === 'POST') {
+    handleSubmit(req, res);
+  } else if (url.pathname === '/scores' && req.method === 'GET') {
+    const limit = Math.min(Math.max(parseInt(url.searchParams.get('limit'), 10) || TOP_LIMIT, 1), 100);
+    const level = url.searchParams.get('level') || DEFAULT_LEVEL_ID;
+    const levelEntries = entries.filter(entry => isRanked(entry, level));
+    sendJSON(res, 200, { entries: levelEntries.slice(0, limit) });
+  } else if (url.pathname === '/telemetry' && req.method === 'POST') {
+    handleTelemetry(req, res);
+  } else if (url.pathname === '/telemetry' && req.method === 'GET') {
+    res.writeHead(200, Object.assign({ 'Content-Type': 'application/json' }, CORS_HEADERS));
+    res.end(exportRuns(telemetryRuns));
+  } else {
+    sendJSON(res, 404, { error: 'Not found' });
+  }
+});
+
+loadStore();
+server.listen(PORT, () => {
+  console.log(`Leaderboard server on http://localhost:${PORT}`);
+});
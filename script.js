@@ -1,3 +1,217 @@
+/* Shared page regions */
+// The header, contact section and footer of every page, rendered from SITE
+// into <div data-site-header>, <div data-site-contact> and <div data-site-footer>.
+// Runs before everything below so the nav toggle, smooth scrolling and the
+// contact form find the generated markup. Edit SITE, not the HTML pages;
+// the words themselves are i18n.js keys, so they follow the language switch.
+const SITE = {
+  title: 'NANCY',
+  logo: 'logo.png',
+  home: 'index.html',
+  // `also`: other pages that belong under the same nav item
+  nav: [
+    { key: 'nav.home', href: 'index.html' },
+    { key: 'nav.hobbies', href: 'hobbies.html' },
+    { key: 'nav.discover', href: 'discover.html' },
+    { key: 'nav.resume', href: 'resume.html' },
+    { key: 'nav.career', href: 'career.html' },
+    { key: 'nav.game', href: 'game.html', also: ['level-editor.html', 'telemetry-report.html'] },
+  ],
+  contactEndpoint: '', // JSON endpoint for the form; empty = mailto (see Contact form)
+  social: [
+    {
+      label: 'LinkedIn Profile',
+      href: 'https://www.linkedin.com/in/nancy-luong-075a69362/',
+      icon: 'M19 3a2 2 0 0 1 2 2v14a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2V5a2 2 0 0 1 2-2h14m-.5 15.5v-5.3a3.26 3.26 0 0 0-3.26-3.26c-.85 0-1.84.52-2.32 1.3v-1.11h-2.79v8.37h2.79v-4.93c0-.77.62-1.4 1.39-1.4a1.4 1.4 0 0 1 1.4 1.4v4.93h2.79M6.88 8.56a1.68 1.68 0 0 0 1.68-1.68c0-.93-.75-1.69-1.68-1.69a1.69 1.69 0 0 0-1.69 1.69c0 .93.76 1.68 1.69 1.68m1.39 9.94v-8.37H5.5v8.37h2.77z',
+    },
+    {
+      label: 'Facebook Profile',
+      href: 'https://www.facebook.com/bich.thao.814271/',
+      icon: 'M12 2.04C6.5 2.04 2 6.53 2 12.06C2 17.06 5.66 21.21 10.44 21.96V14.96H7.9V12.06H10.44V9.85C10.44 7.34 11.93 5.96 14.22 5.96C15.31 5.96 16.45 6.15 16.45 6.15V8.62H15.19C13.95 8.62 13.56 9.39 13.56 10.18V12.06H16.34L15.89 14.96H13.56V21.96A10 10 0 0 0 22 12.06C22 6.53 17.5 2.04 12 2.04Z',
+    },
+    {
+      label: 'Instagram Profile',
+      href: 'https://www.instagram.com/nancyluonggg/',
+      icon: 'M7.8 2h8.4C19.4 2 22 4.6 22 7.8v8.4a5.8 5.8 0 0 1-5.8 5.8H7.8C4.6 22 2 19.4 2 16.2V7.8A5.8 5.8 0 0 1 7.8 2m-.2 2A3.6 3.6 0 0 0 4 7.6v8.8C4 18.39 5.61 20 7.6 20h8.8a3.6 3.6 0 0 0 3.6-3.6V7.6C20 5.61 18.39 4 16.4 4H7.6m9.65 1.5a1.25 1.25 0 0 1 1.25 1.25A1.25 1.25 0 0 1 17.25 8 1.25 1.25 0 0 1 16 6.75a1.25 1.25 0 0 1 1.25-1.25M12 7a5 5 0 0 1 5 5 5 5 0 0 1-5 5 5 5 0 0 1-5-5 5 5 0 0 1 5-5m0 2a3 3 0 0 0-3 3 3 3 0 0 0 3 3 3 3 0 0 0 3-3 3 3 0 0 0-3-3z',
+    },
+    {
+      label: 'Email',
+      href: 'mailto:luong135@d.umn.edu',
+      icon: 'M20 4H4c-1.1 0-2 .9-2 2v12c0 1.1.9 2 2 2h16c1.1 0 2-.9 2-2V6c0-1.1-.9-2-2-2zm0 4l-8 5-8-5V6l8 5 8-5v2z',
+    },
+  ],
+};
+
+// Generated text in the current language, plus the attributes that keep it
+// translated (see i18n.js): `<h2 ${i18nAttr(key)}>${i18nText(key)}</h2>`
+const i18nAttr = key => `data-i18n="${key}"`;
+const i18nText = key => SiteI18n.t(key);
+const i18nPlaceholder = key => `placeholder="${SiteI18n.t(key)}" data-i18n-placeholder="${key}"`;
+
+/**
+ * File name of a page path ('/site/' -> 'index.html', '/game' -> 'game.html')
+ */
+function pageName(pathname = window.location.pathname) {
+  const name = decodeURIComponent(pathname.split('/').pop() || '') || SITE.home;
+  return name.includes('.') ? name : `${name}.html`;
+}
+
+function renderSiteHeader(chatTarget) {
+  const links = SITE.nav.map(item => `
+        <li><a href="${item.href}" class="nav-link" ${i18nAttr(item.key)}>${i18nText(item.key)}</a></li>`).join('');
+  const languages = Object.keys(SiteI18n.LANGUAGES).map(language => `
+          <button type="button" class="lang-switch__btn" data-lang="${language}" lang="${language}" title="${SiteI18n.LANGUAGES[language]}" aria-pressed="${language === SiteI18n.language}">${language.toUpperCase()}</button>`).join('');
+  return `
+  <header class="site-header">
+    <div class="container header-content">
+      <div class="header-left">
+        <a href="${SITE.home}" class="logo-link">
+          <img src="${SITE.logo}" alt="Nancy" class="logo-image">
+          <span class="site-title">${SITE.title}</span>
+        </a>
+      </div>
+
+      <nav aria-label="Main" class="header-center">
+        <button class="nav-toggle" aria-label="${SiteI18n.t('header.toggleNav')}" data-i18n-aria-label="header.toggleNav" aria-expanded="false" data-nav-toggle>
+          <svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+            <path d="M3 6h18M3 12h18M3 18h18"/>
+          </svg>
+        </button>
+        <ul class="nav-menu" data-nav-menu>${links}
+        </ul>
+      </nav>
+
+      <div class="header-right">
+        <div class="lang-switch" role="group" aria-label="${SiteI18n.t('header.language')}" data-i18n-aria-label="header.language">${languages}
+        </div>
+        <a href="${chatTarget}" class="btn btn-accent" data-site-chat ${i18nAttr('header.chat')}>${i18nText('header.chat')}</a>
+      </div>
+    </div>
+    <div class="reading-progress" data-reading-progress hidden>
+      <span class="reading-progress__bar"></span>
+    </div>
+  </header>`;
+}
+
+function renderSiteContact() {
+  const endpoint = SITE.contactEndpoint ? ` data-contact-endpoint="${SITE.contactEndpoint}"` : '';
+  const links = SITE.social.map(link => `
+          <li>
+            <a href="${link.href}" class="contact__link" aria-label="${link.label}">
+              <svg class="contact__icon" viewBox="0 0 24 24" fill="currentColor">
+                <path d="${link.icon}"/>
+              </svg>
+            </a>
+          </li>`).join('');
+  return `
+  <section id="contact" class="contact">
+    <div class="container">
+      <h2 ${i18nAttr('contact.title')}>${i18nText('contact.title')}</h2>
+      <p class="contact__subtitle" ${i18nAttr('contact.subtitle')}>${i18nText('contact.subtitle')}</p>
+
+      <form class="contact-form"${endpoint}>
+        <div class="form-group">
+          <label for="fullName" ${i18nAttr('contact.fullName')}>${i18nText('contact.fullName')}</label>
+          <input type="text" id="fullName" name="fullName" required ${i18nPlaceholder('contact.fullNamePlaceholder')}>
+        </div>
+
+        <div class="form-group">
+          <label for="mobile" ${i18nAttr('contact.mobile')}>${i18nText('contact.mobile')}</label>
+          <input type="tel" id="mobile" name="mobile" required ${i18nPlaceholder('contact.mobilePlaceholder')}>
+        </div>
+
+        <div class="form-group">
+          <label for="email" ${i18nAttr('contact.email')}>${i18nText('contact.email')}</label>
+          <input type="email" id="email" name="email" required ${i18nPlaceholder('contact.emailPlaceholder')}>
+        </div>
+
+        <div class="form-group">
+          <label for="message" ${i18nAttr('contact.message')}>${i18nText('contact.message')}</label>
+          <textarea id="message" name="message" rows="4" ${i18nPlaceholder('contact.messagePlaceholder')}></textarea>
+        </div>
+
+        <button type="submit" class="btn btn-accent submit-btn" ${i18nAttr('contact.submit')}>${i18nText('contact.submit')}</button>
+      </form>
+
+      <div class="social-links">
+        <h3 ${i18nAttr('contact.social')}>${i18nText('contact.social')}</h3>
+        <ul class="contact__links">${links}
+        </ul>
+      </div>
+    </div>
+  </section>`;
+}
+
+function renderSiteFooter() {
+  return `
+  <footer class="site-footer">
+    <div class="container">
+      <p ${i18nAttr('footer.copyright')}>${i18nText('footer.copyright')}</p>
+    </div>
+  </footer>`;
+}
+
+/**
+ * Highlight the nav item for a page (its own link or one listing it in `also`)
+ */
+function setActiveNav(page = pageName()) {
+  document.querySelectorAll('[data-nav-menu] .nav-link').forEach(link => {
+    const item = SITE.nav.find(entry => entry.href === link.getAttribute('href'));
+    const active = Boolean(item) && (item.href === page || (item.also || []).includes(page));
+    link.classList.toggle('active', active);
+    if (active) {
+      link.setAttribute('aria-current', 'page');
+    } else {
+      link.removeAttribute('aria-current');
+    }
+  });
+}
+
+// LET'S CHAT jumps to this page's contact section, or the home page's when this page has none
+function chatHref(root = document) {
+  return root.querySelector('[data-site-contact], #contact') ? '#contact' : `${SITE.home}#contact`;
+}
+
+/**
+ * Swap each mount point under `root` for its region
+ */
+function renderSiteRegions(root = document) {
+  root.querySelectorAll('[data-site-header]').forEach(mount => {
+    mount.outerHTML = renderSiteHeader(chatHref(root));
+  });
+  root.querySelectorAll('[data-site-contact]').forEach(mount => {
+    mount.outerHTML = renderSiteContact();
+  });
+  root.querySelectorAll('[data-site-footer]').forEach(mount => {
+    mount.outerHTML = renderSiteFooter();
+  });
+  setActiveNav();
+}
+
+renderSiteRegions();
+
+/* Language */
+// The header switch picks the language (i18n.js); data-i18n text anywhere
+// on the page, like the headings, is filled in here and on every switch.
+// The site regions, contact form and contents list need i18n.js; pages that
+// only embed the game (initTeamGame) can leave it out
+function updateLanguageSwitch(language = SiteI18n.language) {
+  document.querySelectorAll('.lang-switch__btn').forEach(button => {
+    button.setAttribute('aria-pressed', String(button.dataset.lang === language));
+  });
+}
+
+if (window.SiteI18n) {
+  document.addEventListener('click', event => {
+    const button = event.target.closest('.lang-switch__btn');
+    if (button && button.dataset.lang !== SiteI18n.language) {
+      SiteI18n.setLanguage(button.dataset.lang);
+    }
+  });
+  SiteI18n.onChange(updateLanguageSwitch);
+  SiteI18n.apply();
+}
+
 // Header scroll effect
 const header = document.querySelector('.site-header');
 const scrollThreshold = 4;
@@ -10,6 +224,15 @@ window.addEventListener('scroll', () => {
   }
 });
 
+// Sticky header height for CSS (scroll-padding-top in styles.css), so
+// smooth scrolling and #hash jumps stop below the header instead of under it
+function updateHeaderHeight() {
+  document.documentElement.style.setProperty('--header-height', `${header ? header.offsetHeight : 0}px`);
+}
+
+updateHeaderHeight();
+window.addEventListener('resize', updateHeaderHeight);
+
 // Mobile navigation toggle
 const navToggle = document.querySelector('[data-nav-toggle]');
 const navMenu = document.querySelector('[data-nav-menu]');
@@ -23,16 +246,29 @@ if (navToggle && navMenu) {
   });
 }
 
-// Smooth scroll for internal links
-document.querySelectorAll('a[href^="#"]').forEach(anchor => {
-  anchor.addEventListener('click', function (e) {
-    const targetId = this.getAttribute('href');
-    if (!targetId || targetId === '#') return;
-    const targetElement = document.querySelector(targetId);
-    if (!targetElement) return;
-    e.preventDefault();
-    targetElement.scrollIntoView({ behavior: 'smooth' });
-  });
+// Element a '#hash' points at - by id, not as a CSS selector, since ids may
+// start with a digit and hashes may be percent-encoded
+function hashTarget(hash) {
+  try {
+    return document.getElementById(decodeURIComponent(hash.slice(1)));
+  } catch (error) {
+    return null; // malformed %-escape
+  }
+}
+
+// Smooth scroll for internal links (delegated, so it also covers
+// content the router swaps in)
+document.addEventListener('click', (e) => {
+  const anchor = e.target.closest('a[href^="#"]');
+  if (!anchor) return;
+  const targetId = anchor.getAttribute('href');
+  if (!targetId || targetId === '#') return;
+  const targetElement = hashTarget(targetId);
+  if (!targetElement) return;
+  e.preventDefault();
+  targetElement.scrollIntoView({ behavior: 'smooth' });
+  // Shareable URL without a history entry per click
+  history.replaceState(history.state, '', targetId);
 });
 
 // Close mobile menu when clicking outside
@@ -45,8 +281,890 @@ document.addEventListener('click', (e) => {
   }
 });
 
-/* Game placeholder hook */
+/* Page initializers */
+// Setup for what is inside <main>: the contact form, the game on game.html.
+// An initializer runs once the page is ready and again each time the router
+// swaps in another page; the function it returns (if any) is its teardown,
+// called before the next swap. Scripts the router loads later register the
+// same way and run at once.
+const pageInitializers = [];
+let pageTeardowns = [];
+
+function pageRoot() {
+  return document.querySelector('main') || document.body;
+}
+
+function runPageInitializer(init) {
+  try {
+    const teardown = init(pageRoot());
+    if (typeof teardown === 'function') pageTeardowns.push(teardown);
+  } catch (error) {
+    console.warn('Page initializer failed:', error);
+  }
+}
+
+/**
+ * Run `init(main)` now and after every router swap
+ * @param {function(HTMLElement): (function|void)} init - may return its teardown
+ */
+function onPageReady(init) {
+  pageInitializers.push(init);
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', () => runPageInitializer(init));
+  } else {
+    runPageInitializer(init);
+  }
+}
+
+function teardownPage() {
+  pageTeardowns.splice(0).forEach(teardown => {
+    try {
+      teardown();
+    } catch (error) {
+      console.warn('Page teardown failed:', error);
+    }
+  });
+}
+
+function initPage() {
+  pageInitializers.forEach(runPageInitializer);
+}
+
+/* Game embedding hook */
+// Files the game needs, in load order, next to this script
+const TEAM_GAME_SCRIPTS = [
+  'avoid-game-sim.js',
+  'avoid-game-replay.js',
+  'avoid-game-scores.js',
+  'avoid-game-levels.js',
+  'avoid-game-leaderboard.js',
+  'avoid-game-renderers.js',
+  'avoid-game-input.js',
+  'avoid-game-a11y.js',
+  'avoid-game-achievements.js',
+  'avoid-game-versus.js',
+  'avoid-game-telemetry.js',
+  'avoid-game.js',
+];
+const TEAM_GAME_STYLES = 'avoid-game.css';
+const teamGameBase = document.currentScript ? document.currentScript.src.replace(/[^/]*$/, '') : '';
+let teamGameLoading = null;
+
+function loadScript(src) {
+  return new Promise((resolve, reject) => {
+    const script = document.createElement('script');
+    script.src = src;
+    script.onload = resolve;
+    script.onerror = () => reject(new Error(`Failed to load ${src}`));
+    document.head.appendChild(script);
+  });
+}
+
+// Load the game's styles and scripts once (pages that already include them skip this)
+function loadTeamGame() {
+  if (window.AvoidGame) return Promise.resolve(window.AvoidGame);
+  if (!teamGameLoading) {
+    if (!document.querySelector(`link[href$="${TEAM_GAME_STYLES}"]`)) {
+      const link = document.createElement('link');
+      link.rel = 'stylesheet';
+      link.href = teamGameBase + TEAM_GAME_STYLES;
+      document.head.appendChild(link);
+    }
+    teamGameLoading = TEAM_GAME_SCRIPTS
+      .filter(file => !document.querySelector(`script[src$="${file}"]`))
+      .reduce((chain, file) => chain.then(() => loadScript(teamGameBase + file)), Promise.resolve())
+      .then(() => window.AvoidGame);
+    // Let a later call try again after a network failure
+    teamGameLoading.catch(() => {
+      teamGameLoading = null;
+    });
+  }
+  return teamGameLoading;
+}
+
+/**
+ * Mount a self-contained game into a container (element or selector)
+ * Options: level, sound, controls, keyboardScope, theme, achievements
+ * (see DEFAULT_GAME_OPTIONS in avoid-game.js). Sounds and sprites load
+ * relative to the page, like the rest of the site's assets. i18n.js is
+ * optional here: without it the game stays in English.
+ * The handle works at once; calls made while the game loads are queued
+ * @returns {{ready: Promise, start: function, pause: function, resume: function,
+ *   destroy: function, onScore: function, onGameOver: function, onVictory: function}}
+ */
 function initTeamGame(container, options = {}) {
-  // To be implemented by the team
-  console.log('Game initialization placeholder');
+  const element = typeof container === 'string' ? document.querySelector(container) : container;
+  if (!element) {
+    throw new Error('initTeamGame: container not found');
+  }
+
+  let game = null;
+  let destroyed = false;
+  const queued = []; // calls made before the game finished loading
+  const whenReady = action => {
+    if (game) {
+      action(game);
+    } else if (!destroyed) {
+      queued.push(action);
+    }
+  };
+  // on* before loading: subscribe once mounted, unsubscribe works either way
+  const subscription = method => callback => {
+    let unsubscribe = null;
+    let cancelled = false;
+    whenReady(instance => {
+      if (!cancelled) unsubscribe = instance[method](callback);
+    });
+    return () => {
+      cancelled = true;
+      if (unsubscribe) unsubscribe();
+    };
+  };
+  const mount = AvoidGame => {
+    if (destroyed) return null;
+    game = AvoidGame.mount(element, options);
+    queued.splice(0).forEach(action => action(game));
+    return game;
+  };
+
+  const ready = window.AvoidGame ? Promise.resolve(mount(window.AvoidGame)) : loadTeamGame().then(mount);
+  ready.catch(error => console.warn('Game failed to load:', error));
+
+  return {
+    ready,
+    start: () => whenReady(instance => instance.start()),
+    pause: () => whenReady(instance => instance.pause()),
+    resume: () => whenReady(instance => instance.resume()),
+    destroy: () => {
+      destroyed = true;
+      queued.length = 0;
+      if (game) game.destroy();
+    },
+    onScore: subscription('onScore'),
+    onGameOver: subscription('onGameOver'),
+    onVictory: subscription('onVictory'),
+  };
+}
+
+/* Contact form */
+// Validation, spam checks and delivery for every .contact-form on the site.
+// Delivery goes through a transport: JSON POST when the form has
+// data-contact-endpoint (or the page has ?contact=URL), otherwise the
+// visitor's email app via mailto. POSTs that fail offline are queued in
+// localStorage and retried. contact-server.js is a local stub endpoint.
+// Every message the visitor sees is a contact.* key in i18n.js.
+const CONTACT_EMAIL = 'luong135@d.umn.edu';
+const CONTACT_QUEUE_KEY = 'contactForm.queue';
+const CONTACT_MIN_FILL_TIME = 3000; // ms - faster than this is a bot
+const CONTACT_MAX_ATTEMPTS = 8;
+const CONTACT_RULES = {
+  fullName: { min: 2, max: 80 },
+  mobile: {},
+  email: { max: 254 },
+  message: { max: 2000, optional: true },
+};
+
+/**
+ * Error text for one field, or '' when the value is fine
+ */
+function validateContactField(name, value) {
+  const rule = CONTACT_RULES[name];
+  const text = String(value || '').trim();
+  if (!rule) return '';
+  const field = SiteI18n.t(`contact.field.${name}`);
+  if (!text) return rule.optional ? '' : SiteI18n.t('contact.error.required', { field });
+  if (rule.min && text.length < rule.min) return SiteI18n.t('contact.error.min', { field, min: rule.min });
+  if (rule.max && text.length > rule.max) return SiteI18n.t('contact.error.max', { field, max: rule.max, length: text.length });
+
+  if (name === 'fullName' && !/^[\p{L}][\p{L}\p{M}' .-]*$/u.test(text)) {
+    return SiteI18n.t('contact.error.name');
+  }
+  // 7-15 digits (E.164), spaces, dashes, dots and brackets allowed, + for the country code
+  if (name === 'mobile' && !/^\+?\d{7,15}$/.test(text.replace(/[\s().-]/g, ''))) {
+    return SiteI18n.t('contact.error.mobile');
+  }
+  if (name === 'email' && !/^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/.test(text)) {
+    return SiteI18n.t('contact.error.email');
+  }
+  return '';
+}
+
+/**
+ * Error a transport rejects with; `retryable` ones are queued for later
+ */
+class ContactSendError extends Error {
+  constructor(message, retryable) {
+    super(message);
+    this.name = 'ContactSendError';
+    this.retryable = retryable;
+  }
+}
+
+/**
+ * POST the message as JSON to an endpoint
+ */
+class JsonContactTransport {
+  constructor(endpoint) {
+    this.endpoint = endpoint;
+    this.queueable = true;
+  }
+
+  send(message) {
+    return fetch(this.endpoint, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(message),
+    })
+      .catch(() => {
+        throw new ContactSendError(SiteI18n.t('contact.error.network'), true);
+      })
+      .then(response => response.json()
+        .catch(() => ({}))
+        .then(body => {
+          if (!response.ok) {
+            // Server trouble is worth retrying, a rejected message is not
+            const retryable = response.status >= 500 || response.status === 408 || response.status === 429;
+            throw new ContactSendError(body.error || SiteI18n.t('contact.error.status', { status: response.status }), retryable);
+          }
+          return { delivered: true };
+        }));
+  }
+}
+
+/**
+ * Hand the message to the visitor's email app
+ */
+class MailtoContactTransport {
+  constructor(address = CONTACT_EMAIL) {
+    this.address = address;
+    this.queueable = false;
+  }
+
+  send(message) {
+    const subject = `Website message from ${message.fullName}`;
+    const body = [
+      message.message || '(no message)',
+      '',
+      `${message.fullName}`,
+      `Mobile: ${message.mobile}`,
+      `Email: ${message.email}`,
+    ].join('\n');
+    window.location.href = `mailto:${this.address}?subject=${encodeURIComponent(subject)}&body=${encodeURIComponent(body)}`;
+    return Promise.resolve({ delivered: false });
+  }
+}
+
+/**
+ * Pick the transport for a form: its data-contact-endpoint, then
+ * ?contact=URL on the page, then mailto
+ */
+function createContactTransport(form, search = window.location.search) {
+  const endpoint = form.dataset.contactEndpoint || new URLSearchParams(search).get('contact');
+  return endpoint ? new JsonContactTransport(endpoint) : new MailtoContactTransport();
+}
+
+/**
+ * Messages waiting for the network, kept in localStorage so they survive
+ * a reload. Retried when the browser comes back online and on a backoff timer
+ */
+class ContactQueue {
+  constructor(storage = window.localStorage, key = CONTACT_QUEUE_KEY) {
+    this.storage = storage;
+    this.key = key;
+    this.timer = null;
+    this.flushing = null;
+    this.onSent = null; // called with the message after a queued send succeeds
+  }
+
+  read() {
+    try {
+      const items = JSON.parse(this.storage.getItem(this.key) || '[]');
+      return Array.isArray(items) ? items : [];
+    } catch (error) {
+      console.warn('Contact queue unreadable, starting empty:', error);
+      return [];
+    }
+  }
+
+  write(items) {
+    try {
+      if (items.length) {
+        this.storage.setItem(this.key, JSON.stringify(items));
+      } else {
+        this.storage.removeItem(this.key);
+      }
+    } catch (error) {
+      console.warn('Failed to save the contact queue:', error);
+    }
+  }
+
+  add(endpoint, message) {
+    const items = this.read();
+    items.push({
+      id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+      endpoint,
+      message,
+      attempts: 0,
+      nextAttempt: Date.now(),
+    });
+    this.write(items);
+    this.schedule();
+  }
+
+  /**
+   * Try every item that is due, one at a time
+   * @returns {Promise<number>} how many were delivered
+   */
+  flush() {
+    if (this.flushing) return this.flushing;
+    if (navigator.onLine === false) return Promise.resolve(0);
+
+    const now = Date.now();
+    const due = this.read().filter(item => item.nextAttempt <= now);
+    let delivered = 0;
+    this.flushing = due.reduce((chain, item) => chain.then(() => new JsonContactTransport(item.endpoint).send(item.message)
+      .then(() => {
+        delivered++;
+        this.update(item, null);
+        if (this.onSent) this.onSent(item.message);
+      })
+      .catch(error => {
+        const attempts = item.attempts + 1;
+        if (!error.retryable || attempts >= CONTACT_MAX_ATTEMPTS) {
+          console.warn('Dropping queued contact message:', error);
+          this.update(item, null);
+        } else {
+          // 30s, 1m, 2m ... capped at 30 minutes
+          const delay = Math.min(30000 * 2 ** (attempts - 1), 30 * 60 * 1000);
+          this.update(item, Object.assign({}, item, { attempts, nextAttempt: Date.now() + delay }));
+        }
+      })), Promise.resolve())
+      .then(() => {
+        this.flushing = null;
+        this.schedule();
+        return delivered;
+      });
+    return this.flushing;
+  }
+
+  // Replace (or with null, remove) one stored item
+  update(item, replacement) {
+    const items = this.read().filter(other => other.id !== item.id);
+    if (replacement) items.push(replacement);
+    this.write(items);
+  }
+
+  schedule() {
+    clearTimeout(this.timer);
+    const items = this.read();
+    if (!items.length) return;
+    const next = Math.min(...items.map(item => item.nextAttempt));
+    this.timer = setTimeout(() => this.flush(), Math.max(0, next - Date.now()));
+  }
+}
+
+const contactQueue = new ContactQueue();
+window.addEventListener('online', () => contactQueue.flush());
+
+/**
+ * Wire up one contact form: inline errors, spam checks, sending
+ * @param {HTMLFormElement} form
+ * @param {{transport?: {send: function, queueable: boolean}}} [options]
+ * @returns {function} teardown for when the form leaves the page
+ */
+function initContactForm(form, options = {}) {
+  const transport = options.transport || createContactTransport(form);
+  const fields = Object.keys(CONTACT_RULES)
+    .map(name => form.elements[name])
+    .filter(Boolean);
+  const submitBtn = form.querySelector('[type="submit"]');
+  const startedAt = Date.now();
+  form.noValidate = true; // our messages replace the browser bubbles
+
+  // Honeypot: people never see or fill it, form-filling bots usually do
+  const trap = document.createElement('div');
+  trap.className = 'form-honeypot';
+  trap.setAttribute('aria-hidden', 'true');
+  trap.innerHTML = '<label>Leave this empty <input type="text" name="website" tabindex="-1" autocomplete="off"></label>';
+  form.appendChild(trap);
+
+  const status = document.createElement('p');
+  status.className = 'form-status';
+  status.setAttribute('role', 'status');
+  form.appendChild(status);
+
+  function setStatus(text, kind) {
+    status.textContent = text;
+    status.classList.toggle('is-error', kind === 'error');
+    status.classList.toggle('is-success', kind === 'success');
+  }
+
+  // One error line per field, tied to it with aria-describedby
+  function showFieldError(field) {
+    const error = validateContactField(field.name, field.value);
+    const errorId = `${field.id || field.name}-error`;
+    let line = form.querySelector(`#${errorId}`);
+    if (!line) {
+      line = document.createElement('p');
+      line.className = 'form-error';
+      line.id = errorId;
+      field.insertAdjacentElement('afterend', line);
+    }
+    line.textContent = error;
+    if (error) {
+      field.setAttribute('aria-invalid', 'true');
+      field.setAttribute('aria-describedby', errorId);
+    } else {
+      field.removeAttribute('aria-invalid');
+      field.removeAttribute('aria-describedby');
+    }
+    return !error;
+  }
+
+  fields.forEach(field => {
+    // Check once the visitor leaves a field, then live while fixing it
+    field.addEventListener('blur', () => {
+      if (field.value.trim() || field.hasAttribute('aria-invalid')) showFieldError(field);
+    });
+    field.addEventListener('input', () => {
+      if (field.hasAttribute('aria-invalid')) showFieldError(field);
+    });
+  });
+  // Errors already on screen follow a language switch
+  const stopTranslating = SiteI18n.onChange(() => {
+    fields.filter(field => field.hasAttribute('aria-invalid')).forEach(showFieldError);
+  });
+
+  function finish(text) {
+    form.reset();
+    setStatus(text, 'success');
+  }
+
+  form.addEventListener('submit', event => {
+    event.preventDefault();
+    const invalid = fields.filter(field => !showFieldError(field));
+    if (invalid.length) {
+      setStatus(invalid.length === 1
+        ? SiteI18n.t('contact.status.fixOne')
+        : SiteI18n.t('contact.status.fixMany', { count: invalid.length }), 'error');
+      invalid[0].focus();
+      return;
+    }
+
+    // Bots get the normal thank-you so they have nothing to adjust to
+    if (form.elements.website.value || Date.now() - startedAt < CONTACT_MIN_FILL_TIME) {
+      finish(SiteI18n.t('contact.status.sent'));
+      return;
+    }
+
+    const message = {
+      fullName: form.elements.fullName.value.trim(),
+      mobile: form.elements.mobile.value.trim(),
+      email: form.elements.email.value.trim(),
+      message: form.elements.message ? form.elements.message.value.trim() : '',
+      page: window.location.pathname,
+      sentAt: new Date().toISOString(),
+    };
+
+    if (transport.queueable && navigator.onLine === false) {
+      contactQueue.add(transport.endpoint, message);
+      finish(SiteI18n.t('contact.status.offline'));
+      return;
+    }
+
+    submitBtn.disabled = true;
+    const label = submitBtn.textContent;
+    submitBtn.textContent = SiteI18n.t('contact.status.sending');
+    setStatus('');
+    transport.send(message)
+      .then(result => {
+        finish(SiteI18n.t(result.delivered ? 'contact.status.sent' : 'contact.status.mailto'));
+      })
+      .catch(error => {
+        if (transport.queueable && error.retryable) {
+          contactQueue.add(transport.endpoint, message);
+          finish(SiteI18n.t('contact.status.queued', { error: error.message }));
+        } else {
+          console.warn('Contact form failed:', error);
+          setStatus(SiteI18n.t('contact.status.failed', { error: error.message }), 'error');
+        }
+      })
+      .then(() => {
+        submitBtn.disabled = false;
+        submitBtn.textContent = label;
+      });
+  });
+
+  // The form's own listeners go away with its elements
+  return stopTranslating;
+}
+
+onPageReady(main => {
+  const teardowns = Array.from(main.querySelectorAll('.contact-form')).map(form => initContactForm(form));
+  return () => teardowns.forEach(teardown => teardown());
+});
+// Report queued messages that go out while the visitor is still here
+contactQueue.onSent = () => {
+  document.querySelectorAll('.contact-form .form-status').forEach(status => {
+    status.textContent = SiteI18n.t('contact.status.queuedSent');
+  });
+};
+contactQueue.flush();
+
+/* Scrollspy */
+// Long pages opt in with <nav data-page-toc="heading selector">: the nav is
+// filled with links to those headings, the section being read is highlighted
+// and its id goes in the URL hash (replaceState, so Back still leaves the
+// page). Pages with a contents list also show the reading-progress bar.
+const SCROLLSPY_LINE = 0.2; // share of the viewport, below the header, that counts as "being read"
+
+// Stable ids from the heading's translation key (same in every language), else its text
+function headingSlug(heading) {
+  const key = heading.getAttribute('data-i18n');
+  const source = key ? key.split('.').pop().replace(/([a-z\d])([A-Z])/g, '$1-$2') : heading.textContent;
+  return source.normalize('NFD').replace(/[\u0300-\u036f]/g, '').replace(/đ/gi, 'd')
+    .toLowerCase().replace(/[^a-z\d]+/g, '-').replace(/^-+|-+$/g, '') || 'section';
+}
+
+// The element a heading stands for: the article/section it heads, else itself
+function headingTarget(heading) {
+  const block = heading.closest('article, section');
+  return block && block.querySelector('h1, h2, h3') === heading ? block : heading;
+}
+
+function ensureId(element, slug) {
+  if (element.id) return element.id;
+  let id = slug;
+  for (let n = 2; document.getElementById(id); n++) id = `${slug}-${n}`;
+  element.id = id;
+  return id;
+}
+
+function renderPageToc(toc, sections) {
+  const title = document.createElement('p');
+  title.className = 'page-toc__title';
+  title.setAttribute('data-i18n', 'toc.label');
+  title.textContent = SiteI18n.t('toc.label');
+
+  const list = document.createElement('ol');
+  list.className = 'page-toc__list';
+  sections.forEach(({ heading, target }) => {
+    const item = document.createElement('li');
+    item.className = heading.tagName === 'H3' ? 'page-toc__item page-toc__item--sub' : 'page-toc__item';
+    const link = document.createElement('a');
+    link.className = 'page-toc__link';
+    link.href = `#${target.id}`;
+    link.textContent = heading.textContent.replace(/\s+/g, ' ').trim();
+    const key = heading.getAttribute('data-i18n');
+    if (key) link.setAttribute('data-i18n', key);
+    item.appendChild(link);
+    list.appendChild(item);
+  });
+  toc.replaceChildren(title, list);
+  return Array.from(list.querySelectorAll('.page-toc__link'));
+}
+
+function scrollspyLine() {
+  return (header ? header.offsetHeight : 0) + window.innerHeight * SCROLLSPY_LINE;
+}
+
+// Last section whose top has passed the line; at the very bottom, the last one
+function currentSection(targets, line) {
+  const root = document.documentElement;
+  if (window.scrollY > 0 && window.innerHeight + window.scrollY >= root.scrollHeight - 1) {
+    return targets[targets.length - 1];
+  }
+  let current = null;
+  targets.forEach(target => {
+    if (target.getBoundingClientRect().top <= line) current = target;
+  });
+  return current;
+}
+
+function replaceHash(id, ids) {
+  const hash = id ? `#${id}` : '';
+  if (window.location.hash === hash) return;
+  // Above the first section: drop our hash, but leave any other one alone
+  if (!id && !ids.includes(decodeURIComponent(window.location.hash.slice(1)))) return;
+  history.replaceState(history.state, '', `${window.location.pathname}${window.location.search}${hash}`);
+}
+
+function initScrollspy(main) {
+  const toc = main.querySelector('[data-page-toc]');
+  if (!toc) return;
+  const headings = Array.from(main.querySelectorAll(toc.getAttribute('data-page-toc') || 'h2'));
+  if (!headings.length) return;
+
+  const sections = headings.map(heading => {
+    const target = headingTarget(heading);
+    ensureId(target, headingSlug(heading));
+    return { heading, target };
+  });
+  const targets = sections.map(section => section.target);
+  const ids = targets.map(target => target.id);
+  const links = renderPageToc(toc, sections);
+
+  let activeId = null;
+  const highlight = () => {
+    const current = currentSection(targets, scrollspyLine());
+    const id = current ? current.id : null;
+    if (id === activeId) return;
+    activeId = id;
+    links.forEach((link, index) => {
+      const active = ids[index] === id;
+      link.classList.toggle('is-active', active);
+      if (active) {
+        link.setAttribute('aria-current', 'location');
+      } else {
+        link.removeAttribute('aria-current');
+      }
+    });
+    replaceHash(id, ids);
+  };
+
+  // A 1px band on the line: sections crossing it trigger a recount
+  let observer = null;
+  const observe = () => {
+    if (observer) observer.disconnect();
+    if (typeof IntersectionObserver === 'undefined') return;
+    const line = Math.round(scrollspyLine());
+    observer = new IntersectionObserver(highlight, {
+      rootMargin: `-${line}px 0px -${Math.max(0, window.innerHeight - line - 1)}px 0px`,
+    });
+    targets.forEach(target => observer.observe(target));
+  };
+
+  const progress = document.querySelector('[data-reading-progress]');
+  const bar = progress && progress.querySelector('.reading-progress__bar');
+  let frame = 0;
+  const updateProgress = () => {
+    frame = 0;
+    if (!bar) return;
+    const max = document.documentElement.scrollHeight - window.innerHeight;
+    const ratio = max > 0 ? Math.min(1, Math.max(0, window.scrollY / max)) : 1;
+    bar.style.transform = `scaleX(${ratio})`;
+  };
+  const onScroll = () => {
+    if (!frame) frame = requestAnimationFrame(updateProgress);
+  };
+  const onResize = () => {
+    observe();
+    onScroll();
+  };
+
+  if (progress) progress.hidden = false;
+  observe();
+  updateProgress();
+  window.addEventListener('scroll', onScroll, { passive: true });
+  window.addEventListener('resize', onResize);
+
+  return () => {
+    if (observer) observer.disconnect();
+    if (frame) cancelAnimationFrame(frame);
+    window.removeEventListener('scroll', onScroll);
+    window.removeEventListener('resize', onResize);
+    if (progress) progress.hidden = true;
+    toc.replaceChildren();
+  };
+}
+
+onPageReady(initScrollspy);
+
+/* Page router */
+// Opt-in: on pages whose <body> has data-router, clicks on links to the
+// pages in SITE.nav fetch the page and swap <main> (plus the title, meta
+// description and the page's inline <style>) instead of reloading, so the
+// header, listeners and loaded scripts stay. Page initializers are torn down
+// and run again; stylesheets and scripts the new page needs are loaded.
+// Anything unexpected (no data-router on the target, a failed fetch or
+// script, file:// pages) falls back to normal navigation.
+const ROUTER_TRANSITION_MS = 200; // fade-out, overlapping the fetch
+const ROUTER_SCROLL_SAVE_DELAY = 150;
+let routerNavigation = 0; // id of the latest navigation; older ones give up
+let routerPath = window.location.pathname + window.location.search;
+let routerScrollTimer = null; // debounced saveScroll while the page scrolls
+
+function routerEnabled() {
+  return document.body.hasAttribute('data-router') && window.location.protocol !== 'file:' &&
+    typeof window.fetch === 'function' && typeof DOMParser !== 'undefined';
+}
+
+// Links the router takes: same origin, one of the nav pages, not this page
+function routableURL(link) {
+  if (link.target || link.hasAttribute('download')) return null;
+  const url = new URL(link.href, window.location.href);
+  if (url.origin !== window.location.origin) return null;
+  if (!SITE.nav.some(item => item.href === pageName(url.pathname))) return null;
+  if (url.pathname + url.search === routerPath) return null; // hash links on this page scroll as usual
+  return url;
+}
+
+function fetchPage(url) {
+  return fetch(url.href, { headers: { Accept: 'text/html' } })
+    .then(response => {
+      if (!response.ok) throw new Error(`${url.pathname} answered ${response.status}`);
+      return response.text();
+    })
+    .then(html => {
+      const page = new DOMParser().parseFromString(html, 'text/html');
+      if (!page.body.hasAttribute('data-router') || !page.querySelector('main')) {
+        throw new Error(`${url.pathname} does not use the router`);
+      }
+      return page;
+    });
+}
+
+function routerDelay() {
+  const reduced = window.matchMedia && window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+  return new Promise(resolve => setTimeout(resolve, reduced ? 0 : ROUTER_TRANSITION_MS));
+}
+
+// Stylesheets the new page links to that this one does not, loaded before the swap
+function loadPageStyles(page, base) {
+  const missing = Array.from(page.querySelectorAll('link[rel="stylesheet"]'))
+    .map(link => new URL(link.getAttribute('href'), base).href)
+    .filter(href => !Array.from(document.querySelectorAll('link[rel="stylesheet"]')).some(link => link.href === href));
+  return Promise.all(missing.map(href => new Promise((resolve, reject) => {
+    const link = document.createElement('link');
+    link.rel = 'stylesheet';
+    link.href = href;
+    link.onload = resolve;
+    link.onerror = () => reject(new Error(`Failed to load ${href}`));
+    document.head.appendChild(link);
+  })));
+}
+
+// Scripts the new page has that this one does not, in page order, after the swap
+function loadPageScripts(page, base) {
+  const loaded = Array.from(document.querySelectorAll('script[src]')).map(script => script.src);
+  return Array.from(page.querySelectorAll('script[src]'))
+    .map(script => new URL(script.getAttribute('src'), base).href)
+    .filter(src => !loaded.includes(src))
+    .reduce((chain, src) => chain.then(() => loadScript(src)), Promise.resolve());
+}
+
+function swapHead(page) {
+  document.title = page.title;
+
+  const description = page.querySelector('meta[name="description"]');
+  let current = document.querySelector('meta[name="description"]');
+  if (description) {
+    if (!current) {
+      current = document.createElement('meta');
+      current.name = 'description';
+      document.head.appendChild(current);
+    }
+    current.content = description.content;
+  } else if (current) {
+    current.remove();
+  }
+
+  // Inline <style> in <head> is page-specific on this site
+  document.head.querySelectorAll('style').forEach(style => style.remove());
+  page.head.querySelectorAll('style').forEach(style => document.head.appendChild(document.importNode(style, true)));
+}
+
+function swapMain(page) {
+  const main = pageRoot();
+  main.replaceChildren(...Array.from(page.querySelector('main').childNodes).map(node => document.importNode(node, true)));
+  renderSiteRegions(main);
+  if (window.SiteI18n) SiteI18n.apply(main);
+  document.querySelectorAll('[data-site-chat]').forEach(link => link.setAttribute('href', chatHref()));
+  return main;
+}
+
+// Where to land: saved position on back/forward, the #hash, or the top
+function restoreScroll(url, scroll) {
+  // Jump, not glide: html has scroll-behavior: smooth for anchor links
+  if (typeof scroll === 'number') {
+    window.scrollTo({ top: scroll, behavior: 'instant' });
+    return;
+  }
+  const target = url.hash && document.getElementById(decodeURIComponent(url.hash.slice(1)));
+  if (target) {
+    target.scrollIntoView({ behavior: 'instant' });
+  } else {
+    window.scrollTo({ top: 0, behavior: 'instant' });
+  }
+}
+
+function saveScroll() {
+  history.replaceState(Object.assign({}, history.state, { router: true, scroll: window.scrollY }), '');
+}
+
+/**
+ * Show the page at `url` without a reload
+ * @param {URL} url
+ * @param {{push?: boolean, scroll?: number}} [options] - push: add a history
+ *   entry (link clicks); scroll: position to restore (back/forward)
+ */
+function navigate(url, options = {}) {
+  const id = ++routerNavigation;
+  const main = pageRoot();
+  let committed = false; // the URL already points at the new page
+  clearTimeout(routerScrollTimer); // a late save would land on the wrong entry after back/forward
+  if (options.push) saveScroll();
+  main.classList.add('page-transition', 'is-leaving');
+  navMenu?.classList.remove('open');
+  navToggle?.setAttribute('aria-expanded', 'false');
+
+  return Promise.all([fetchPage(url), routerDelay()])
+    .then(([page]) => loadPageStyles(page, url.href).then(() => page))
+    .then(page => {
+      if (id !== routerNavigation) return null;
+      teardownPage();
+      swapHead(page);
+      if (options.push) history.pushState({ router: true, scroll: 0 }, '', url.href);
+      committed = true;
+      routerPath = url.pathname + url.search;
+      swapMain(page);
+      setActiveNav(pageName(url.pathname));
+      initPage();
+      return loadPageScripts(page, url.href);
+    })
+    .then(() => {
+      if (id !== routerNavigation) return;
+      main.classList.remove('is-leaving');
+      restoreScroll(url, options.scroll);
+      main.setAttribute('tabindex', '-1');
+      main.focus({ preventScroll: true });
+    })
+    .catch(error => {
+      if (id !== routerNavigation) return;
+      console.warn('Router fell back to a full page load:', error);
+      if (committed || !options.push) {
+        window.location.replace(url.href);
+      } else {
+        window.location.assign(url.href);
+      }
+    });
+}
+
+if (routerEnabled()) {
+  history.scrollRestoration = 'manual';
+  history.replaceState(Object.assign({}, history.state, { router: true }), '');
+  if (history.state && typeof history.state.scroll === 'number') {
+    window.scrollTo(0, history.state.scroll);
+  }
+
+  document.addEventListener('click', event => {
+    if (event.defaultPrevented || event.button !== 0 || event.metaKey || event.ctrlKey || event.shiftKey || event.altKey) return;
+    const link = event.target.closest('a[href]');
+    const url = link && routableURL(link);
+    if (!url) return;
+    event.preventDefault();
+    navigate(url, { push: true });
+  });
+
+  window.addEventListener('popstate', event => {
+    const url = new URL(window.location.href);
+    // Hash-only entries on the page that is already showing
+    if (url.pathname + url.search === routerPath) return;
+    navigate(url, { scroll: event.state && event.state.scroll });
+  });
+
+  window.addEventListener('scroll', () => {
+    clearTimeout(routerScrollTimer);
+    routerScrollTimer = setTimeout(saveScroll, ROUTER_SCROLL_SAVE_DELAY);
+  });
 }